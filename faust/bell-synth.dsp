@@ -1,11 +1,12 @@
 // bell-synth.dsp - Soft bell/chime synthesizer for raindrop sonification
-// Compile with: faust2wasm -poly bell-synth.dsp -o bell-synth
+// Compile with: faust2wasm -poly faust/bell-synth.dsp -o public/audio/bell_synth
 //
 // This creates a polyphonic bell synthesizer that responds to:
 // - freq: Note frequency (set by keyOn MIDI note)
 // - gain: Note velocity (set by keyOn velocity)
 // - gate: Note trigger (controlled by keyOn/keyOff)
-// - pan: Stereo position (0=left, 1=right)
+// - pan: Stereo position (0=left, 1=right), latched per voice
+// - distance: Distance gain, latched per voice
 // - masterGain: Global volume
 // - brightness: Filter brightness
 // - decayTime: Note decay duration
@@ -27,11 +28,16 @@ freq = hslider("freq", 440, 100, 2000, 0.01);
 gain = hslider("gain", 0.5, 0, 1, 0.001);
 gate = button("gate");
 
+// Per-voice placement (set from JavaScript right before keyOn), latched
+// when the voice's gate opens so ringing voices keep their position
+noteStart = gate > gate';
+pan = hslider("pan", 0.5, 0, 1, 0.01) : ba.sAndH(noteStart);
+distance = hslider("distance", 1, 0, 1, 0.001) : ba.sAndH(noteStart);
+
 // Global parameters
 masterGain = hslider("masterGain", 0.7, 0, 1, 0.01);
 brightness = hslider("brightness", 0.5, 0, 1, 0.01);
 decayTime = hslider("decayTime", 2.5, 0.5, 5, 0.1);
-pan = hslider("pan", 0.5, 0, 1, 0.01);
 
 // Reverb parameters
 reverbMix = hslider("reverbMix", 0.3, 0, 1, 0.01);
@@ -95,7 +101,7 @@ withShimmer = filtered + shimmer * brightness;
 // ============================================================================
 
 // Apply gain and envelope
-voiced = withShimmer * envelope * gain;
+voiced = withShimmer * envelope * gain * distance;
 
 // Stereo panning
 panL = sqrt(1 - pan);
@@ -1,5 +1,6 @@
 // chord-synth.dsp - Simple single-note synthesizer
 // Velocity controls both amplitude and filter cutoff
+// Each voice is panned and attenuated by its own drop position
 // Compile with: faust2wasm -poly chord-synth.dsp -o chord_synth
 
 declare name "chordsynth";
@@ -19,9 +20,15 @@ freq = hslider("freq", 440, 100, 2000, 0.01);
 gain = hslider("gain", 0.5, 0, 1, 0.001);  // Velocity-driven
 gate = button("gate");
 
+// Per-voice placement (set from JavaScript right before keyOn).
+// Latched when the voice's gate opens, so ringing voices keep the position
+// of the drop that started them when the slider moves for the next note.
+noteStart = gate > gate';
+pan = hslider("pan", 0.5, 0, 1, 0.01) : ba.sAndH(noteStart);
+distance = hslider("distance", 1, 0, 1, 0.001) : ba.sAndH(noteStart);  // Distance gain
+
 // Global parameters
 masterGain = hslider("masterGain", 0.7, 0, 1, 0.01);
-pan = hslider("pan", 0.5, 0, 1, 0.01);
 
 // Tone shaping
 filterCutoff = hslider("filterCutoff", 2000, 200, 8000, 1);  // Base cutoff
@@ -78,20 +85,22 @@ filtered = morphOsc(freq) : fi.resonlp(filterFreq, filterQ, 1);
 // OUTPUT
 // ============================================================================
 
-voiceOut = filtered * gain * envelope * masterGain * 0.5;
-process = voiceOut;
+voiceOut = filtered * gain * envelope * distance * masterGain * 0.5;
+
+// Equal-power pan per voice
+panL = sqrt(1 - pan);
+panR = sqrt(pan);
+
+process = voiceOut <: (*(panL), *(panR));
 
 // ============================================================================
-// EFFECTS (stereo output)
+// EFFECTS (stereo in, stereo out)
 // ============================================================================
 
 maxDelaySamples = 96000;
 delaySamples = delayTime * ma.SR;
 singleDelay = +~(de.delay(maxDelaySamples, delaySamples) * delayFeedback);
+delayMixer = _ <: (*(1-delayMix), (singleDelay * delayMix)) :> _;
 
-panL = sqrt(1 - pan);
-panR = sqrt(pan);
-
-effect = _ : (_ <: (*(1-delayMix), (singleDelay * delayMix)) :> _)
-         <: (*(panL), *(panR))
+effect = par(i, 2, delayMixer)
          : re.stereo_freeverb(0.5, reverbRoom, 0.5, reverbMix);
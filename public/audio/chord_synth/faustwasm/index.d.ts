@@ -1378,13 +1378,6 @@ export declare class SoundfileReader {
 	 * @returns : the URLs
 	 */
 	static findSoundfilesFromMeta(dspMeta: FaustDspMeta): LooseFaustDspFactory["soundfiles"];
-	/**
-	 * Check if the file exists.
-	 *
-	 * @param url : the url of the file to check
-	 * @returns : true if the file exists, otherwise false
-	 */
-	private static checkFileExists;
 	/**
 	 * Fetch the soundfile.
 	 *
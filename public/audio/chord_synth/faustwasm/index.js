@@ -2712,7 +2712,7 @@ var FaustBaseWebAudioDsp = class _FaustBaseWebAudioDsp {
     const trimmed = input.replace(/^\{|\}$/g, "");
     return trimmed.split(";").map(
       (str) => str.length <= 2 ? "" : str.substring(1, str.length - 1)
-    );
+    ).map((str) => str.trim()).filter((str) => str.length > 0);
   }
   get hasAccInput() {
     return this.fAcc.x.length + this.fAcc.y.length + this.fAcc.z.length > 0;
@@ -3973,7 +3973,7 @@ var FaustOfflineProcessor = class {
           outputs[i].set(output, l);
         }
       }
-      l += this.fBufferSize;
+      l += sliceLength;
       onUpdate == null ? void 0 : onUpdate(l);
     }
     this.fDSPCode.stop();
@@ -4522,29 +4522,12 @@ var SoundfileReader = class {
     const callback = (item) => {
       if (item.type === "soundfile") {
         const urls = FaustBaseWebAudioDsp.splitSoundfileNames(item.url);
-        urls.forEach((url) => soundfiles[url] = null);
+        urls.filter((url) => url.trim().length > 0).forEach((url) => soundfiles[url] = null);
       }
     };
     FaustBaseWebAudioDsp.parseUI(dspMeta.ui, callback);
     return soundfiles;
   }
-  /**
-   * Check if the file exists.
-   *
-   * @param url : the url of the file to check
-   * @returns : true if the file exists, otherwise false
-   */
-  static async checkFileExists(url) {
-    try {
-      console.log(`"checkFileExists" url: ${url}`);
-      const response = await fetch(url);
-      console.log(`"checkFileExists" response.ok: ${response.ok}`);
-      return response.ok;
-    } catch (error) {
-      console.error("Fetch error:", error);
-      return false;
-    }
-  }
   /**
    * Fetch the soundfile.
    *
@@ -4579,17 +4562,20 @@ var SoundfileReader = class {
         (path) => new URL(filename, path.endsWith("/") ? path : `${path}/`).href
       )
     ];
-    const checkResults = await Promise.all(
-      urlsToCheck.map((url) => this.checkFileExists(url))
-    );
-    const successIndex = checkResults.findIndex((r) => !!r);
-    if (successIndex === -1)
-      throw new Error(
-        `Failed to load sound file ${filename}, all check failed.`
-      );
-    soundfiles[filename] = await this.fetchSoundfile(
-      urlsToCheck[successIndex],
-      audioCtx
+    let lastError = null;
+    for (const url of urlsToCheck) {
+      try {
+        soundfiles[filename] = await this.fetchSoundfile(
+          url,
+          audioCtx
+        );
+        return;
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    throw new Error(
+      `Failed to load sound file ${filename}, all check failed. Last error: ${String(lastError)}`
     );
   }
   /**
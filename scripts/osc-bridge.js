@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+/**
+ * Local OSC bridge: relays OSC packets between the page (WebSocket) and
+ * audio software on this machine (UDP).
+ *
+ *   page --ws--> bridge --udp--> --send-host:--send-port (TouchDesigner, Max, SuperCollider...)
+ *   page <--ws-- bridge <--udp-- --listen-port
+ *
+ * Every WebSocket binary frame is one OSC packet and is forwarded as one
+ * datagram; datagrams received are sent to every connected page. Packets
+ * are not decoded, so bundles pass through untouched. Both sockets bind to
+ * the loopback interface only, and only pages from an allowed origin (the
+ * Vite dev and preview servers by default) may connect, so other sites open
+ * in the browser can't reach the bridge.
+ *
+ * Usage:
+ *   node scripts/osc-bridge.js [--ws-port 8765] [--send-host 127.0.0.1]
+ *                              [--send-port 9000] [--listen-port 9001]
+ *                              [--allow-origin http://localhost:5173 ...]
+ *
+ * Uses only Node built-ins (a minimal RFC 6455 server, binary frames only).
+ */
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { createSocket } from 'node:dgram';
+import { parseArgs } from 'node:util';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const LOOPBACK = '127.0.0.1';
+
+// WebSocket opcodes
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_BINARY = 0x2;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+// WebSocket close codes
+const CLOSE_PROTOCOL_ERROR = 1002;
+const CLOSE_TOO_BIG = 1009;
+
+// Largest message accepted from a page, fragments included (UDP can't carry more anyway)
+const MAX_MESSAGE_SIZE = 65507;
+
+// Vite dev server and `vite preview`
+const DEFAULT_ORIGINS = [
+  'http://localhost:5173', 'http://127.0.0.1:5173',
+  'http://localhost:4173', 'http://127.0.0.1:4173'
+];
+
+const { values: options } = parseArgs({
+  options: {
+    'ws-port': { type: 'string', default: '8765' },
+    'send-host': { type: 'string', default: LOOPBACK },
+    'send-port': { type: 'string', default: '9000' },
+    'listen-port': { type: 'string', default: '9001' },
+    'allow-origin': { type: 'string', multiple: true, default: DEFAULT_ORIGINS }
+  }
+});
+
+const wsPort = parseInt(options['ws-port'], 10);
+const sendHost = options['send-host'];
+const sendPort = parseInt(options['send-port'], 10);
+const listenPort = parseInt(options['listen-port'], 10);
+const allowedOrigins = new Set(options['allow-origin']);
+
+const clients = new Set();
+
+/**
+ * Build a close frame payload.
+ * @param {number} code - Close status code
+ * @returns {Buffer}
+ */
+function closePayload(code) {
+  const payload = Buffer.alloc(2);
+  payload.writeUInt16BE(code);
+  return payload;
+}
+
+/**
+ * Build a WebSocket frame (server frames are not masked).
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Read the WebSocket frames of one connection and call onMessage with each
+ * complete binary message.
+ * @param {import('node:net').Socket} socket
+ * @param {(message: Buffer) => void} onMessage
+ */
+function readFrames(socket, onMessage) {
+  let buffer = Buffer.alloc(0);
+  let fragments = [];
+  let fragmentType = null;
+  let fragmentSize = 0;
+
+  socket.on('data', (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length >= 2) {
+      const fin = (buffer[0] & 0x80) !== 0;
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      if (!masked) {
+        // Clients must mask their frames (RFC 6455 5.1)
+        socket.end(encodeFrame(OP_CLOSE, closePayload(CLOSE_PROTOCOL_ERROR)));
+        return;
+      }
+      // Continuations count towards their message
+      const isContinuation = opcode === OP_CONTINUATION;
+      if (length > MAX_MESSAGE_SIZE || (isContinuation && fragmentSize + length > MAX_MESSAGE_SIZE)) {
+        socket.end(encodeFrame(OP_CLOSE, closePayload(CLOSE_TOO_BIG)));
+        return;
+      }
+      if (buffer.length < offset + 4 + length) return;
+
+      const mask = buffer.subarray(offset, offset + 4);
+      const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i & 3];
+      }
+      buffer = buffer.subarray(offset + 4 + length);
+
+      if (opcode === OP_CLOSE) {
+        socket.end(encodeFrame(OP_CLOSE, payload.subarray(0, 2)));
+        return;
+      } else if (opcode === OP_PING) {
+        socket.write(encodeFrame(OP_PONG, payload));
+      } else if (opcode === OP_TEXT || opcode === OP_BINARY || opcode === OP_CONTINUATION) {
+        if (!isContinuation) {
+          fragments = [];
+          fragmentType = opcode;
+          fragmentSize = 0;
+        }
+        fragments.push(payload);
+        fragmentSize += payload.length;
+        if (fin) {
+          // OSC is binary; text frames are ignored
+          if (fragmentType === OP_BINARY) onMessage(Buffer.concat(fragments));
+          fragments = [];
+          fragmentSize = 0;
+        }
+      }
+    }
+  });
+}
+
+// UDP: out to the receiving app, in on the listen port
+const udp = createSocket('udp4');
+udp.on('message', (packet) => {
+  const frame = encodeFrame(OP_BINARY, packet);
+  for (const client of clients) {
+    client.write(frame);
+  }
+});
+// Only socket errors such as a taken listen port end up here (send errors
+// go to the send callback and don't stop the bridge)
+udp.on('error', (error) => {
+  console.error('UDP error:', error.message);
+  process.exit(1);
+});
+udp.bind(listenPort, LOOPBACK);
+
+// WebSocket: the page connects here
+const server = createServer((request, response) => {
+  response.writeHead(426, { 'Content-Type': 'text/plain' });
+  response.end('OSC bridge: connect with a WebSocket\n');
+});
+
+server.on('upgrade', (request, socket) => {
+  const key = request.headers['sec-websocket-key'];
+  if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  // Browsers always send the page's origin; anything else is turned away
+  const origin = request.headers.origin;
+  if (!allowedOrigins.has(origin)) {
+    console.warn(`Rejected connection from origin ${origin || '(none)'}`);
+    socket.end('HTTP/1.1 403 Forbidden\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+  socket.setNoDelay(true);
+
+  clients.add(socket);
+  console.log(`Page connected (${clients.size} open)`);
+  socket.on('close', () => {
+    clients.delete(socket);
+    console.log(`Page disconnected (${clients.size} open)`);
+  });
+  socket.on('error', () => socket.destroy());
+
+  readFrames(socket, (packet) => {
+    udp.send(packet, sendPort, sendHost, (error) => {
+      if (error) console.warn('UDP send failed:', error.message);
+    });
+  });
+});
+
+server.on('error', (error) => {
+  console.error('WebSocket server error:', error.message);
+  process.exit(1);
+});
+
+server.listen(wsPort, LOOPBACK, () => {
+  console.log(`OSC bridge: ws://127.0.0.1:${wsPort} <-> udp ${sendHost}:${sendPort} (listening on ${listenPort})`);
+  console.log(`Allowed origins: ${[...allowedOrigins].join(', ')}`);
+});
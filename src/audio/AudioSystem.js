@@ -2,22 +2,65 @@
  * Main audio system controller for FAUST-based synthesis.
  * Handles Web Audio initialization, FAUST loading, and voice management.
  *
- * If FAUST module is not available, falls back to Web Audio API synthesis.
+ * Instruments come from a registry (see InstrumentRegistry.js) and can be
+ * switched at runtime. If a FAUST instrument is not available, falls back
+ * to Web Audio API synthesis.
  */
 
 
 import { NoteMapper } from './NoteMapper.js';
+import { DensityManager } from './DensityManager.js';
+import { StepSequencer } from './StepSequencer.js';
+import { TempoClock } from '../core/TempoClock.js';
+import { VoiceManager, STEAL_POLICIES } from './VoiceManager.js';
+import { SpatialAudio } from './SpatialAudio.js';
+import { DEFAULT_INSTRUMENTS, SHARED_PARAMS, FALLBACK_PARAMS, VOICE_PARAMS, readFaustParams } from './InstrumentRegistry.js';
 
 export class AudioSystem {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {TempoClock} [options.clock] - Tempo clock (a new one if omitted)
+   */
+  constructor(options = {}) {
     this.audioContext = null;
     this.faustNode = null;
-    this.noteMapper = new NoteMapper();
+    this.faustParamPaths = new Set();
+    // Run FAUST in a ScriptProcessorNode instead of an AudioWorklet (set
+    // before init): notes then reach the DSP synchronously, as offline
+    // renders need
+    this.faustScriptProcessor = false;
+
+    // Instrument registry: id -> {id, label, type: 'faust'|'webaudio', baseUrl?, hasEffect?}
+    this.instruments = new Map(DEFAULT_INSTRUMENTS.map(def => [def.id, def]));
+    this.instrument = 'chord_synth';
+    this.instrumentLoadId = 0;
+
+    // Controls of the loaded FAUST instrument (from its dsp/effect metadata)
+    this.instrumentParams = [];
+    // Values of instrument-specific controls: address -> value
+    this.instrumentValues = {};
+    // Addresses of the per-voice placement controls, if the DSP has them
+    this.placementPaths = { pan: null, distance: null };
+    // Global tempo clock (shared with the SimulationDriver and the rain)
+    this.clock = options.clock || new TempoClock();
+    this.noteMapper = new NoteMapper({ clock: this.clock });
 
     this.isInitialized = false;
     this.isEnabled = false;
     this.useFallback = false;
 
+    // When set, notes are still mapped but not synthesized (e.g. replay seeking)
+    this.outputSuspended = false;
+
+    // Set while a session records, so notes are logged with every output off
+    this.capturingNotes = false;
+
+    // Optional external MIDI output (see setMidiOutput)
+    this.midiOutput = null;
+
+    // Optional OSC bridge that follows the notes (see setOscBridge)
+    this.oscBridge = null;
+
     // Parameters
     this.masterGain = 0.4;     // Lower default volume
     this.brightness = 0.5;
@@ -28,6 +71,14 @@ export class AudioSystem {
     this.morph = 0.5;          // Waveform blend
     this.attackTime = 0.05;
 
+    // How much quieter the farthest drops are (0 = no distance attenuation)
+    this.distanceAttenuation = 0.5;
+
+    // 3D mode: place notes around the camera instead of left/right panning
+    this.spatial = null;
+    this.spatialEnabled = false;
+    this.airAbsorption = 0;
+
     // Reverb/Delay parameters
     this.reverbMix = 0.4;
     this.reverbRoom = 0.7;
@@ -37,32 +88,64 @@ export class AudioSystem {
 
     // Fallback synth nodes
     this.masterGainNode = null;
-
-    // Throttling to prevent audio overload at high spawn rates
-    this.minTimeBetweenNotes = 50; // ms
-    this.lastNoteTime = 0;
-
-    // Active voices for fallback synth
-    this.activeVoices = [];
+    this.ownsContext = true;
+
+    // Note budget at high spawn rates: the most salient impacts sound,
+    // near-simultaneous ones merge into chords (see DensityManager.js)
+    this.density = new DensityManager();
+
+    // Grace notes from splash droplets: level relative to a raindrop note,
+    // budgeted on their own so they never hold back raindrop notes
+    this.graceNoteGain = 0.5;
+    this.graceDensity = new DensityManager({ notesPerSecond: 8 });
+
+    // Strummed/arpeggiated chord notes waiting for their time (sorted by
+    // time), and the reused lists of notes flushPendingNotes() and
+    // triggerImpact() played
+    this.pendingNotes = [];
+    this.dueNotes = [];
+    this.playedNotes = [];
+
+    // Rhythmic quantization: notes wait for the next grid step (steps per
+    // whole note, 0 = off). In sequencer mode they also loop in a one-bar
+    // pattern (see StepSequencer.js)
+    this.quantize = 0;
+    this.quantizeMode = 'delay';  // 'delay' | 'sequencer'
+    this.sequencer = new StepSequencer(this.clock);
+
+    // Voice lifecycle for both engines (note off, stealing, polyphony)
     this.maxVoices = 16;
+    this.holdTime = 0.15;          // seconds before FAUST note off
+    this.stealPolicy = 'oldest';
+    this.voiceManager = new VoiceManager({
+      maxVoices: this.maxVoices,
+      holdTime: this.holdTime,
+      stealPolicy: this.stealPolicy,
+      onRelease: (voice) => this.releaseVoice(voice),
+      onSteal: (voice) => this.stealVoice(voice)
+    });
   }
 
   /**
    * Initialize Web Audio context (requires user gesture).
+   * Pass an existing context (e.g. an OfflineAudioContext) to render into it
+   * instead; no user gesture is needed then.
+   * @param {BaseAudioContext} [audioContext] - Context to use instead of creating one
    * @returns {Promise<boolean>} Success status
    */
-  async init() {
+  async init(audioContext = null) {
     if (this.isInitialized) return true;
 
     try {
       // Create audio context
-      this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
+      this.ownsContext = !audioContext;
+      this.audioContext = audioContext || new (window.AudioContext || window.webkitAudioContext)({
         sampleRate: 44100,
         latencyHint: 'interactive'
       });
 
       // Resume context (may be suspended until user gesture)
-      if (this.audioContext.state === 'suspended') {
+      if (this.ownsContext && this.audioContext.state === 'suspended') {
         await this.audioContext.resume();
       }
 
@@ -71,13 +154,22 @@ export class AudioSystem {
       this.masterGainNode.gain.value = this.masterGain;
       this.masterGainNode.connect(this.audioContext.destination);
 
-      // Try to load FAUST module
-      try {
-        await this.loadFaustModule();
-        console.log('FAUST module loaded successfully');
-      } catch (faustError) {
-        console.warn('FAUST module not available, using fallback synth:', faustError.message);
+      this.spatial = new SpatialAudio(this.audioContext);
+      this.spatial.setAirAbsorption(this.airAbsorption);
+
+      // Try to load the FAUST instrument (skipped if the fallback was requested up front)
+      if (this.useFallback || this.instruments.get(this.instrument)?.type !== 'faust') {
         this.useFallback = true;
+        this.instrument = 'fallback';
+      } else {
+        try {
+          this.attachFaustNode(await this.loadFaustModule(this.instrument));
+          console.log('FAUST module loaded successfully');
+        } catch (faustError) {
+          console.warn('FAUST module not available, using fallback synth:', faustError.message);
+          this.useFallback = true;
+          this.instrument = 'fallback';
+        }
       }
 
       this.isInitialized = true;
@@ -91,20 +183,55 @@ export class AudioSystem {
   }
 
   /**
-   * Load and instantiate FAUST WebAssembly module.
+   * Load and instantiate a FAUST instrument's WebAssembly modules.
+   * @param {string} id - Registered FAUST instrument id
    */
-  async loadFaustModule() {
+  async loadFaustModule(id) {
+    const definition = this.instruments.get(id);
+
     // Import the create-node module from src (gets bundled by Vite)
     const { createFaustNode } = await import('./faust/create-node.js');
 
-    // Create polyphonic FAUST node using the exported helper
-    const result = await createFaustNode(this.audioContext, 'chord_synth', this.maxVoices);
-    this.faustNode = result.faustNode;
+    // Create polyphonic FAUST node using the exported helper, with the
+    // polyphony the VoiceManager allocates
+    const result = await createFaustNode(this.audioContext, id, this.maxVoices, this.faustScriptProcessor, 256, {
+      baseUrl: definition.baseUrl,
+      hasEffect: definition.hasEffect
+    });
+    const faustNode = result.faustNode;
 
-    if (!this.faustNode) {
+    if (!faustNode) {
       throw new Error('Failed to create FAUST node');
     }
 
+    // Controls come from the metadata; the effect may repeat voice controls
+    const voiceParams = readFaustParams(result.dspMeta, 'dsp');
+    const params = [];
+    for (const param of [...voiceParams, ...readFaustParams(result.effectMeta, 'effect')]) {
+      if (!params.some(p => p.address === param.address)) params.push(param);
+    }
+
+    // Every note is placed through the voice's own pan and distance controls
+    const missing = ['pan', 'distance'].filter(name => !voiceParams.some(p => p.name === name));
+    if (missing.length > 0) {
+      faustNode.disconnect();
+      throw new Error(`Instrument ${id} has no per-voice ${missing.join('/')} control`);
+    }
+    return { faustNode, params };
+  }
+
+  /**
+   * Make a loaded FAUST node the active instrument.
+   * @param {{faustNode: Object, params: Array<Object>}} loaded - From loadFaustModule()
+   */
+  attachFaustNode({ faustNode, params }) {
+    this.faustNode = faustNode;
+    this.faustParamPaths = new Set(faustNode.getParams());
+    this.instrumentParams = params;
+
+    const findAddress = (name) => params.find(p => p.name === name && p.source === 'dsp').address;
+    this.placementPaths = { pan: findAddress('pan'), distance: findAddress('distance') };
+
     // Connect to master gain
     this.faustNode.connect(this.masterGainNode);
 
@@ -114,29 +241,228 @@ export class AudioSystem {
 
   /**
    * Update FAUST global parameters.
+   * Shared controls are matched by name to AudioSystem fields; the rest
+   * take their value from instrumentValues (or keep the DSP default).
    */
   updateFaustParams() {
     if (!this.faustNode) return;
 
     try {
-      // DSP parameters (use /chordsynth/ path from dsp-meta.json)
-      this.faustNode.setParamValue('/chordsynth/masterGain', this.masterGain);
-      this.faustNode.setParamValue('/chordsynth/filterCutoff', this.filterCutoff);
-      this.faustNode.setParamValue('/chordsynth/brightness', this.brightness);
-      this.faustNode.setParamValue('/chordsynth/morph', this.morph);
-      this.faustNode.setParamValue('/chordsynth/decayTime', this.decayTime);
-      this.faustNode.setParamValue('/chordsynth/attackTime', this.attackTime);
-      // Effect parameters (from effect-meta.json)
-      this.faustNode.setParamValue('/chordsynth/reverbMix', this.reverbMix);
-      this.faustNode.setParamValue('/chordsynth/reverbRoom', this.reverbRoom);
-      this.faustNode.setParamValue('/chordsynth/delayTime', this.delayTime);
-      this.faustNode.setParamValue('/chordsynth/delayFeedback', this.delayFeedback);
-      this.faustNode.setParamValue('/chordsynth/delayMix', this.delayMix);
+      for (const param of this.instrumentParams) {
+        if (SHARED_PARAMS.includes(param.name)) {
+          this.faustNode.setParamValue(param.address, this[param.name]);
+        } else if (this.instrumentValues[param.address] !== undefined) {
+          this.faustNode.setParamValue(param.address, this.instrumentValues[param.address]);
+        }
+      }
     } catch (e) {
       console.warn('Error setting FAUST param:', e);
     }
   }
 
+  /**
+   * Get the current synth and mapping parameters.
+   * @returns {Object} Plain parameter object (see setParams)
+   */
+  getParams() {
+    return {
+      masterGain: this.masterGain,
+      brightness: this.brightness,
+      decayTime: this.decayTime,
+      filterCutoff: this.filterCutoff,
+      morph: this.morph,
+      attackTime: this.attackTime,
+      distanceAttenuation: this.distanceAttenuation,
+      spatialEnabled: this.spatialEnabled,
+      airAbsorption: this.airAbsorption,
+      reverbMix: this.reverbMix,
+      reverbRoom: this.reverbRoom,
+      delayTime: this.delayTime,
+      delayFeedback: this.delayFeedback,
+      delayMix: this.delayMix,
+      density: this.density.getParams(),
+      holdTime: this.holdTime,
+      stealPolicy: this.stealPolicy,
+      scale: this.noteMapper.currentScale,
+      mapping: this.noteMapper.mapping,
+      chords: this.noteMapper.chords.getParams(),
+      tuning: this.noteMapper.tuning.getParams(),
+      progression: this.noteMapper.progression.getParams(),
+      clock: this.clock.getParams(),
+      quantize: this.quantize,
+      quantizeMode: this.quantizeMode,
+      sequencer: this.sequencer.getParams(),
+      rootNote: this.noteMapper.rootNote,
+      instrument: this.instrument,
+      instrumentValues: { ...this.instrumentValues }
+    };
+  }
+
+  /**
+   * Apply parameters from getParams(). Missing keys are left unchanged.
+   * An instrument change loads in the background; call setInstrument()
+   * directly to wait for it.
+   * @param {Object} params
+   */
+  setParams(params) {
+    for (const key of Object.keys(this.getParams())) {
+      if (['scale', 'mapping', 'chords', 'tuning', 'progression', 'clock', 'sequencer', 'density', 'rootNote', 'instrument', 'instrumentValues'].includes(key)) continue;
+      if (params[key] === undefined) continue;
+      this[key] = params[key];
+    }
+    if (params.instrumentValues) {
+      Object.assign(this.instrumentValues, params.instrumentValues);
+    }
+    if (params.instrument !== undefined && params.instrument !== this.instrument) {
+      this.setInstrument(params.instrument).catch((e) => {
+        console.warn(`Instrument ${params.instrument} could not be switched to:`, e);
+      });
+    }
+    if (params.scale !== undefined) {
+      this.noteMapper.setScale(params.scale);
+    }
+    if (params.mapping !== undefined) {
+      this.noteMapper.setMapping(params.mapping);
+    }
+    if (params.chords) {
+      this.noteMapper.chords.setParams(params.chords);
+    }
+    if (params.tuning) {
+      this.noteMapper.tuning.setParams(params.tuning);
+    }
+    if (params.rootNote !== undefined) {
+      this.noteMapper.setRootNote(params.rootNote);
+    }
+    if (params.progression) {
+      this.noteMapper.progression.setParams(params.progression);
+    }
+    if (params.clock) {
+      this.clock.setParams(params.clock);
+    }
+    if (params.sequencer) {
+      this.sequencer.setParams(params.sequencer);
+    }
+    if (params.density) {
+      this.setDensityParams(params.density);
+    }
+    this.voiceManager.holdTime = this.holdTime;
+    this.setStealPolicy(this.stealPolicy);
+    if (this.spatial) {
+      this.spatial.setAirAbsorption(this.airAbsorption);
+    }
+    if (this.masterGainNode) {
+      this.masterGainNode.gain.value = this.masterGain;
+    }
+    this.updateFaustParams();
+  }
+
+  /**
+   * Add an instrument to the registry.
+   * @param {{id: string, label: string, type: string, baseUrl?: string, hasEffect?: boolean}} definition
+   *   type 'faust' loads compiled files from baseUrl (default /audio/<id>/); 'webaudio' is the fallback bell
+   */
+  registerInstrument(definition) {
+    this.instruments.set(definition.id, definition);
+  }
+
+  /**
+   * Registered instruments in registration order.
+   * @returns {Array<Object>}
+   */
+  getInstruments() {
+    return Array.from(this.instruments.values());
+  }
+
+  /**
+   * Switch synth engine. Before init this only selects what init() loads.
+   * Ringing voices are released and the old engine is disconnected once the
+   * new one is ready. If a FAUST instrument fails to load, the Web Audio
+   * bell takes over.
+   * @param {string} id - Registered instrument id
+   * @returns {Promise<boolean>} Whether the requested instrument is active
+   */
+  async setInstrument(id) {
+    const definition = this.instruments.get(id);
+    if (!definition) return false;
+
+    if (!this.isInitialized) {
+      this.instrument = id;
+      this.useFallback = definition.type !== 'faust';
+      return true;
+    }
+
+    // Later calls win if loads overlap
+    const loadId = ++this.instrumentLoadId;
+    let loaded = null;
+    let ok = true;
+    if (definition.type === 'faust') {
+      try {
+        loaded = await this.loadFaustModule(id);
+      } catch (e) {
+        console.warn(`Instrument ${id} not available, using fallback synth:`, e.message);
+        ok = false;
+      }
+      if (loadId !== this.instrumentLoadId) {
+        if (loaded) loaded.faustNode.disconnect();
+        return false;
+      }
+    }
+
+    this.voiceManager.releaseAll();
+    if (this.faustNode) {
+      this.faustNode.disconnect();
+      this.faustNode = null;
+    }
+    this.faustParamPaths = new Set();
+    this.instrumentParams = [];
+    this.placementPaths = { pan: null, distance: null };
+
+    if (loaded) {
+      this.attachFaustNode(loaded);
+      this.useFallback = false;
+      this.instrument = id;
+    } else {
+      this.useFallback = true;
+      this.instrument = 'fallback';
+    }
+    return ok;
+  }
+
+  /**
+   * Shared parameters (AudioSystem fields) the active engine responds to.
+   * @returns {string[]}
+   */
+  getSupportedParams() {
+    if (this.useFallback) return FALLBACK_PARAMS;
+    return SHARED_PARAMS.filter(name => this.instrumentParams.some(p => p.name === name));
+  }
+
+  /**
+   * Controls specific to the active FAUST instrument (not shared, not per voice),
+   * with their current values, for building its UI.
+   * @returns {Array<Object>} readFaustParams() entries plus `value`
+   */
+  getInstrumentControls() {
+    return this.instrumentParams
+      .filter(p => !SHARED_PARAMS.includes(p.name) && !VOICE_PARAMS.includes(p.name))
+      .map(p => ({
+        ...p,
+        value: this.instrumentValues[p.address] !== undefined ? this.instrumentValues[p.address] : p.init
+      }));
+  }
+
+  /**
+   * Set an instrument-specific FAUST control.
+   * @param {string} address - Control address from getInstrumentControls()
+   * @param {number} value
+   */
+  setInstrumentParam(address, value) {
+    this.instrumentValues[address] = value;
+    if (this.faustNode && this.faustParamPaths.has(address)) {
+      this.faustNode.setParamValue(address, value);
+    }
+  }
+
   /**
    * Enable/disable audio output.
    * @param {boolean} enabled
@@ -260,31 +586,476 @@ export class AudioSystem {
   }
 
   /**
-   * Set chord type (kept for API compatibility, no-op).
-   * @param {number} value - Chord type (ignored)
+   * Set how much distant drops are attenuated.
+   * @param {number} value - Attenuation at the far corner (0-1)
+   */
+  setDistanceAttenuation(value) {
+    this.distanceAttenuation = value;
+  }
+
+  /**
+   * Gain factor for a note's distance from the listener.
+   * @param {Object} noteParams - From NoteMapper.mapImpact()
+   * @returns {number} 0-1
+   */
+  getDistanceGain(noteParams) {
+    return 1 - this.distanceAttenuation * noteParams.distance;
+  }
+
+  /**
+   * Switch between left/right panning and 3D placement around the camera.
+   * @param {boolean} enabled
+   */
+  setSpatialEnabled(enabled) {
+    this.spatialEnabled = enabled;
+  }
+
+  /**
+   * Set how much distant notes lose their highs in 3D mode.
+   * @param {number} value - Air absorption (0-1)
+   */
+  setAirAbsorption(value) {
+    this.airAbsorption = value;
+    if (this.spatial) {
+      this.spatial.setAirAbsorption(value);
+    }
+  }
+
+  /**
+   * Move the 3D listener to the camera (call once per frame).
+   * @param {{x: number, y: number, z: number}} position - Camera world position
+   * @param {{x: number, y: number, z: number}} forward - Camera view direction
+   * @param {{x: number, y: number, z: number}} up - Camera up vector
+   */
+  updateListener(position, forward, up) {
+    if (!this.spatial || !this.spatialEnabled) return;
+    this.spatial.updateListener(position, forward, up);
+  }
+
+  /**
+   * Whether notes are currently placed in 3D.
+   * @returns {boolean}
+   */
+  isSpatial() {
+    return this.spatialEnabled && this.spatial !== null;
+  }
+
+  /**
+   * Set how long notes are held before note off (FAUST engine).
+   * @param {number} seconds - Hold time (0.02-2)
+   */
+  setHoldTime(seconds) {
+    this.holdTime = seconds;
+    this.voiceManager.holdTime = seconds;
+  }
+
+  /**
+   * Set the voice stealing policy used when all voices are busy.
+   * @param {string} policy - 'oldest', 'quietest' or 'retrigger' (anything
+   *   else, e.g. from an old preset or OSC, falls back to 'oldest')
+   */
+  setStealPolicy(policy) {
+    if (!STEAL_POLICIES.includes(policy)) {
+      console.warn(`Unknown voice stealing policy "${policy}", using oldest`);
+      policy = 'oldest';
+    }
+    this.stealPolicy = policy;
+    this.voiceManager.stealPolicy = policy;
+  }
+
+  /**
+   * Advance voice lifecycles (note offs, finished tails).
+   * Call once per frame; offline renders call it at scheduled points.
+   */
+  update() {
+    if (!this.audioContext) return;
+    this.voiceManager.update(this.audioContext.currentTime);
+  }
+
+  /**
+   * Set chord type: each impact plays a chord built on its mapped note.
+   * @param {number} value - Index into CHORD_TYPES (-1 = single notes)
    */
   setChordType(value) {
-    // No-op - chord functionality removed
+    this.noteMapper.setChordType(value);
+  }
+
+  /**
+   * Set how chord notes are spread in time.
+   * @param {number} value - Index into CHORD_STYLES (block, strum up, strum down, arpeggio)
+   */
+  setChordStyle(value) {
+    this.noteMapper.chords.setStyle(value);
+  }
+
+  /**
+   * Set the time between strummed or arpeggiated chord notes.
+   * @param {number} value - ms
+   */
+  setChordSpread(value) {
+    this.noteMapper.chords.spread = value;
+  }
+
+  /**
+   * Enable voice leading (successive chords move as little as possible).
+   * @param {boolean} enabled
+   */
+  setVoiceLeading(enabled) {
+    this.noteMapper.chords.voiceLeading = enabled;
+  }
+
+  /**
+   * Select a built-in tuning (see TUNING_PRESETS in Tuning.js).
+   * @param {string} id
+   * @returns {boolean} Whether the tuning exists
+   */
+  setTuning(id) {
+    return this.noteMapper.tuning.setPreset(id);
+  }
+
+  /**
+   * Use a custom scale and select it.
+   * @param {Array<number>} cents - Pitches above the root (last = period)
+   * @param {string} [name]
+   */
+  setCustomScale(cents, name) {
+    this.noteMapper.tuning.setCustom(cents, name);
+  }
+
+  /**
+   * Lay keys out with a Scala keyboard mapping (null = linear from the root).
+   * @param {Object|null} keyboardMapping - From parseKeyboardMapping()
+   */
+  setKeyboardMapping(keyboardMapping) {
+    this.noteMapper.tuning.setKeyboardMapping(keyboardMapping);
+  }
+
+  /**
+   * Set the key of the scale root.
+   * @param {number} note - MIDI note (60 = C4)
+   */
+  setRootNote(note) {
+    this.noteMapper.setRootNote(note);
+  }
+
+  /**
+   * Set the reference pitch (A4) the root is tuned from.
+   * @param {number} hz
+   */
+  setReferencePitch(hz) {
+    this.noteMapper.setReferencePitch(hz);
+  }
+
+  /**
+   * Select a harmonic progression (see PROGRESSIONS in ProgressionEngine.js).
+   * @param {number} value - Progression index (-1 = static scale)
+   */
+  setProgression(value) {
+    this.noteMapper.progression.setType(value);
+  }
+
+  /**
+   * Set how many bars each harmony of the progression lasts.
+   * @param {number} bars
+   */
+  setBarsPerChange(bars) {
+    this.noteMapper.progression.setBarsPerChange(bars);
+  }
+
+  /**
+   * Set how much softer notes off the progression's chord tones play.
+   * @param {number} value - 0 (no difference) to 1
+   */
+  setChordToneWeight(value) {
+    this.noteMapper.progression.chordToneWeight = value;
+  }
+
+  /**
+   * Quantize notes to a grid of the tempo clock.
+   * @param {number} division - Steps per whole note (0 = off, 4, 8, 16)
+   */
+  setQuantize(division) {
+    this.quantize = division;
+    if (division > 0) {
+      this.sequencer.division = division;
+    }
+    this.sequencer.reset();
+  }
+
+  /**
+   * Choose what quantized notes do.
+   * @param {string} mode - 'delay' (wait for the next step) or 'sequencer' (also loop in the step pattern)
+   */
+  setQuantizeMode(mode) {
+    this.quantizeMode = mode;
+    this.sequencer.reset();
+  }
+
+  /**
+   * Set the chance a note in the step pattern plays again each bar.
+   * @param {number} value - 0-1
+   */
+  setSequencerProbability(value) {
+    this.sequencer.probability = value;
+  }
+
+  /**
+   * Set how many times a note comes round in the step pattern.
+   * @param {number} passes - Including its first play
+   */
+  setSequencerPasses(passes) {
+    this.sequencer.passes = Math.max(1, Math.round(passes));
+  }
+
+  /**
+   * Set the note budget of raindrop impacts.
+   * @param {number} notesPerSecond - Onsets per second (grace notes have their own budget)
+   */
+  setNoteBudget(notesPerSecond) {
+    this.density.setParams({ notesPerSecond });
+  }
+
+  /**
+   * Set how long near-simultaneous impacts are gathered into one onset.
+   * @param {number} ms - 0 decides every impact at once
+   */
+  setMergeWindow(ms) {
+    this.setDensityParams({ mergeWindow: ms });
+  }
+
+  /**
+   * Set how many gathered impacts can sound together as a chord.
+   * @param {number} size
+   */
+  setMaxChordSize(size) {
+    this.setDensityParams({ maxChordSize: size });
+  }
+
+  /**
+   * Set how much velocities drop as the impact rate rises.
+   * @param {number} value - 0 (constant) to 1 (inversely proportional)
+   */
+  setDensitySoftening(value) {
+    this.setDensityParams({ softening: value });
+  }
+
+  /**
+   * Apply DensityManager params; all but the budget also go to grace notes.
+   * @param {Object} params
+   */
+  setDensityParams(params) {
+    this.density.setParams(params);
+    this.graceDensity.setParams({ ...params, notesPerSecond: undefined });
+  }
+
+  /**
+   * Note budget stats of raindrop and grace impacts together.
+   * @returns {{impacts: number, played: number, merged: number, dropped: number, density: number}}
+   */
+  getDensityStats() {
+    const stats = this.density.getStats();
+    const grace = this.graceDensity.getStats();
+    for (const key of Object.keys(stats)) {
+      stats[key] += grace[key];
+    }
+    return stats;
+  }
+
+  /**
+   * Move the harmonic progression to a time.
+   * @param {number} time - Time in ms (same clock as triggerImpact)
+   * @returns {boolean} Whether the harmony changed
+   */
+  updateProgression(time) {
+    return this.noteMapper.progression.update(time / 1000);
+  }
+
+  /**
+   * Offer an impact to the note budget. Impacts are gathered for the merge
+   * window, then the most salient ones of each window are voiced, as
+   * mapped by the active note mapping (one impact may play several notes,
+   * or none).
+   * Notes are mapped whenever audio is enabled; they are only synthesized
+   * once the audio context is initialized, so headless runs still get
+   * the note stream.
+   * @param {{x: number, z: number, strength: number, diameter?: number, secondary?: boolean}} impact
+   *   Impact event (secondary = splash droplet, played as quiet grace notes)
+   * @param {number} [time] - Trigger time in ms (defaults to wall clock)
+   * @returns {Array<Object>} Mapped note parameters of the notes played now
+   *   (reused array, copy to keep; windows still gathering, delayed chord
+   *   notes and quantized notes are played by flushPendingNotes())
+   */
+  triggerImpact(impact, time = performance.now()) {
+    const played = this.playedNotes;
+    played.length = 0;
+    if (!this.isGeneratingNotes()) return played;
+
+    const rating = this.noteMapper.rateImpact(impact);
+    if (rating.key === null) return played;
+
+    const density = impact.secondary === true ? this.graceDensity : this.density;
+    density.offer(impact, rating, time);
+    return this.playDecisions(density, time, played);
+  }
+
+  /**
+   * Voice the impacts the note budget has decided on by a time. They are
+   * timed from the close of their merge window (slightly in the past when
+   * the window closed between two calls).
+   * @param {DensityManager} density
+   * @param {number} time - ms
+   * @param {Array<Object>} played - Receives the notes played now
+   * @returns {Array<Object>} played
+   */
+  playDecisions(density, time, played) {
+    // Chord mode voices every raindrop as a chord already
+    const maxChordSize = density === this.density && this.noteMapper.chords.isActive() ? 1 : density.maxChordSize;
+    for (const decision of density.takeDecisions(time, maxChordSize)) {
+      for (const impact of decision.impacts) {
+        this.voiceImpact(impact, decision.time, decision.gain, played);
+      }
+    }
+    return played;
   }
 
   /**
-   * Trigger a note for an impact event.
+   * Map an impact to notes and play them, or queue them for their time.
+   * @param {Object} impact
+   * @param {number} time - ms
+   * @param {number} gain - Note budget velocity scale
+   * @param {Array<Object>} played - Receives the notes played now
+   */
+  voiceImpact(impact, time, gain, played) {
+    const grace = impact.secondary === true;
+
+    // Notes wait for the next grid step when quantizing
+    let start = time;
+    let step = null;
+    if (this.quantize > 0) {
+      step = this.clock.getNextStepIndex(time / 1000, this.quantize);
+      start = this.clock.getStepTime(step, this.quantize) * 1000;
+    }
+
+    // Map the impact to musical parameters in the harmony of its time (the
+    // progression itself moves on with the simulation steps, which announce it)
+    const progression = this.noteMapper.progression;
+    const harmony = progression.harmony;
+    progression.harmony = progression.getHarmonyAt(start / 1000);
+    const notes = this.noteMapper.mapImpactNotes(impact);
+    progression.harmony = harmony;
+    for (const noteParams of notes) {
+      noteParams.gain *= gain;
+      if (grace) {
+        noteParams.gain *= this.graceNoteGain;
+        noteParams.grace = true;
+      }
+      noteParams.x = impact.x;
+      noteParams.z = impact.z;
+      if (step !== null && this.quantizeMode === 'sequencer') {
+        this.sequencer.add(noteParams, step);
+      }
+      // (float slack so notes already on a step aren't held for a whole frame)
+      const delay = start - time + (noteParams.delay || 0);
+      if (delay > 1e-6) {
+        noteParams.time = time + delay;
+        this.queueNote(noteParams);
+      } else {
+        noteParams.time = time;
+        this.playNote(noteParams);
+        played.push(noteParams);
+      }
+    }
+  }
+
+  /**
+   * Hold a note until its time comes (after notes due at the same time).
+   * @param {Object} noteParams - Mapped note with its play time in ms
+   */
+  queueNote(noteParams) {
+    let i = this.pendingNotes.length;
+    while (i > 0 && this.pendingNotes[i - 1].time > noteParams.time) i--;
+    this.pendingNotes.splice(i, 0, noteParams);
+  }
+
+  /**
+   * Play the notes of closed merge windows and the queued chord, quantized
+   * and sequencer notes that are due.
+   * @param {number} time - Current time in ms (same clock as triggerImpact)
+   * @returns {Array<Object>} Notes played (reused array, copy to keep)
+   */
+  flushPendingNotes(time) {
+    const due = this.dueNotes;
+    due.length = 0;
+    this.playDecisions(this.density, time, due);
+    this.playDecisions(this.graceDensity, time, due);
+
+    if (this.quantize > 0 && this.quantizeMode === 'sequencer') {
+      for (const repeat of this.sequencer.update(time / 1000)) {
+        this.queueNote(repeat);
+      }
+    }
+
+    let count = 0;
+    while (count < this.pendingNotes.length && this.pendingNotes[count].time <= time) {
+      const noteParams = this.pendingNotes[count];
+      this.playNote(noteParams);
+      due.push(noteParams);
+      count++;
+    }
+    if (count > 0) {
+      this.pendingNotes.splice(0, count);
+    }
+    return due;
+  }
+
+  /**
+   * Drop queued chord notes and gathered impacts, and forget the last chord
+   * (on reset and seeks).
+   */
+  clearPendingNotes() {
+    this.pendingNotes.length = 0;
+    this.noteMapper.chords.reset();
+    this.sequencer.reset();
+    this.density.reset();
+    this.graceDensity.reset();
+  }
+
+  /**
+   * Start the harmonic progression over (on reset, so runs repeat).
+   */
+  resetProgression() {
+    this.noteMapper.progression.reset();
+  }
+
+  /**
+   * Trigger a note for an impact position (first note of the mapping).
    * @param {number} x - Impact X position
    * @param {number} z - Impact Z position
    * @param {number} strength - Impact strength
+   * @param {number} [time] - Trigger time in ms (defaults to wall clock)
+   * @param {number} [diameter] - Drop diameter in mm (nominal drop if omitted)
+   * @param {boolean} [grace] - Quiet grace note from a splash droplet
+   * @returns {Object|null} Mapped note parameters, or null if nothing played now
+   *   (the impact may still sound when its merge window closes)
    */
-  triggerNote(x, z, strength) {
-    if (!this.isEnabled || !this.isInitialized) return;
+  triggerNote(x, z, strength, time = performance.now(), diameter, grace = false) {
+    const notes = this.triggerImpact({ x, y: 0, z, strength, diameter, secondary: grace }, time);
+    return notes.length > 0 ? notes[0] : null;
+  }
 
-    // Throttle note triggers to prevent audio overload
-    const now = performance.now();
-    if (now - this.lastNoteTime < this.minTimeBetweenNotes) {
-      return;
+  /**
+   * Send a mapped note to MIDI out and the active synth.
+   * @param {Object} noteParams
+   */
+  playNote(noteParams) {
+    if (this.outputSuspended) return;
+
+    // External MIDI output (alongside or instead of the built-in synth)
+    if (this.midiOutput && this.midiOutput.isEnabled) {
+      this.midiOutput.sendNote(noteParams);
     }
-    this.lastNoteTime = now;
 
-    // Map position to musical parameters
-    const noteParams = this.noteMapper.mapImpact(x, z, strength);
+    if (!this.isEnabled || !this.isInitialized) return;
 
     if (this.useFallback) {
       this.triggerFallbackNote(noteParams);
@@ -293,20 +1064,82 @@ export class AudioSystem {
     }
   }
 
+  /**
+   * Switch how impacts map to notes.
+   * @param {string} id - Registered mapping id (see NoteMapper.getMappings())
+   * @returns {boolean} Whether the mapping exists
+   */
+  setMapping(id) {
+    return this.noteMapper.setMapping(id);
+  }
+
+  /**
+   * Whether impacts should currently be mapped to notes: the built-in
+   * synth is enabled, an external MIDI output or OSC bridge is listening,
+   * or a session is recording them.
+   * @returns {boolean}
+   */
+  isGeneratingNotes() {
+    return this.isEnabled || this.capturingNotes ||
+      (this.midiOutput !== null && this.midiOutput.isEnabled) ||
+      (this.oscBridge !== null && this.oscBridge.isConnected);
+  }
+
+  /**
+   * Attach an external MIDI output that receives every triggered note.
+   * @param {import('../midi/MidiOutput.js').MidiOutput|null} midiOutput
+   */
+  setMidiOutput(midiOutput) {
+    this.midiOutput = midiOutput;
+  }
+
+  /**
+   * Attach an OSC bridge. It picks the notes up from the event bus; while it
+   * is connected, impacts are mapped to notes even with the synth and MIDI
+   * out off.
+   * @param {import('../osc/OscBridge.js').OscBridge|null} oscBridge
+   */
+  setOscBridge(oscBridge) {
+    this.oscBridge = oscBridge;
+  }
+
   /**
    * Trigger note using FAUST polyphonic API.
    */
   triggerFaustNote(noteParams) {
     if (!this.faustNode) return;
 
+    // FAUST tunes voices from a MIDI pitch, which may be fractional, so
+    // notes outside 12-TET keep their exact frequency. The voice is keyed
+    // by the same pitch so its keyOff finds it again.
+    const pitch = noteParams.pitch !== undefined ? noteParams.pitch : noteParams.midiNote;
+
+    // Allocate (and possibly steal) before keyOn so a stolen note is released
+    // first. keyOff releases by pitch, so a held voice on the same pitch is
+    // retriggered rather than left for the next note's keyOff to find.
+    this.voiceManager.noteOn(pitch, noteParams.gain, this.audioContext.currentTime, {
+      releaseTime: this.decayTime,
+      retrigger: true
+    });
+
     try {
-      // Set per-voice pan before triggering note
-      this.faustNode.setParamValue('/chordsynth/pan', noteParams.pan);
+      // Per-voice placement: the DSP latches these when the new voice's
+      // gate opens, so voices that are already ringing stay where they are.
+      // In 3D mode the pan and gain come from the listener pose instead.
+      let pan = noteParams.pan;
+      let distanceGain = this.getDistanceGain(noteParams);
+      if (this.isSpatial()) {
+        const placement = this.spatial.getStereoPlacement(noteParams.x, noteParams.z);
+        pan = placement.pan;
+        distanceGain = placement.gain;
+      }
+      this.faustNode.setParamValue(this.placementPaths.pan, pan);
+      this.faustNode.setParamValue(this.placementPaths.distance, distanceGain);
 
       // FAUST polyphonic API
       this.faustNode.keyOn(
         0,
-        noteParams.midiNote,
+        pitch,
         Math.round(noteParams.gain * 127)
       );
     } catch (e) {
@@ -314,6 +1147,41 @@ export class AudioSystem {
     }
   }
 
+  /**
+   * Voice hold ended: close the FAUST gate so the envelope releases.
+   * Fallback voices are percussive and need no note off.
+   * @param {Object} voice - VoiceManager record
+   */
+  releaseVoice(voice) {
+    if (this.useFallback || !this.faustNode) return;
+    try {
+      this.faustNode.keyOff(0, voice.midiNote, 0);
+    } catch (e) {
+      console.warn('FAUST keyOff error:', e);
+    }
+  }
+
+  /**
+   * Voice stolen: FAUST voices are released early, fallback voices are
+   * faded out over a few milliseconds.
+   * @param {Object} voice - VoiceManager record
+   */
+  stealVoice(voice) {
+    if (!this.useFallback) {
+      if (voice.held) this.releaseVoice(voice);
+      return;
+    }
+
+    const { voiceGain, oscillators } = voice.data;
+    const now = this.audioContext.currentTime;
+    voiceGain.gain.cancelScheduledValues(now);
+    voiceGain.gain.setValueAtTime(voiceGain.gain.value, now);
+    voiceGain.gain.linearRampToValueAtTime(0, now + 0.02);
+    oscillators.forEach(osc => {
+      try { osc.stop(now + 0.03); } catch (e) {}
+    });
+  }
+
   /**
    * Trigger note using Web Audio fallback (bell-like synthesis).
    */
@@ -321,28 +1189,29 @@ export class AudioSystem {
     const { frequency, gain, pan } = noteParams;
     const now = this.audioContext.currentTime;
 
-    // Clean up finished voices
-    this.activeVoices = this.activeVoices.filter(v => v.endTime > now);
-
-    // Limit polyphony
-    if (this.activeVoices.length >= this.maxVoices) {
-      return;
-    }
-
     // Bell-like partials (inharmonic ratios)
     const partialRatios = [1, 2, 2.97, 4.16, 5.43, 6.79];
     const partialAmps = [1, 0.7, 0.5, 0.35, 0.25, 0.15];
     const partialDecays = [1, 0.8, 0.6, 0.4, 0.25, 0.15];
 
-    // Create panner
-    const panner = this.audioContext.createStereoPanner();
-    panner.pan.value = (pan - 0.5) * 2; // Convert 0-1 to -1 to 1
-    panner.connect(this.masterGainNode);
+    // Create panner: HRTF at the impact in 3D mode, else left/right
+    let outputNodes;
+    let voiceLevel = gain * 0.15; // Scale down to prevent clipping
+    if (this.isSpatial()) {
+      const chain = this.spatial.createVoiceChain(noteParams.x, noteParams.z, this.masterGainNode);
+      outputNodes = chain.nodes;
+    } else {
+      const panner = this.audioContext.createStereoPanner();
+      panner.pan.value = (pan - 0.5) * 2; // Convert 0-1 to -1 to 1
+      panner.connect(this.masterGainNode);
+      outputNodes = [panner];
+      voiceLevel *= this.getDistanceGain(noteParams);
+    }
 
     // Create voice gain
     const voiceGain = this.audioContext.createGain();
-    voiceGain.gain.value = gain * 0.15; // Scale down to prevent clipping
-    voiceGain.connect(panner);
+    voiceGain.gain.value = voiceLevel;
+    voiceGain.connect(outputNodes[0]);
 
     // Apply brightness via filter (velocity-modulated cutoff)
     const filter = this.audioContext.createBiquadFilter();
@@ -382,12 +1251,12 @@ export class AudioSystem {
       partialGains.push(partialGain);
     }
 
-    // Track voice for cleanup
+    // Track voice (percussive: no hold, the whole decay is the tail)
     const voiceEndTime = now + this.decayTime + 0.2;
-    this.activeVoices.push({
-      endTime: voiceEndTime,
-      oscillators,
-      nodes: [panner, voiceGain, filter, ...partialGains]
+    this.voiceManager.noteOn(noteParams.midiNote, gain, now, {
+      holdTime: 0,
+      releaseTime: voiceEndTime - now,
+      data: { voiceGain, oscillators }
     });
 
     // Schedule cleanup
@@ -395,7 +1264,7 @@ export class AudioSystem {
       oscillators.forEach(osc => {
         try { osc.disconnect(); } catch (e) {}
       });
-      [panner, voiceGain, filter, ...partialGains].forEach(node => {
+      [...outputNodes, voiceGain, filter, ...partialGains].forEach(node => {
         try { node.disconnect(); } catch (e) {}
       });
     }, (voiceEndTime - now) * 1000 + 100);
@@ -403,14 +1272,19 @@ export class AudioSystem {
 
   /**
    * Process multiple impact events (called from animation loop).
-   * @param {Array<{x, z, strength}>} impacts - Array of impact events
+   * @param {Array<{x, z, strength, diameter, secondary}>} impacts - Array of impact events
+   *   (secondary = splash droplet, played as a quiet grace note)
+   * @param {number} [time] - Trigger time in ms (defaults to wall clock)
+   * @returns {Array<Object>} Notes that were triggered
    */
-  processImpacts(impacts) {
-    if (!this.isEnabled || impacts.length === 0) return;
+  processImpacts(impacts, time = performance.now()) {
+    const notes = [];
+    if (!this.isGeneratingNotes() || impacts.length === 0) return notes;
 
     for (const impact of impacts) {
-      this.triggerNote(impact.x, impact.z, impact.strength);
+      notes.push(...this.triggerImpact(impact, time));
     }
+    return notes;
   }
 
   /**
@@ -418,12 +1292,20 @@ export class AudioSystem {
    * @returns {Object} State information
    */
   getState() {
+    this.update();
     return {
       initialized: this.isInitialized,
       enabled: this.isEnabled,
       useFallback: this.useFallback,
+      instrument: this.instrument,
       contextState: this.audioContext?.state,
-      activeVoices: this.activeVoices.length,
+      activeVoices: this.voiceManager.getActiveCount(),
+      heldVoices: this.voiceManager.getHeldCount(),
+      stolenVoices: this.voiceManager.stolenCount,
+      noteBudget: this.getDensityStats(),
+      maxVoices: this.maxVoices,
+      stealPolicy: this.stealPolicy,
+      spatial: this.isSpatial(),
       masterGain: this.masterGain,
       filterCutoff: this.filterCutoff,
       brightness: this.brightness,
@@ -444,10 +1326,13 @@ export class AudioSystem {
       this.masterGainNode = null;
     }
     if (this.audioContext) {
-      this.audioContext.close();
+      if (this.ownsContext) {
+        this.audioContext.close();
+      }
       this.audioContext = null;
     }
+    this.voiceManager.releaseAll();
+    this.spatial = null;
     this.isInitialized = false;
-    this.activeVoices = [];
   }
 }
@@ -0,0 +1,210 @@
+/**
+ * Chord and arpeggio voicing for mapped notes.
+ *
+ * Each mapped note becomes the root of a chord of the selected type
+ * (semitone intervals, as in the original Plaits-style chord engine). The
+ * impact's Z position picks the inversion; with voice leading on, the
+ * inversion and octave that move the voices least from the previous chord
+ * win instead (Z breaks ties). Notes can sound together, strummed up or
+ * down, or as an up-down arpeggio; later notes carry a delay in ms that the
+ * AudioSystem waits before playing them. Voicing works in keys, so the
+ * chords follow the current tuning (just intonation gives pure chords).
+ *
+ * No random numbers are used, so seeded runs stay reproducible.
+ */
+
+export const CHORD_TYPES = [
+  { name: 'Octave', intervals: [0, 12] },
+  { name: 'Fifth', intervals: [0, 7, 12] },
+  { name: 'Sus4', intervals: [0, 5, 7, 12] },
+  { name: 'Minor', intervals: [0, 3, 7, 12] },
+  { name: 'Minor 7th', intervals: [0, 3, 7, 10] },
+  { name: 'Minor 9th', intervals: [0, 3, 10, 14] },
+  { name: 'Minor 11th', intervals: [0, 3, 10, 17] },
+  { name: '6/9', intervals: [0, 2, 9, 16] },
+  { name: 'Major 9th', intervals: [0, 4, 11, 14] },
+  { name: 'Major 7th', intervals: [0, 4, 7, 11] },
+  { name: 'Major', intervals: [0, 4, 7, 12] }
+];
+
+// How chord notes are spread in time
+export const CHORD_STYLES = ['block', 'strumUp', 'strumDown', 'arpeggio'];
+
+// Voicings are kept inside this key range
+const LOWEST_NOTE = 24;
+const HIGHEST_NOTE = 108;
+
+export class ChordVoicer {
+  constructor() {
+    this.type = -1;          // Index into CHORD_TYPES (-1 = single notes)
+    this.style = 0;          // Index into CHORD_STYLES
+    this.spread = 40;        // ms between successive strum/arpeggio notes
+    this.voiceLeading = true;
+
+    this.reset();
+  }
+
+  /**
+   * Forget the previous chord (voice leading starts fresh).
+   */
+  reset() {
+    this.previous = [];
+  }
+
+  /**
+   * @returns {boolean} Whether notes are turned into chords
+   */
+  isActive() {
+    return this.type >= 0 && this.type < CHORD_TYPES.length;
+  }
+
+  /**
+   * @param {number} type - Chord type index (-1 = off)
+   */
+  setType(type) {
+    this.type = Math.max(-1, Math.min(CHORD_TYPES.length - 1, Math.round(type)));
+  }
+
+  /**
+   * @param {number} style - Index into CHORD_STYLES
+   */
+  setStyle(style) {
+    this.style = Math.max(0, Math.min(CHORD_STYLES.length - 1, Math.round(style)));
+  }
+
+  /**
+   * @returns {{type: number, style: number, spread: number, voiceLeading: boolean}}
+   */
+  getParams() {
+    return { type: this.type, style: this.style, spread: this.spread, voiceLeading: this.voiceLeading };
+  }
+
+  /**
+   * Apply getParams() output. Missing keys are left unchanged.
+   * @param {Object} params
+   */
+  setParams(params) {
+    if (params.type !== undefined) this.setType(params.type);
+    if (params.style !== undefined) this.setStyle(params.style);
+    if (params.spread !== undefined) this.spread = params.spread;
+    if (params.voiceLeading !== undefined) this.voiceLeading = params.voiceLeading;
+  }
+
+  /**
+   * Delays (ms) of the notes after the first in the longest chord, for
+   * callers that need to schedule ahead (offline rendering).
+   * @returns {Array<number>}
+   */
+  getDelays() {
+    if (!this.isActive() || CHORD_STYLES[this.style] === 'block') return [];
+    const size = Math.max(...CHORD_TYPES.map(c => c.intervals.length));
+    const count = CHORD_STYLES[this.style] === 'arpeggio' ? size * 2 - 2 : size;
+    const delays = [];
+    for (let i = 1; i < count; i++) {
+      delays.push(i * this.spread);
+    }
+    return delays;
+  }
+
+  /**
+   * Turn a mapped key into the keys of a chord.
+   * @param {number} rootKey - Key the mapping chose (after the drop size shift)
+   * @param {number} position - Impact Z normalized to 0-1 (picks the inversion)
+   * @param {number} [keysPerOctave] - Keys per octave of the tuning; chord
+   *   intervals are scaled to it, so tunings without 12 keys get the nearest keys
+   * @returns {Array<{key: number, chordTone: number, gain: number, delay: number}>} In play order
+   */
+  voice(rootKey, position, keysPerOctave = 12) {
+    const intervals = CHORD_TYPES[this.type].intervals.map(i => Math.round(i * keysPerOctave / 12));
+    const size = intervals.length;
+    const inversion = Math.min(size - 1, Math.floor(position * size));
+
+    let best = this.buildVoicing(rootKey, intervals, inversion, 0, keysPerOctave);
+    if (this.voiceLeading && this.previous.length > 0) {
+      let bestCost = this.getMovement(best);
+      for (let candidate = 0; candidate < size; candidate++) {
+        for (const shift of [-keysPerOctave, 0, keysPerOctave]) {
+          const voicing = this.buildVoicing(rootKey, intervals, candidate, shift, keysPerOctave);
+          if (voicing[0] < LOWEST_NOTE || voicing[size - 1] > HIGHEST_NOTE) continue;
+          const cost = this.getMovement(voicing);
+          if (cost < bestCost) {
+            bestCost = cost;
+            best = voicing;
+          }
+        }
+      }
+    }
+    this.previous = best;
+
+    // Play order and timing
+    const order = best.map((_, i) => i);
+    const style = CHORD_STYLES[this.style];
+    if (style === 'strumDown') {
+      order.reverse();
+    } else if (style === 'arpeggio') {
+      for (let i = size - 2; i > 0; i--) order.push(i);
+    }
+
+    // Keep chords about as loud as single notes
+    const gain = Math.pow(size, -0.25);
+    return order.map((tone, i) => ({
+      key: best[tone],
+      chordTone: tone,
+      gain,
+      delay: style === 'block' ? 0 : i * this.spread
+    }));
+  }
+
+  /**
+   * Chord keys in an inversion, lowest first. The bass stays within the
+   * octave above the root, so inversions don't climb out of the register
+   * the mapping chose.
+   * @param {number} rootKey
+   * @param {Array<number>} intervals - Keys above the root
+   * @param {number} inversion - How many of the lowest notes move up an octave
+   * @param {number} shift - Keys added to every note
+   * @param {number} octave - Keys per octave
+   * @returns {Array<number>} Keys
+   */
+  buildVoicing(rootKey, intervals, inversion, shift, octave) {
+    const notes = intervals.map(interval => rootKey + interval);
+    for (let i = 0; i < inversion; i++) {
+      // Octave doublings would land on an existing note: go up another octave
+      let note = notes.shift() + octave;
+      while (notes.includes(note)) note += octave;
+      notes.push(note);
+    }
+    notes.sort((a, b) => a - b);
+
+    const octaves = Math.floor((notes[0] - rootKey) / octave);
+    for (let i = 0; i < notes.length; i++) {
+      notes[i] += shift - octaves * octave;
+    }
+    return notes;
+  }
+
+  /**
+   * Total keys the voices move from the previous chord. Chords of
+   * different sizes compare each note with its nearest previous note.
+   * @param {Array<number>} voicing
+   * @returns {number}
+   */
+  getMovement(voicing) {
+    const previous = this.previous;
+    let total = 0;
+    if (previous.length === voicing.length) {
+      for (let i = 0; i < voicing.length; i++) {
+        total += Math.abs(voicing[i] - previous[i]);
+      }
+      return total;
+    }
+    for (const note of voicing) {
+      let nearest = Infinity;
+      for (const other of previous) {
+        nearest = Math.min(nearest, Math.abs(note - other));
+      }
+      total += nearest;
+    }
+    return total;
+  }
+}
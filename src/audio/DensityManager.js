@@ -0,0 +1,221 @@
+/**
+ * Density-aware note budget for the AudioSystem.
+ *
+ * Impacts are not voiced the moment they land: near-simultaneous ones are
+ * gathered for a short merge window and decided on together. A window that
+ * sounds spends one onset from a budget that refills at notesPerSecond
+ * (with a quarter second of burst allowance). The salience a window needs
+ * rises as the budget drains, so in heavy rain the last onsets go to strong
+ * drops and chord tones rather than to whatever lands first; windows below
+ * it, or that find the budget empty, are dropped. Inside a window the most
+ * salient impacts win (strength, and chord tones while a progression plays)
+ * and up to maxChordSize of them
+ * sound together as a chord; impacts on a key already chosen are folded
+ * into that note. As the impact rate climbs past referenceDensity,
+ * velocities are scaled down smoothly, so heavy rain gets denser rather
+ * than louder.
+ *
+ * Decisions depend only on the impacts and their times (no random numbers),
+ * so seeded runs stay reproducible.
+ */
+
+// Seconds of onsets the budget can save up
+const BURST_SECONDS = 0.25;
+
+// Salience a window needs to take the budget's last onset (none while it is full)
+const SALIENCE_AT_EMPTY = 0.8;
+
+// Time constant of the impact rate average (seconds)
+const DENSITY_TIME_CONSTANT = 1;
+
+export class DensityManager {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.notesPerSecond] - Onset budget (default 12)
+   */
+  constructor(options = {}) {
+    this.notesPerSecond = options.notesPerSecond || 12;
+    this.mergeWindow = 30;       // ms impacts are gathered before a decision (0 = decide at once)
+    this.maxChordSize = 3;       // Impacts that can sound together in one window
+    this.referenceDensity = 8;   // Impacts per second before velocities are scaled down
+    this.softening = 0.5;        // 0 = constant velocity, 1 = velocity inversely proportional to density
+    this.minGain = 0.25;
+
+    this.decisions = [];         // Reused by takeDecisions()
+    this.reset();
+  }
+
+  /**
+   * Forget open windows, the impact rate and the stats; the budget starts full.
+   */
+  reset() {
+    this.tokens = this.getBurst();
+    this.refillTime = null;
+    this.window = null;          // Open window {due, candidates}
+    this.closed = [];            // Windows waiting for a decision
+    this.density = 0;            // Impacts per second (exponential average)
+    this.densityTime = null;
+    this.stats = { impacts: 0, played: 0, merged: 0, dropped: 0 };
+  }
+
+  /**
+   * @returns {number} Onsets the budget holds when full
+   */
+  getBurst() {
+    return Math.max(1, this.notesPerSecond * BURST_SECONDS);
+  }
+
+  /**
+   * @returns {{notesPerSecond: number, mergeWindow: number, maxChordSize: number, softening: number}}
+   */
+  getParams() {
+    return {
+      notesPerSecond: this.notesPerSecond,
+      mergeWindow: this.mergeWindow,
+      maxChordSize: this.maxChordSize,
+      softening: this.softening
+    };
+  }
+
+  /**
+   * Apply getParams() output. Missing keys are left unchanged.
+   * @param {Object} params
+   */
+  setParams(params) {
+    if (params.notesPerSecond !== undefined) this.notesPerSecond = Math.max(0.5, params.notesPerSecond);
+    if (params.mergeWindow !== undefined) this.mergeWindow = Math.max(0, params.mergeWindow);
+    if (params.maxChordSize !== undefined) this.maxChordSize = Math.max(1, Math.round(params.maxChordSize));
+    if (params.softening !== undefined) this.softening = Math.max(0, Math.min(1, params.softening));
+  }
+
+  /**
+   * Counts since the last reset: impacts offered, impacts that started an
+   * onset, impacts merged into another's onset (as a chord note or onto the
+   * same key) and impacts dropped, plus the current impact rate.
+   * @param {number} [time] - ms (defaults to the last impact)
+   * @returns {{impacts: number, played: number, merged: number, dropped: number, density: number}}
+   */
+  getStats(time = this.densityTime) {
+    return { ...this.stats, density: this.getDensity(time) };
+  }
+
+  /**
+   * Average impact rate at a time.
+   * @param {number} time - ms
+   * @returns {number} Impacts per second
+   */
+  getDensity(time) {
+    if (this.densityTime === null) return 0;
+    const age = Math.max(0, time - this.densityTime) / 1000;
+    return this.density * Math.exp(-age / DENSITY_TIME_CONSTANT);
+  }
+
+  /**
+   * Velocity scale for the impact rate at a time.
+   * @param {number} time - ms
+   * @returns {number} minGain-1
+   */
+  getDensityGain(time) {
+    const density = this.getDensity(time);
+    if (density <= this.referenceDensity) return 1;
+    return Math.max(this.minGain, Math.pow(this.referenceDensity / density, this.softening));
+  }
+
+  /**
+   * Add an impact to the open merge window (opening one if needed).
+   * @param {Object} impact
+   * @param {{key: number, salience: number}} rating - From NoteMapper.rateImpact()
+   * @param {number} time - ms
+   */
+  offer(impact, rating, time) {
+    this.stats.impacts++;
+    this.density = this.getDensity(time) + 1 / DENSITY_TIME_CONSTANT;
+    this.densityTime = time;
+
+    if (this.window && time > this.window.due) {
+      this.closed.push(this.window);
+      this.window = null;
+    }
+    if (!this.window) {
+      this.window = { due: time + this.mergeWindow, candidates: [] };
+    }
+    const candidates = this.window.candidates;
+    candidates.push({ impact, key: rating.key, salience: rating.salience, order: candidates.length });
+  }
+
+  /**
+   * Decide on the windows that have closed by a time.
+   * @param {number} time - ms
+   * @param {number} [maxChordSize] - Override the chord size (1 when every impact is voiced as a chord anyway)
+   * @returns {Array<{impacts: Array<Object>, gain: number, time: number}>} Impacts to voice, most
+   *   salient first, the gain to play them with and the time their window closed (reused array)
+   */
+  takeDecisions(time, maxChordSize = this.maxChordSize) {
+    const decisions = this.decisions;
+    decisions.length = 0;
+
+    if (this.window && this.window.due <= time) {
+      this.closed.push(this.window);
+      this.window = null;
+    }
+    for (const window of this.closed) {
+      const decision = this.decide(window, maxChordSize);
+      if (decision) decisions.push(decision);
+    }
+    this.closed.length = 0;
+    return decisions;
+  }
+
+  /**
+   * Salience a window needs to sound with the budget as it is now.
+   * @returns {number} 0 with a full budget, rising to SALIENCE_AT_EMPTY at the last onset
+   */
+  getSalienceThreshold() {
+    const burst = this.getBurst();
+    if (burst <= 1) return 0;
+    const drained = 1 - (this.tokens - 1) / (burst - 1);
+    return SALIENCE_AT_EMPTY * Math.max(0, Math.min(1, drained));
+  }
+
+  /**
+   * Spend an onset on a window and pick its impacts.
+   * @param {{due: number, candidates: Array<Object>}} window
+   * @param {number} maxChordSize
+   * @returns {{impacts: Array<Object>, gain: number, time: number}|null} null if the budget is
+   *   empty or the window's best impact is below the salience threshold
+   */
+  decide(window, maxChordSize) {
+    const time = window.due;
+    if (this.refillTime !== null) {
+      this.tokens = Math.min(this.getBurst(), this.tokens + (time - this.refillTime) / 1000 * this.notesPerSecond);
+    }
+    this.refillTime = time;
+
+    const candidates = window.candidates;
+    candidates.sort((a, b) => b.salience - a.salience || a.order - b.order);
+    if (this.tokens < 1 || candidates[0].salience < this.getSalienceThreshold()) {
+      this.stats.dropped += candidates.length;
+      return null;
+    }
+    this.tokens -= 1;
+
+    const impacts = [];
+    const keys = [];
+    for (const candidate of candidates) {
+      if (keys.includes(candidate.key)) {
+        this.stats.merged++;
+      } else if (impacts.length >= maxChordSize) {
+        this.stats.dropped++;
+      } else {
+        if (impacts.length === 0) this.stats.played++;
+        else this.stats.merged++;
+        impacts.push(candidate.impact);
+        keys.push(candidate.key);
+      }
+    }
+
+    // Merged chords stay about as loud as single notes (as in ChordVoicer)
+    const gain = this.getDensityGain(time) * Math.pow(impacts.length, -0.25);
+    return { impacts, gain, time };
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Built-in impact-to-note mappings for the NoteMapper.
+ *
+ * A mapping is a plugin object:
+ *
+ *   {
+ *     id: 'rings',
+ *     label: 'Radial Rings',
+ *     map(impact, mapper) { return { midiNote: 60 }; },
+ *     findPosition(midiNote, mapper) { return { x, z }; }   // optional
+ *   }
+ *
+ * map() receives the full impact ({x, y, z, strength, diameter, speed,
+ * energy, slope, time, secondary}; y is the local water height) and returns
+ * one note, an array of notes or null. A note needs a midiNote; gain, pan,
+ * distance, noteIndex and octaveOffset are filled in by the NoteMapper when
+ * left out, and any other fields are passed through to the note event.
+ * Mappings must not draw random numbers, so seeded runs stay reproducible.
+ *
+ * findPosition() is the inverse used to drop rain for incoming MIDI notes;
+ * without it the NoteMapper searches the lake for a matching position.
+ */
+
+// Golden angle (radians), spreads Voronoi sites evenly over the disc
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+/**
+ * X -> scale degree, Z -> octave (the original lake layout).
+ */
+export const gridMapping = {
+  id: 'grid',
+  label: 'Grid',
+  map(impact, mapper) {
+    return mapper.mapGrid(impact.x, impact.z);
+  },
+  findPosition(midiNote, mapper) {
+    return mapper.findGridPosition(midiNote);
+  }
+};
+
+/**
+ * Distance from the center -> pitch: concentric rings, lowest in the middle.
+ */
+export const ringsMapping = {
+  id: 'rings',
+  label: 'Radial Rings',
+  map(impact, mapper) {
+    const steps = mapper.getScaleSteps();
+    const radius = Math.min(1, Math.hypot(impact.x, impact.z) / mapper.lakeHalf);
+    return { midiNote: mapper.scaleNote(Math.min(steps - 1, Math.floor(radius * steps))) };
+  }
+};
+
+/**
+ * Angle around the center -> pitch class (one sector per scale degree,
+ * counterclockwise from +X), distance from the center -> octave.
+ */
+export const angleMapping = {
+  id: 'angle',
+  label: 'Angle',
+  map(impact, mapper) {
+    const degrees = mapper.getScale().length;
+    const angle = (Math.atan2(impact.z, impact.x) + Math.PI * 2) % (Math.PI * 2);
+    const degree = Math.min(degrees - 1, Math.floor(angle / (Math.PI * 2) * degrees));
+    const radius = Math.min(1, Math.hypot(impact.x, impact.z) / mapper.lakeHalf);
+    const octave = Math.min(mapper.numOctaves - 1, Math.floor(radius * mapper.numOctaves));
+    return { midiNote: mapper.scaleNote(octave * degrees + degree), noteIndex: degree, octaveOffset: octave };
+  }
+};
+
+/**
+ * Voronoi zones: the lake is split into cells around fixed sites and each
+ * cell plays one scale step (inner sites low, outer sites high).
+ * @param {number} [count] - Number of zones
+ * @returns {Object} Mapping definition
+ */
+export function createVoronoiMapping(count = 16) {
+  // Sunflower spiral: deterministic, evenly spaced, ordered by radius
+  const sites = [];
+  for (let i = 0; i < count; i++) {
+    const radius = Math.sqrt((i + 0.5) / count) * 9;
+    sites.push({ x: Math.cos(i * GOLDEN_ANGLE) * radius, z: Math.sin(i * GOLDEN_ANGLE) * radius });
+  }
+
+  return {
+    id: 'voronoi',
+    label: 'Voronoi Zones',
+    sites,
+    map(impact, mapper) {
+      let zone = 0;
+      let best = Infinity;
+      for (let i = 0; i < sites.length; i++) {
+        const dx = impact.x - sites[i].x;
+        const dz = impact.z - sites[i].z;
+        const distance = dx * dx + dz * dz;
+        if (distance < best) {
+          best = distance;
+          zone = i;
+        }
+      }
+      return { midiNote: mapper.scaleNote(zone % mapper.getScaleSteps()), zone };
+    }
+  };
+}
+
+/**
+ * Pitch heightmap: a grayscale image laid over the lake, brighter = higher
+ * (snapped to the current scale). Until an image is loaded a built-in
+ * pattern of soft hills is used.
+ * @returns {Object} Mapping definition with setPitchMap()
+ */
+export function createHeightmapMapping() {
+  const mapping = {
+    id: 'heightmap',
+    label: 'Pitch Image',
+    pitchMap: createDefaultPitchMap(64),
+
+    /**
+     * @param {{width: number, height: number, values: Float32Array}|null} pitchMap - null restores the default
+     */
+    setPitchMap(pitchMap) {
+      this.pitchMap = pitchMap || createDefaultPitchMap(64);
+    },
+
+    map(impact, mapper) {
+      const { width, height, values } = this.pitchMap;
+      // Image top = far edge (z = -10), left = x = -10
+      const u = Math.max(0, Math.min(1, (impact.x + mapper.lakeHalf) / mapper.lakeSize));
+      const v = Math.max(0, Math.min(1, (impact.z + mapper.lakeHalf) / mapper.lakeSize));
+      const value = values[Math.round(v * (height - 1)) * width + Math.round(u * (width - 1))];
+      const steps = mapper.getScaleSteps();
+      return { midiNote: mapper.scaleNote(Math.min(steps - 1, Math.floor(value * steps))) };
+    }
+  };
+  return mapping;
+}
+
+/**
+ * Soft hills used by the heightmap mapping before an image is loaded.
+ * @param {number} size - Width and height in pixels
+ * @returns {{width: number, height: number, values: Float32Array}}
+ */
+function createDefaultPitchMap(size) {
+  const values = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const u = x / (size - 1) * Math.PI * 2;
+      const v = y / (size - 1) * Math.PI * 2;
+      const hills = Math.sin(u * 1.5) * Math.cos(v) + 0.5 * Math.sin(u * 0.7 + v * 2.1 + 1);
+      values[y * size + x] = Math.max(0, Math.min(1, 0.5 + hills / 3));
+    }
+  }
+  return { width: size, height: size, values };
+}
+
+/**
+ * Read an image into a pitch map (luminance 0-1), scaled down to at most
+ * maxSize pixels across.
+ * @param {Blob} blob - Image file
+ * @param {number} [maxSize]
+ * @returns {Promise<{width: number, height: number, values: Float32Array}>}
+ */
+export async function loadPitchMap(blob, maxSize = 256) {
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+  const width = Math.max(1, Math.round(bitmap.width * scale));
+  const height = Math.max(1, Math.round(bitmap.height * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  const pixels = context.getImageData(0, 0, width, height).data;
+
+  const values = new Float32Array(width * height);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = (0.2126 * pixels[i * 4] + 0.7152 * pixels[i * 4 + 1] + 0.0722 * pixels[i * 4 + 2]) / 255;
+  }
+  return { width, height, values };
+}
+
+/**
+ * Fresh instances of the built-in mappings, in display order.
+ * @returns {Array<Object>}
+ */
+export function createBuiltinMappings() {
+  return [gridMapping, ringsMapping, createVoronoiMapping(), createHeightmapMapping(), angleMapping];
+}
@@ -0,0 +1,66 @@
+/**
+ * Synth engines the AudioSystem can switch between at runtime, and helpers
+ * for reading an engine's controls out of its FAUST metadata.
+ *
+ * FAUST instruments are compiled with `npm run build:faust` into
+ * public/audio/<id>/ (dsp-meta.json, dsp-module.wasm, mixer-module.wasm and
+ * optionally effect-meta.json + effect-module.wasm). The Web Audio bell
+ * needs no files and is always available.
+ */
+
+export const DEFAULT_INSTRUMENTS = [
+  { id: 'chord_synth', label: 'Chord Synth', type: 'faust' },
+  { id: 'bell_synth', label: 'Bell Synth', type: 'faust' },
+  { id: 'fallback', label: 'Web Audio Bell', type: 'webaudio' }
+];
+
+// AudioSystem fields that every engine reads, under the FAUST control name
+// they match. Their sliders are shared across engines.
+export const SHARED_PARAMS = [
+  'masterGain', 'brightness', 'decayTime', 'filterCutoff', 'morph', 'attackTime',
+  'reverbMix', 'reverbRoom', 'delayTime', 'delayFeedback', 'delayMix'
+];
+
+// Shared parameters the Web Audio bell responds to
+export const FALLBACK_PARAMS = ['masterGain', 'brightness', 'decayTime', 'filterCutoff', 'attackTime'];
+
+// Controls set per note (keyOn/keyOff or latched placement), never shown as knobs
+export const VOICE_PARAMS = ['freq', 'gain', 'gate', 'pan', 'distance'];
+
+// FAUST UI item types that are user controls
+const CONTROL_TYPES = ['hslider', 'vslider', 'nentry', 'checkbox', 'button'];
+
+/**
+ * List the controls described by FAUST metadata.
+ * @param {Object|null} meta - Parsed dsp-meta.json or effect-meta.json
+ * @param {string} source - 'dsp' or 'effect'
+ * @returns {Array<{address: string, name: string, label: string, type: string, min: number, max: number, step: number, init: number, source: string}>}
+ */
+export function readFaustParams(meta, source) {
+  const params = [];
+  if (!meta || !meta.ui) return params;
+
+  const walk = (items) => {
+    for (const item of items) {
+      if (item.items) {
+        walk(item.items);
+      } else if (CONTROL_TYPES.includes(item.type)) {
+        const toggle = item.type === 'checkbox' || item.type === 'button';
+        params.push({
+          address: item.address,
+          name: item.shortname || item.label,
+          label: item.label,
+          type: item.type,
+          min: toggle ? 0 : item.min,
+          max: toggle ? 1 : item.max,
+          step: toggle ? 1 : item.step,
+          init: item.init || 0,
+          source
+        });
+      }
+    }
+  };
+  walk(meta.ui);
+
+  return params;
+}
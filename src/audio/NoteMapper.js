@@ -1,13 +1,40 @@
 /**
- * Maps lake surface positions to musical notes using selectable scales.
+ * Maps impacts on the lake surface to musical notes using selectable scales.
  *
- * Lake dimensions: 20x20 units, centered at origin
+ * Lake dimensions: 20x20 units, centered at origin. Which note an impact
+ * plays is decided by the active mapping plugin (see ImpactMappings.js);
+ * the default grid mapping uses:
  * X-axis: -10 to +10 (horizontal) -> Note selection within current scale
  * Z-axis: -10 to +10 (vertical) -> Octave selection (3 octaves)
+ *
+ * Stereo placement assumes a listener at the front edge (z = +10), where
+ * the default camera looks from. Impact strength sets the velocity, and
+ * large drops sound an octave lower (a bigger drop makes a deeper plunk).
+ * In chord mode each mapped note becomes a chord (see ChordVoicer.js).
+ *
+ * Mappings and chords work in keys (MIDI note numbering); the tuning (see
+ * Tuning.js) decides what frequency each key plays. The scales above are
+ * semitone patterns for 12-key tunings; tunings with another number of keys
+ * per period use all of their degrees. Notes carry the exact frequency plus
+ * the nearest 12-TET MIDI note and the bend (semitones) from it.
+ *
+ * While a harmonic progression plays (see ProgressionEngine.js) it moves
+ * the key and replaces the scale with its mode; notes off the current
+ * chord tones are played softer.
  */
 
+import { NOMINAL_DIAMETER } from '../particles/DropPhysics.js';
+import { createBuiltinMappings } from './ImpactMappings.js';
+import { ChordVoicer } from './ChordVoicer.js';
+import { Tuning } from './Tuning.js';
+import { ProgressionEngine } from './ProgressionEngine.js';
+
 export class NoteMapper {
-  constructor() {
+  /**
+   * @param {Object} [options]
+   * @param {import('../core/TempoClock.js').TempoClock} [options.clock] - Tempo clock the progression follows
+   */
+  constructor(options = {}) {
     // Available scales (intervals in semitones from root)
     this.scales = {
       0: { name: 'Pentatonic', intervals: [0, 2, 4, 7, 9] },           // C D E G A
@@ -24,10 +51,123 @@ export class NoteMapper {
     this.lakeHalf = 10;
     this.numOctaves = 3;
     this.baseOctave = 3;
-    this.rootNote = 60;  // C4 = MIDI 60
+    this.rootNote = 60;  // C4 = MIDI 60 (key of the scale root)
+    this.tuning = new Tuning();
+    this.progression = new ProgressionEngine({ clock: options.clock });
+
+    // Drops at least this big (mm) play an octave down (null = off)
+    this.largeDropDiameter = 3;
+
+    // Chord mode (off until a chord type is chosen)
+    this.chords = new ChordVoicer();
+
+    // Mapping plugins (id -> definition) and the active one
+    this.mappings = new Map();
+    for (const mapping of createBuiltinMappings()) {
+      this.registerMapping(mapping);
+    }
+    this.mapping = 'grid';
+  }
+
+  /**
+   * Add an impact-to-note mapping (replaces one with the same id).
+   * @param {{id: string, label: string, map: Function, findPosition?: Function}} definition
+   */
+  registerMapping(definition) {
+    this.mappings.set(definition.id, definition);
+  }
+
+  /**
+   * Registered mappings in registration order.
+   * @returns {Array<Object>}
+   */
+  getMappings() {
+    return Array.from(this.mappings.values());
+  }
+
+  /**
+   * Switch the active mapping.
+   * @param {string} id - Registered mapping id
+   * @returns {boolean} Whether the mapping exists
+   */
+  setMapping(id) {
+    if (!this.mappings.has(id)) return false;
+    this.mapping = id;
+    return true;
+  }
+
+  /**
+   * @returns {Object} Active mapping definition
+   */
+  getMapping() {
+    return this.mappings.get(this.mapping) || this.mappings.get('grid');
+  }
+
+  /**
+   * Keys of the current scale (or the progression's mode) above the key
+   * root. Tunings that don't have 12 keys per period use every key.
+   * @returns {Array<number>}
+   */
+  getScale() {
+    const keys = this.getKeysPerOctave();
+    if (keys === 12) return this.progression.getIntervals() || this.scales[this.currentScale].intervals;
+    if (!this.allKeys || this.allKeys.length !== keys) {
+      this.allKeys = Array.from({ length: keys }, (_, i) => i);
+    }
+    return this.allKeys;
+  }
+
+  /**
+   * Keys per octave (per period, for non-octave tunings).
+   * @returns {number}
+   */
+  getKeysPerOctave() {
+    return this.tuning.getKeysPerPeriod();
+  }
+
+  /**
+   * Number of scale steps across the whole octave range.
+   * @returns {number}
+   */
+  getScaleSteps() {
+    return this.getScale().length * this.numOctaves;
+  }
+
+  /**
+   * Key of a scale step counted from the bottom of the range
+   * (step 0 = root one octave down, as in the grid's front row).
+   * @param {number} step - 0 to getScaleSteps() - 1
+   * @returns {number} Key (MIDI note in 12-TET)
+   */
+  scaleNote(step) {
+    const scale = this.getScale();
+    const octave = Math.floor(step / scale.length);
+    return this.getKeyRoot() + scale[step - octave * scale.length] + (octave - 1) * this.getKeysPerOctave();
+  }
+
+  /**
+   * Key the scale starts on: the root note, moved by the progression's
+   * current harmony. The tuning stays anchored to the root note.
+   * @returns {number}
+   */
+  getKeyRoot() {
+    return this.rootNote + this.progression.getKeyOffset(this.getKeysPerOctave());
+  }
 
-    // Pre-calculate frequencies for all possible notes
-    this.frequencyTable = this.buildFrequencyTable();
+  /**
+   * Set the key of the scale root.
+   * @param {number} note - MIDI note (60 = C4)
+   */
+  setRootNote(note) {
+    this.rootNote = Math.max(24, Math.min(96, Math.round(note)));
+  }
+
+  /**
+   * Set the reference pitch the root is tuned from (A4 in Hz).
+   * @param {number} hz
+   */
+  setReferencePitch(hz) {
+    this.tuning.referencePitch = Math.max(200, Math.min(1000, hz));
   }
 
   /**
@@ -39,43 +179,174 @@ export class NoteMapper {
   }
 
   /**
-   * Set the current chord type (kept for API compatibility).
-   * @param {number} chordType - Chord type index (ignored)
+   * Set the current chord type.
+   * @param {number} chordType - Chord type index (-1 = single notes)
    */
   setChordType(chordType) {
-    // No-op - chord functionality removed
+    this.chords.setType(chordType);
   }
 
   /**
-   * Build lookup table of frequencies for all notes across octaves.
-   * @returns {Map<number, number>} MIDI note -> frequency (Hz)
+   * Frequency a key plays in the current tuning.
+   * @param {number} key
+   * @returns {number|null} Hz, or null for a key the keyboard mapping leaves out
    */
-  buildFrequencyTable() {
-    const table = new Map();
-    // Cover octaves 2-6 for safety margin
-    for (let midi = 36; midi <= 96; midi++) {
-      table.set(midi, this.midiToFrequency(midi));
-    }
-    return table;
+  toFrequency(key) {
+    return this.tuning.getFrequency(key, this.rootNote);
   }
 
   /**
-   * Convert MIDI note number to frequency.
+   * Convert MIDI note number to its 12-TET frequency at the reference pitch.
    * @param {number} midi - MIDI note number (0-127)
    * @returns {number} Frequency in Hz
    */
   midiToFrequency(midi) {
-    return 440 * Math.pow(2, (midi - 69) / 12);
+    return this.tuning.referencePitch * Math.pow(2, (midi - 69) / 12);
+  }
+
+  /**
+   * Map an impact to notes with the active mapping. In chord mode every
+   * mapped note (except for splash grace notes) is voiced as a chord whose
+   * later notes carry a delay (ms).
+   * @param {{x: number, z: number, strength: number, diameter?: number, secondary?: boolean}} impact - Full impact event
+   * @returns {Array<Object>} Notes {frequency, gain, pan, distance, key, midiNote, pitch, bend, noteIndex, octaveOffset, onChordTone, diameter, ...}
+   */
+  mapImpactNotes(impact) {
+    const result = this.getMapping().map(impact, this);
+    if (!result) return [];
+
+    const mapped = Array.isArray(result) ? result : [result];
+    const notes = [];
+    const chords = this.chords.isActive() && impact.secondary !== true;
+    for (const note of mapped) {
+      // Drop size -> register
+      let key = note.midiNote;
+      if (this.largeDropDiameter !== null && (impact.diameter || NOMINAL_DIAMETER) >= this.largeDropDiameter) {
+        key -= this.getKeysPerOctave();
+      }
+
+      if (!chords) {
+        const single = this.completeNote(note, impact, key);
+        if (single) notes.push(single);
+        continue;
+      }
+
+      const position = Math.max(0, Math.min(1, (impact.z + this.lakeHalf) / this.lakeSize));
+      for (const tone of this.chords.voice(key, position, this.getKeysPerOctave())) {
+        const chordNote = this.completeNote(note, impact, tone.key);
+        if (!chordNote) continue;
+        chordNote.gain *= tone.gain;
+        chordNote.chordTone = tone.chordTone;
+        chordNote.delay = tone.delay;
+        notes.push(chordNote);
+      }
+    }
+    return notes;
   }
 
   /**
-   * Map impact position to musical parameters.
+   * Map impact position to musical parameters (first note of the active mapping).
    * @param {number} x - X position (-10 to +10)
    * @param {number} z - Z position (-10 to +10)
    * @param {number} strength - Impact strength (0 to ~0.8)
-   * @returns {Object} {frequency, gain, pan, midiNote, noteIndex, octaveOffset}
+   * @param {number} [diameter] - Drop diameter (mm)
+   * @returns {Object|null} {frequency, gain, pan, distance, midiNote, noteIndex, octaveOffset, diameter}
+   */
+  mapImpact(x, z, strength, diameter = NOMINAL_DIAMETER) {
+    return this.mapImpactNotes({ x, y: 0, z, strength, diameter })[0] || null;
+  }
+
+  /**
+   * How much an impact stands out, for the DensityManager: its strength,
+   * plus a bonus on the current chord tones while a progression plays.
+   * Only the mapping is consulted (no chord voicing), so rating an impact
+   * that is then dropped changes nothing.
+   * @param {{x: number, z: number, strength: number, diameter?: number}} impact
+   * @returns {{key: number|null, salience: number}} Mapped key (null if the mapping plays nothing)
+   */
+  rateImpact(impact) {
+    const result = this.getMapping().map(impact, this);
+    const note = Array.isArray(result) ? result[0] : result;
+    if (!note) return { key: null, salience: 0 };
+
+    let salience = Math.min(impact.strength, 0.8) / 0.8;
+    if (this.progression.isActive() &&
+        this.progression.isChordTone(note.midiNote - this.getKeyRoot(), this.getKeysPerOctave())) {
+      salience += this.progression.chordToneWeight * 0.5;
+    }
+    return { key: note.midiNote, salience };
+  }
+
+  /**
+   * Fill in what a mapping left out: frequency from the tuning, velocity
+   * from strength, pan and distance from position.
+   * @param {{midiNote: number}} note - Mapping output (midiNote is a key)
+   * @param {{x: number, z: number, strength: number, diameter?: number}} impact
+   * @param {number} [key] - Key to play (defaults to the mapped one)
+   * @returns {Object|null} Complete note parameters, or null for an unmapped key
+   */
+  completeNote(note, impact, key = note.midiNote) {
+    const frequency = this.toFrequency(key);
+    if (frequency === null) return null;
+
+    // Nearest 12-TET note at A440 and the bend to the exact pitch (semitones)
+    const pitch = 69 + 12 * Math.log2(frequency / 440);
+    const midiNote = Math.round(pitch);
+    const bend = Math.abs(pitch - midiNote) < 1e-6 ? 0 : pitch - midiNote;
+
+    // Clamp positions to lake bounds
+    const clampedX = Math.max(-this.lakeHalf, Math.min(this.lakeHalf, impact.x));
+    const clampedZ = Math.max(-this.lakeHalf, Math.min(this.lakeHalf, impact.z));
+
+    // Strength -> Gain (scale to musical dynamics)
+    // Impact strength is typically 0-0.8, map to 0.3-1.0 for audible range
+    let gain = note.gain !== undefined ? note.gain : 0.3 + Math.min(impact.strength, 0.8) * 0.875;
+
+    // Progression: chord tones stand out, other notes are played softer
+    const keys = this.getKeysPerOctave();
+    let onChordTone = null;
+    if (this.progression.isActive()) {
+      onChordTone = this.progression.isChordTone(key - this.getKeyRoot(), keys);
+      if (!onChordTone) gain *= 1 - this.progression.chordToneWeight * 0.6;
+    }
+
+    // X position -> Stereo pan (0=left, 1=right)
+    const pan = note.pan !== undefined ? note.pan : (clampedX + this.lakeHalf) / this.lakeSize;
+
+    // Distance from the front-center listening point (0=nearest, 1=far corner)
+    const distance = note.distance !== undefined
+      ? note.distance
+      : Math.hypot(clampedX, this.lakeHalf - clampedZ) / Math.hypot(this.lakeHalf, this.lakeSize);
+
+    // Octave band of the note as mapped (before the drop size shift)
+    const octaveOffset = note.octaveOffset !== undefined
+      ? note.octaveOffset
+      : Math.max(0, Math.min(this.numOctaves - 1, Math.floor((note.midiNote - this.getKeyRoot() + keys) / keys)));
+
+    return {
+      ...note,
+      frequency,
+      gain,
+      pan,
+      distance,
+      key,
+      midiNote,
+      pitch: midiNote + bend,
+      bend,
+      noteIndex: note.noteIndex !== undefined ? note.noteIndex : null,
+      octaveOffset,
+      onChordTone,
+      diameter: impact.diameter || NOMINAL_DIAMETER
+    };
+  }
+
+  /**
+   * Grid mapping: X -> note within the scale, Z -> octave.
+   * @param {number} x - X position (-10 to +10)
+   * @param {number} z - Z position (-10 to +10)
+   * @returns {{midiNote: number, noteIndex: number, octaveOffset: number}}
    */
-  mapImpact(x, z, strength) {
+  mapGrid(x, z) {
     // Clamp positions to lake bounds
     const clampedX = Math.max(-this.lakeHalf, Math.min(this.lakeHalf, x));
     const clampedZ = Math.max(-this.lakeHalf, Math.min(this.lakeHalf, z));
@@ -85,38 +356,92 @@ export class NoteMapper {
     const normalizedZ = (clampedZ + this.lakeHalf) / this.lakeSize;
 
     // Get current scale
-    const scale = this.scales[this.currentScale].intervals;
+    const scale = this.getScale();
     const numNotes = scale.length;
 
     // X-axis -> Note selection within scale
-    const noteIndex = Math.floor(normalizedX * numNotes);
-    const clampedNoteIndex = Math.min(noteIndex, numNotes - 1);
+    const noteIndex = Math.min(Math.floor(normalizedX * numNotes), numNotes - 1);
 
     // Z-axis -> Octave selection (3 octaves)
-    const octaveOffset = Math.floor(normalizedZ * this.numOctaves);
-    const clampedOctaveOffset = Math.min(octaveOffset, this.numOctaves - 1);
+    const octaveOffset = Math.min(Math.floor(normalizedZ * this.numOctaves), this.numOctaves - 1);
 
     // Calculate MIDI note: root + scale interval + octave offset
-    const scaleInterval = scale[clampedNoteIndex];
-    const midiNote = this.rootNote + scaleInterval + (clampedOctaveOffset - 1) * 12;
+    return {
+      midiNote: this.scaleNote(octaveOffset * numNotes + noteIndex),
+      noteIndex,
+      octaveOffset
+    };
+  }
 
-    // Get frequency from table
-    const frequency = this.frequencyTable.get(midiNote) || 440;
+  /**
+   * Find the lake position that maps to a MIDI note with the active
+   * mapping. Mappings without an inverse are searched on a coarse grid
+   * for the closest pitch.
+   * @param {number} midiNote - MIDI note number
+   * @returns {{x: number, z: number}}
+   */
+  findImpactPosition(midiNote) {
+    const mapping = this.getMapping();
+    if (mapping.findPosition) {
+      return mapping.findPosition(midiNote, this);
+    }
 
-    // Strength -> Gain (scale to musical dynamics)
-    // Impact strength is typically 0-0.8, map to 0.3-1.0 for audible range
-    const gain = 0.3 + Math.min(strength, 0.8) * 0.875;
+    const cells = 24;
+    const probe = { x: 0, y: 0, z: 0, strength: 0.5, diameter: NOMINAL_DIAMETER, time: 0 };
+    let best = { x: 0, z: 0 };
+    let bestDistance = Infinity;
+    for (let row = 0; row < cells && bestDistance > 0; row++) {
+      for (let col = 0; col < cells; col++) {
+        probe.x = ((col + 0.5) / cells) * this.lakeSize - this.lakeHalf;
+        probe.z = ((row + 0.5) / cells) * this.lakeSize - this.lakeHalf;
+        const result = mapping.map(probe, this);
+        const note = Array.isArray(result) ? result[0] : result;
+        if (!note) continue;
+        const distance = Math.abs(note.midiNote - midiNote);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = { x: probe.x, z: probe.z };
+          if (distance === 0) break;
+        }
+      }
+    }
+    return best;
+  }
 
-    // X position -> Stereo pan (0=left, 1=right)
-    const pan = normalizedX;
+  /**
+   * Find the grid cell that plays a MIDI note (inverse of mapGrid).
+   * Notes outside the current scale snap to the nearest scale degree and
+   * notes outside the octave range fold into it.
+   * @param {number} midiNote - MIDI note number
+   * @returns {{x: number, z: number}} Center of the matching grid cell
+   */
+  findGridPosition(midiNote) {
+    const scale = this.getScale();
+    const keys = this.getKeysPerOctave();
+
+    // Octave band (mapGrid places octave 0 one octave below root)
+    const relative = midiNote - (this.getKeyRoot() - keys);
+    const octaveOffset = Math.max(0, Math.min(this.numOctaves - 1, Math.floor(relative / keys)));
+
+    // Nearest scale degree to the pitch class
+    const pitchClass = ((relative % keys) + keys) % keys;
+    let noteIndex = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < scale.length; i++) {
+      const distance = Math.abs(scale[i] - pitchClass);
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        noteIndex = i;
+      }
+    }
+
+    // Cell centers in normalized space -> world coordinates
+    const normalizedX = (noteIndex + 0.5) / scale.length;
+    const normalizedZ = (octaveOffset + 0.5) / this.numOctaves;
 
     return {
-      frequency,
-      gain,
-      pan,
-      midiNote,
-      noteIndex: clampedNoteIndex,
-      octaveOffset: clampedOctaveOffset
+      x: normalizedX * this.lakeSize - this.lakeHalf,
+      z: normalizedZ * this.lakeSize - this.lakeHalf
     };
   }
 
@@ -128,10 +453,13 @@ export class NoteMapper {
    */
   getNoteName(noteIndex, octaveOffset) {
     const allNoteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-    const scale = this.scales[this.currentScale].intervals;
+    const scale = this.getScale();
     const interval = scale[noteIndex] || 0;
-    const noteName = allNoteNames[interval % 12];
     const octave = this.baseOctave + octaveOffset;
+    if (this.getKeysPerOctave() !== 12) {
+      return `${interval}\\${this.getKeysPerOctave()} (${octave})`;
+    }
+    const noteName = allNoteNames[(this.getKeyRoot() + interval) % 12];
     return `${noteName}${octave}`;
   }
 }
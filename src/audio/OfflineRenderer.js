@@ -0,0 +1,201 @@
+/**
+ * Renders impact lists to audio offline (faster than real time).
+ *
+ * Impacts are voiced through a fresh AudioSystem bound to an
+ * OfflineAudioContext, so notes go through the same mapping, note budget and
+ * synth path (FAUST chord_synth with its effect chain, or the fallback bell)
+ * and voice lifecycle as live playback. No user gesture is required.
+ *
+ * The render is suspended wherever something happens (an impact, a synth
+ * parameter change, a note or note off falling due) and resumed once it is
+ * applied. FAUST runs as a ScriptProcessorNode here, on the main thread,
+ * so its notes take effect before rendering resumes; an AudioWorklet would
+ * get them as messages at some later render quantum.
+ */
+
+import { AudioSystem } from './AudioSystem.js';
+
+// Offline suspend points are quantized to the render quantum
+const RENDER_QUANTUM = 128;
+
+/**
+ * An AudioSystem with the render's mappings and starting parameters.
+ * @param {Object} options - renderImpactsOffline() options
+ * @returns {AudioSystem}
+ */
+function createAudioSystem(options) {
+  const audioSystem = new AudioSystem();
+  for (const mapping of options.mappings || []) {
+    audioSystem.noteMapper.registerMapping(mapping);
+  }
+  if (options.params) {
+    audioSystem.setParams(options.params);
+  }
+  audioSystem.useFallback = options.useFallback || false;
+  return audioSystem;
+}
+
+/**
+ * Apply a recorded parameter change (instrument loads are waited for) or
+ * beat phase alignment.
+ * @param {AudioSystem} audioSystem
+ * @param {{time: number, params?: Object, phase?: {quarters: number, quantum: number}}} change
+ */
+async function applyChange(audioSystem, change) {
+  audioSystem.clock.update(change.time);
+  if (change.phase) {
+    audioSystem.clock.syncPhase(change.phase.quarters, change.phase.quantum);
+    return;
+  }
+  const { instrument, ...params } = change.params;
+  if (instrument !== undefined && audioSystem.isInitialized) {
+    await audioSystem.setInstrument(instrument);
+  }
+  audioSystem.setParams(params);
+}
+
+/**
+ * Render impacts to an AudioBuffer.
+ * @param {Array<{x: number, y?: number, z: number, strength: number, diameter?: number, secondary?: boolean, time: number}>} impacts - Impact times in seconds
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate] - Output sample rate (default 44100)
+ * @param {boolean} [options.useFallback] - Render with the Web Audio bell instead of FAUST
+ * @param {Object} [options.params] - Synth parameters at time 0 (AudioSystem.getParams())
+ * @param {Array<{time: number, params?: Object, phase?: Object}>} [options.changes] - Parameter changes
+ *   and phase alignments in time order (seconds, AudioSystem.setParams() input or
+ *   TempoClock.syncPhase() arguments), applied after the impacts at the same time
+ * @param {Array<Object>} [options.mappings] - Note mappings to register (NoteMapper.getMappings())
+ * @param {number} [options.duration] - Length in seconds (default: last impact + tail)
+ * @param {number} [options.tail] - Seconds rendered after the last impact (default: decay + 2)
+ * @returns {Promise<AudioBuffer>}
+ */
+export async function renderImpactsOffline(impacts, options = {}) {
+  const sampleRate = options.sampleRate || 44100;
+  const changes = options.changes || [];
+
+  const audioSystem = createAudioSystem(options);
+  audioSystem.faustScriptProcessor = true;
+
+  const lastTime = impacts.length > 0 ? impacts[impacts.length - 1].time : 0;
+  const tail = options.tail !== undefined ? options.tail : audioSystem.decayTime + 2;
+  const duration = options.duration || lastTime + tail;
+  const length = Math.max(RENDER_QUANTUM, Math.ceil(duration * sampleRate));
+
+  const context = new OfflineAudioContext(2, length, sampleRate);
+  const ok = await audioSystem.init(context);
+  if (!ok) {
+    throw new Error('Failed to initialize offline audio');
+  }
+  audioSystem.setEnabled(true);
+
+  // Group impacts and parameter changes by the render quantum they fall
+  // in. Voice updates (note offs) are scheduled where each note's hold time
+  // runs out, and merge window decisions, strummed or arpeggiated chord
+  // notes and quantized notes where they may be due.
+  const points = new Map();
+  const pointAt = (time) => {
+    const frame = Math.round(time * sampleRate / RENDER_QUANTUM) * RENDER_QUANTUM;
+    if (frame >= length) return null;
+    if (!points.has(frame)) {
+      points.set(frame, { frame, impacts: [], changes: [], updateVoices: false, flushNotes: false });
+    }
+    return points.get(frame);
+  };
+
+  // A silent copy follows the parameter changes while the points are planned
+  const planner = createAudioSystem(options);
+  const clock = planner.clock;
+  const scheduleNote = (start) => {
+    const release = start + planner.holdTime;
+    for (const delay of [0, ...planner.noteMapper.chords.getDelays()]) {
+      const notePoint = pointAt(start + delay / 1000);
+      if (notePoint) notePoint.flushNotes = true;
+      // One quantum late so rounding never lands before the voice's release time
+      const releasePoint = pointAt(release + delay / 1000 + RENDER_QUANTUM / sampleRate);
+      if (releasePoint) releasePoint.updateVoices = true;
+    }
+  };
+
+  // The step sequencer may repeat notes on any step of its grid
+  let plannedTime = 0;
+  const planSequencer = (until) => {
+    const quantize = planner.quantize;
+    if (quantize > 0 && planner.quantizeMode === 'sequencer') {
+      for (let step = clock.getNextStepIndex(plannedTime, quantize); clock.getStepTime(step, quantize) < until; step++) {
+        scheduleNote(clock.getStepTime(step, quantize));
+      }
+    }
+    plannedTime = until;
+  };
+
+  const windowEnds = new Map();  // DensityManager -> close of its open merge window (ms)
+  let changeIndex = 0;
+  const planChanges = async (until) => {
+    while (changeIndex < changes.length && changes[changeIndex].time < until) {
+      const change = changes[changeIndex++];
+      const point = pointAt(change.time);
+      if (!point) continue;
+      planSequencer(change.time);
+      point.changes.push(change);
+      await applyChange(planner, change);
+    }
+  };
+
+  for (const impact of impacts) {
+    await planChanges(impact.time);
+    const point = pointAt(impact.time);
+    if (!point) continue;
+    planSequencer(impact.time);
+    point.impacts.push(impact);
+
+    // Notes start when the impact's merge window closes (as in DensityManager.offer)
+    const density = impact.secondary === true ? planner.graceDensity : planner.density;
+    let windowEnd = windowEnds.get(density);
+    if (windowEnd === undefined || impact.time * 1000 > windowEnd) {
+      windowEnd = impact.time * 1000 + density.mergeWindow;
+      windowEnds.set(density, windowEnd);
+    }
+    const decided = windowEnd / 1000;
+    if (decided > impact.time) {
+      const decisionPoint = pointAt(decided);
+      if (decisionPoint) decisionPoint.flushNotes = true;
+    }
+    scheduleNote(planner.quantize > 0 ? clock.quantize(decided, planner.quantize) : decided);
+  }
+  await planChanges(Infinity);
+  planSequencer(duration);
+
+  // Impacts first: a change recorded at a step came after that step's impacts
+  const runPoint = async (point) => {
+    if (point.updateVoices) {
+      audioSystem.update();
+    }
+    if (point.flushNotes) {
+      // Half a quantum of slack: the point was rounded to the nearest quantum
+      audioSystem.flushPendingNotes((point.frame + RENDER_QUANTUM / 2) / sampleRate * 1000);
+    }
+    for (const impact of point.impacts) {
+      audioSystem.triggerImpact(impact, impact.time * 1000);
+    }
+    for (const change of point.changes) {
+      await applyChange(audioSystem, change);
+    }
+  };
+
+  // Suspend the render at each point, trigger its notes, then resume
+  for (const [frame, point] of points) {
+    if (frame === 0) {
+      // Cannot suspend at frame 0; trigger before rendering starts
+      await runPoint(point);
+      continue;
+    }
+    context.suspend(frame / sampleRate).then(async () => {
+      await runPoint(point);
+      context.resume();
+    });
+  }
+
+  const buffer = await context.startRendering();
+  audioSystem.dispose();
+  return buffer;
+}
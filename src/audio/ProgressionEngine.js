@@ -0,0 +1,332 @@
+/**
+ * Harmonic progressions for the NoteMapper.
+ *
+ * A progression is a sequence of harmonies on a bar clock. Each harmony
+ * moves the active key (root offset in semitones from the root note), sets
+ * the mode the mappings draw from and the chord tones that are stressed:
+ *
+ *   ii-V-I       - Dorian ii, Mixolydian V, Ionian I (two bars), repeated
+ *   Modal Drift  - one tonic drifting from the brightest mode to the darkest
+ *                  and back (Lydian ... Phrygian)
+ *   Markov Keys  - a Markov chain of major and minor keys: stay, move a
+ *                  fifth, go to the relative or the parallel key
+ *
+ * Bars come from the global TempoClock. Markov Keys draws from its own seeded
+ * source, so the same settings give the same harmony in every run, live or
+ * offline, without disturbing the rain's random sequence.
+ */
+
+import { SeededRandom } from '../core/SeededRandom.js';
+import { TempoClock } from '../core/TempoClock.js';
+
+// Modes (semitones above the harmony's root)
+export const MODES = {
+  lydian: [0, 2, 4, 6, 7, 9, 11],
+  ionian: [0, 2, 4, 5, 7, 9, 11],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  aeolian: [0, 2, 3, 5, 7, 8, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10]
+};
+
+// Markov Keys are named by their degree in the home key
+const DEGREE_NAMES = ['I', 'bII', 'II', 'bIII', 'III', 'IV', '#IV', 'V', 'bVI', 'VI', 'bVII', 'VII'];
+
+// Drift order, brightest first
+const DRIFT_MODES = ['lydian', 'ionian', 'mixolydian', 'dorian', 'aeolian', 'phrygian'];
+
+// Markov Keys transitions from any key (weights sum to 1)
+const KEY_MOVES = [
+  { weight: 0.35, move: 'stay' },
+  { weight: 0.2, move: 'fifthUp' },
+  { weight: 0.2, move: 'fifthDown' },
+  { weight: 0.15, move: 'relative' },
+  { weight: 0.1, move: 'parallel' }
+];
+
+export const PROGRESSIONS = [
+  {
+    id: 'two-five-one',
+    name: 'ii-V-I',
+    steps: [
+      { name: 'ii', root: 2, mode: 'dorian', tones: [0, 3, 7, 10], bars: 1 },
+      { name: 'V', root: -5, mode: 'mixolydian', tones: [0, 4, 7, 10], bars: 1 },
+      { name: 'I', root: 0, mode: 'ionian', tones: [0, 4, 7, 11], bars: 2 }
+    ]
+  },
+  {
+    id: 'modal-drift',
+    name: 'Modal Drift',
+    // Down the brightness order and back up, without repeating the ends
+    steps: [...DRIFT_MODES, ...DRIFT_MODES.slice(1, -1).reverse()].map(mode => ({
+      name: mode[0].toUpperCase() + mode.slice(1),
+      root: 0,
+      mode,
+      tones: [0, MODES[mode][2], MODES[mode][4]],
+      bars: 1
+    }))
+  },
+  {
+    id: 'markov',
+    name: 'Markov Keys',
+    steps: null  // Generated as it plays
+  }
+];
+
+export class ProgressionEngine {
+  /**
+   * @param {Object} [options]
+   * @param {TempoClock} [options.clock] - Clock the bars are counted on
+   */
+  constructor(options = {}) {
+    this.clock = options.clock || new TempoClock();
+    this.type = -1;             // Index into PROGRESSIONS (-1 = static scale)
+    this.barsPerChange = 4;     // Bars per progression step (times the step's own bars)
+    this.chordToneWeight = 0.5; // 0 = all notes equal, 1 = notes off the chord tones much softer
+    this.seed = 1;              // Markov Keys seed
+
+    this.random = new SeededRandom(this.seed);
+    this.reset();
+  }
+
+  /**
+   * Start the progression over from its first harmony, on bar 0.
+   */
+  reset() {
+    this.random.reset(this.seed);
+    this.stepIndex = 0;
+    this.harmony = this.isActive() ? this.getFirstHarmony() : null;
+    this.startAt(0);
+  }
+
+  /**
+   * Let the current harmony start on a bar. The next update() reports it
+   * as a change.
+   * @param {number} bar
+   */
+  startAt(bar) {
+    this.startBar = bar;     // Bar the current harmony started on
+    this.nextChange = this.harmony ? bar + this.getHarmonyBars(this.harmony) : 0;  // Bar the next harmony starts on
+    this.isAnnounced = false;
+  }
+
+  /**
+   * @returns {boolean} Whether a progression is playing
+   */
+  isActive() {
+    return this.type >= 0 && this.type < PROGRESSIONS.length;
+  }
+
+  /**
+   * Switch progression. It starts over on the clock's current bar, so a
+   * switch applied at the same clock time (live or offline) plays the same.
+   * @param {number} type - Progression index (-1 = off)
+   */
+  setType(type) {
+    const clamped = Math.max(-1, Math.min(PROGRESSIONS.length - 1, Math.round(type)));
+    if (clamped === this.type) return;
+    this.type = clamped;
+    this.reset();
+    this.startAt(Math.floor(this.clock.getBars(this.clock.time) + 1e-9));
+  }
+
+  /**
+   * Change how long harmonies last. The current harmony keeps its start
+   * bar and ends after the new length (the next update() catches up if
+   * that is already past).
+   * @param {number} bars - Bars per progression step
+   */
+  setBarsPerChange(bars) {
+    this.barsPerChange = Math.max(1, Math.round(bars));
+    if (this.harmony) this.nextChange = this.startBar + this.getHarmonyBars(this.harmony);
+  }
+
+  /**
+   * @returns {{type: number, barsPerChange: number, chordToneWeight: number, seed: number}}
+   */
+  getParams() {
+    return {
+      type: this.type,
+      barsPerChange: this.barsPerChange,
+      chordToneWeight: this.chordToneWeight,
+      seed: this.seed
+    };
+  }
+
+  /**
+   * Apply getParams() output. Missing keys are left unchanged.
+   * @param {Object} params
+   */
+  setParams(params) {
+    if (params.barsPerChange !== undefined) this.setBarsPerChange(params.barsPerChange);
+    if (params.chordToneWeight !== undefined) this.chordToneWeight = params.chordToneWeight;
+    if (params.seed !== undefined) this.seed = params.seed;
+    if (params.type !== undefined) this.setType(params.type);
+  }
+
+  /**
+   * Advance the clock. Harmonies change on bar lines.
+   * @param {number} time - Clock time in seconds (simulation time)
+   * @returns {boolean} Whether the harmony changed (true on the first call
+   *   after a reset or switch, for the opening harmony)
+   */
+  update(time) {
+    if (!this.isActive()) return false;
+
+    let changed = !this.isAnnounced;
+    this.isAnnounced = true;
+    if (this.advanceTo(Math.floor(this.clock.getBars(time) + 1e-9))) changed = true;
+    return changed;
+  }
+
+  /**
+   * Harmony that will be playing at a time, without moving the progression
+   * (for notes quantized past the current step).
+   * @param {number} time - Clock time in seconds
+   * @returns {Object|null} null when no progression is playing
+   */
+  getHarmonyAt(time) {
+    if (!this.isActive()) return null;
+    const bar = Math.floor(this.clock.getBars(time) + 1e-9);
+    if (bar < this.nextChange) return this.harmony;
+
+    const { stepIndex, harmony, startBar, nextChange } = this;
+    const random = this.random.getState();
+    this.advanceTo(bar);
+    const future = this.harmony;
+    Object.assign(this, { stepIndex, harmony, startBar, nextChange });
+    this.random.setState(random);
+    return future;
+  }
+
+  /**
+   * Move through the harmonies that start by a bar.
+   * @param {number} bar
+   * @returns {boolean} Whether the harmony changed
+   */
+  advanceTo(bar) {
+    let changed = false;
+    while (bar >= this.nextChange) {
+      this.startBar = this.nextChange;
+      this.harmony = this.getNextHarmony();
+      this.nextChange = this.startBar + this.getHarmonyBars(this.harmony);
+      changed = true;
+    }
+    return changed;
+  }
+
+  /**
+   * @param {Object} harmony
+   * @returns {number} Bars the harmony lasts
+   */
+  getHarmonyBars(harmony) {
+    return harmony.bars * this.barsPerChange;
+  }
+
+  /**
+   * @returns {Object} Harmony the progression opens with
+   */
+  getFirstHarmony() {
+    const steps = PROGRESSIONS[this.type].steps;
+    if (steps) return this.describe(steps[0]);
+    return this.describe(this.keyHarmony(0, false));
+  }
+
+  /**
+   * @returns {Object} Harmony after the current one
+   */
+  getNextHarmony() {
+    const steps = PROGRESSIONS[this.type].steps;
+    if (steps) {
+      this.stepIndex = (this.stepIndex + 1) % steps.length;
+      return this.describe(steps[this.stepIndex]);
+    }
+
+    // Markov Keys: pick a move by weight
+    let pick = this.random.next();
+    let move = KEY_MOVES[KEY_MOVES.length - 1].move;
+    for (const candidate of KEY_MOVES) {
+      if (pick < candidate.weight) {
+        move = candidate.move;
+        break;
+      }
+      pick -= candidate.weight;
+    }
+
+    let { root, minor } = this.harmony;
+    if (move === 'fifthUp') {
+      root += 7;
+    } else if (move === 'fifthDown') {
+      root -= 7;
+    } else if (move === 'relative') {
+      root += minor ? 3 : -3;
+      minor = !minor;
+    } else if (move === 'parallel') {
+      minor = !minor;
+    }
+    return this.describe(this.keyHarmony(root, minor));
+  }
+
+  /**
+   * Markov Keys harmony: a major or minor key with its tonic triad.
+   * @param {number} root - Semitones from the root note
+   * @param {boolean} minor
+   * @returns {Object} Progression step
+   */
+  keyHarmony(root, minor) {
+    const degree = DEGREE_NAMES[((root % 12) + 12) % 12];
+    return {
+      name: minor ? degree.toLowerCase() : degree,
+      root,
+      minor,
+      mode: minor ? 'aeolian' : 'ionian',
+      tones: minor ? [0, 3, 7] : [0, 4, 7],
+      bars: 1
+    };
+  }
+
+  /**
+   * Complete a progression step: fold its root within a fourth/fifth of
+   * the root note (so the register doesn't wander) and resolve its mode.
+   * @param {Object} step
+   * @returns {{name: string, root: number, minor: boolean, mode: string, intervals: Array<number>, tones: Array<number>, bars: number}}
+   */
+  describe(step) {
+    return {
+      ...step,
+      root: ((((step.root + 5) % 12) + 12) % 12) - 5,
+      minor: step.minor !== undefined ? step.minor : MODES[step.mode][2] === 3,
+      intervals: MODES[step.mode]
+    };
+  }
+
+  /**
+   * Key offset of the current harmony's root.
+   * @param {number} [keysPerOctave] - Semitone offsets are scaled to the tuning
+   * @returns {number}
+   */
+  getKeyOffset(keysPerOctave = 12) {
+    if (!this.harmony) return 0;
+    return Math.round(this.harmony.root * keysPerOctave / 12);
+  }
+
+  /**
+   * Mode of the current harmony (semitones above its root).
+   * @returns {Array<number>|null} null when no progression is playing
+   */
+  getIntervals() {
+    return this.harmony ? this.harmony.intervals : null;
+  }
+
+  /**
+   * Whether a key is one of the current chord tones.
+   * @param {number} relativeKey - Keys above the harmony's root
+   * @param {number} [keysPerOctave]
+   * @returns {boolean}
+   */
+  isChordTone(relativeKey, keysPerOctave = 12) {
+    if (!this.harmony) return false;
+    const pitchClass = ((relativeKey % keysPerOctave) + keysPerOctave) % keysPerOctave;
+    return this.harmony.tones.some(tone => Math.round(tone * keysPerOctave / 12) === pitchClass);
+  }
+}
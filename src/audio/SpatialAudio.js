@@ -0,0 +1,175 @@
+/**
+ * 3D placement of notes around a listener that follows the camera.
+ *
+ * Fallback voices get their own HRTF PannerNode at the impact's world
+ * position (x, 0, z), with inverse distance rolloff and an optional lowpass
+ * for air absorption. FAUST voices share one polyphonic node, so they can't
+ * each have a PannerNode; they get an equivalent pan and distance gain
+ * computed from the same listener pose, latched per voice by the DSP.
+ */
+
+// Lowpass cutoff range for air absorption (near -> far)
+const AIR_CUTOFF_NEAR = 20000;
+const AIR_CUTOFF_FAR = 1500;
+
+export class SpatialAudio {
+  /**
+   * @param {BaseAudioContext} audioContext
+   * @param {Object} [options]
+   * @param {number} [options.refDistance] - Distance with no attenuation (default 8)
+   * @param {number} [options.maxDistance] - Distance where rolloff stops (default 60)
+   * @param {number} [options.rolloffFactor] - Inverse rolloff amount (default 1)
+   */
+  constructor(audioContext, options = {}) {
+    this.audioContext = audioContext;
+    this.refDistance = options.refDistance || 8;
+    this.maxDistance = options.maxDistance || 60;
+    this.rolloffFactor = options.rolloffFactor !== undefined ? options.rolloffFactor : 1;
+
+    // Amount of high-frequency loss with distance (0 = off)
+    this.airAbsorption = 0;
+
+    // Listener pose (kept here too for the FAUST pan/gain estimate)
+    this.position = { x: 0, y: 15, z: 15 };
+    this.forward = { x: 0, y: -0.707, z: -0.707 };
+    this.up = { x: 0, y: 1, z: 0 };
+  }
+
+  /**
+   * Move the AudioListener to the camera.
+   * @param {{x: number, y: number, z: number}} position - Camera world position
+   * @param {{x: number, y: number, z: number}} forward - Camera view direction (unit)
+   * @param {{x: number, y: number, z: number}} up - Camera up vector
+   */
+  updateListener(position, forward, up) {
+    copyVector(this.position, position);
+    copyVector(this.forward, forward);
+    copyVector(this.up, up);
+
+    const listener = this.audioContext.listener;
+    if (listener.positionX) {
+      const now = this.audioContext.currentTime;
+      listener.positionX.setValueAtTime(position.x, now);
+      listener.positionY.setValueAtTime(position.y, now);
+      listener.positionZ.setValueAtTime(position.z, now);
+      listener.forwardX.setValueAtTime(forward.x, now);
+      listener.forwardY.setValueAtTime(forward.y, now);
+      listener.forwardZ.setValueAtTime(forward.z, now);
+      listener.upX.setValueAtTime(up.x, now);
+      listener.upY.setValueAtTime(up.y, now);
+      listener.upZ.setValueAtTime(up.z, now);
+    } else {
+      // Older implementations (Firefox, Safari)
+      listener.setPosition(position.x, position.y, position.z);
+      listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
+    }
+  }
+
+  /**
+   * Set the air absorption amount.
+   * @param {number} value - 0 (off) to 1 (strong)
+   */
+  setAirAbsorption(value) {
+    this.airAbsorption = Math.max(0, Math.min(1, value));
+  }
+
+  /**
+   * Distance from the listener to a point on the lake.
+   * @param {number} x
+   * @param {number} z
+   * @returns {number}
+   */
+  getDistance(x, z) {
+    return Math.hypot(x - this.position.x, -this.position.y, z - this.position.z);
+  }
+
+  /**
+   * Gain of the inverse distance model used by the PannerNodes.
+   * @param {number} distance
+   * @returns {number} 0-1
+   */
+  getRolloffGain(distance) {
+    const d = Math.max(this.refDistance, Math.min(this.maxDistance, distance));
+    return this.refDistance / (this.refDistance + this.rolloffFactor * (d - this.refDistance));
+  }
+
+  /**
+   * Stereo approximation of a source at (x, 0, z) for voices that can't
+   * have their own PannerNode.
+   * @param {number} x
+   * @param {number} z
+   * @returns {{pan: number, gain: number}} Pan 0-1 (left-right) and distance gain
+   */
+  getStereoPlacement(x, z) {
+    const dx = x - this.position.x;
+    const dy = -this.position.y;
+    const dz = z - this.position.z;
+    const distance = Math.hypot(dx, dy, dz) || 1;
+
+    // Listener right = forward x up
+    const f = this.forward;
+    const u = this.up;
+    const rightX = f.y * u.z - f.z * u.y;
+    const rightY = f.z * u.x - f.x * u.z;
+    const rightZ = f.x * u.y - f.y * u.x;
+    const rightLength = Math.hypot(rightX, rightY, rightZ) || 1;
+
+    // Sine of the azimuth: -1 hard left, +1 hard right
+    const side = (dx * rightX + dy * rightY + dz * rightZ) / (distance * rightLength);
+
+    return {
+      pan: 0.5 + 0.5 * side,
+      gain: this.getRolloffGain(distance)
+    };
+  }
+
+  /**
+   * Build a voice's spatial chain at an impact position.
+   * @param {number} x - Impact X
+   * @param {number} z - Impact Z
+   * @param {AudioNode} destination - Where the chain outputs
+   * @returns {{input: AudioNode, nodes: AudioNode[]}} Connect the voice to input; disconnect nodes when done
+   */
+  createVoiceChain(x, z, destination) {
+    const ctx = this.audioContext;
+    const panner = ctx.createPanner();
+    panner.panningModel = 'HRTF';
+    panner.distanceModel = 'inverse';
+    panner.refDistance = this.refDistance;
+    panner.maxDistance = this.maxDistance;
+    panner.rolloffFactor = this.rolloffFactor;
+    if (panner.positionX) {
+      panner.positionX.value = x;
+      panner.positionY.value = 0;
+      panner.positionZ.value = z;
+    } else {
+      panner.setPosition(x, 0, z);
+    }
+    panner.connect(destination);
+
+    if (this.airAbsorption <= 0) {
+      return { input: panner, nodes: [panner] };
+    }
+
+    // Air absorption: darker the farther away (exponential sweep of the cutoff)
+    const distance = Math.min(1, this.getDistance(x, z) / this.maxDistance);
+    const amount = distance * this.airAbsorption;
+    const air = ctx.createBiquadFilter();
+    air.type = 'lowpass';
+    air.frequency.value = AIR_CUTOFF_NEAR * Math.pow(AIR_CUTOFF_FAR / AIR_CUTOFF_NEAR, amount);
+    air.Q.value = 0.5;
+    air.connect(panner);
+
+    return { input: air, nodes: [air, panner] };
+  }
+}
+
+/**
+ * @param {{x: number, y: number, z: number}} target
+ * @param {{x: number, y: number, z: number}} source
+ */
+function copyVector(target, source) {
+  target.x = source.x;
+  target.y = source.y;
+  target.z = source.z;
+}
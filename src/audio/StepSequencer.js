@@ -0,0 +1,121 @@
+/**
+ * Probabilistic step sequencer fed by the rain.
+ *
+ * Quantized notes are written into a one-bar pattern at the step they were
+ * snapped to. After playing there they stay in the pattern and come round
+ * again every bar, each time with the given probability, until they have
+ * had their passes; a full step drops its oldest note. The rain thus
+ * builds up a loop that keeps changing as new drops land and old ones fade.
+ *
+ * Repeats draw from the sequencer's own seeded source, so a run repeats
+ * exactly without disturbing the rain's random sequence.
+ */
+
+import { SeededRandom } from '../core/SeededRandom.js';
+
+export class StepSequencer {
+  /**
+   * @param {import('../core/TempoClock.js').TempoClock} clock
+   */
+  constructor(clock) {
+    this.clock = clock;
+    this.division = 16;       // Steps per whole note
+    this.probability = 0.5;   // Chance a stored note plays again each bar
+    this.passes = 4;          // Times a note comes round (including its first play)
+    this.maxNotesPerStep = 4;
+    this.seed = 1;
+
+    this.random = new SeededRandom(this.seed);
+    this.repeats = [];        // Reused by update()
+    this.reset();
+  }
+
+  /**
+   * Clear the pattern and restart the repeat sequence.
+   */
+  reset() {
+    this.random.reset(this.seed);
+    this.slots = new Map();   // Pattern position -> [{note, step, passes}]
+    this.lastStep = null;
+  }
+
+  /**
+   * @returns {{probability: number, passes: number, seed: number}}
+   */
+  getParams() {
+    return { probability: this.probability, passes: this.passes, seed: this.seed };
+  }
+
+  /**
+   * Apply getParams() output. Missing keys are left unchanged.
+   * @param {Object} params
+   */
+  setParams(params) {
+    if (params.probability !== undefined) this.probability = params.probability;
+    if (params.passes !== undefined) this.passes = params.passes;
+    if (params.seed !== undefined) this.seed = params.seed;
+  }
+
+  /**
+   * @returns {number} Steps in the one-bar pattern
+   */
+  getLength() {
+    return Math.max(1, Math.round(this.clock.getBarQuarters() * this.division / 4));
+  }
+
+  /**
+   * Store a note that plays (for the first time) at a grid step.
+   * @param {Object} note - Mapped note (kept, not copied)
+   * @param {number} step - Grid step index (division steps)
+   */
+  add(note, step) {
+    if (this.passes <= 1) return;
+    const position = step % this.getLength();
+    let slot = this.slots.get(position);
+    if (!slot) {
+      slot = [];
+      this.slots.set(position, slot);
+    }
+    if (slot.length >= this.maxNotesPerStep) slot.shift();
+    slot.push({ note, step, passes: 1 });
+  }
+
+  /**
+   * Move to a time and collect the repeats of the steps passed since the
+   * last update.
+   * @param {number} time - Seconds
+   * @returns {Array<Object>} Note copies with their play time in ms (reused array)
+   */
+  update(time) {
+    const repeats = this.repeats;
+    repeats.length = 0;
+
+    const current = this.clock.getStepIndex(time, this.division);
+    if (this.lastStep === null || current < this.lastStep) {
+      this.lastStep = current;
+      return repeats;
+    }
+
+    const length = this.getLength();
+    for (let step = this.lastStep + 1; step <= current; step++) {
+      const slot = this.slots.get(step % length);
+      if (!slot) continue;
+
+      const stepTime = this.clock.getStepTime(step, this.division) * 1000;
+      for (let i = 0; i < slot.length; i++) {
+        const entry = slot[i];
+        if (entry.step >= step) continue;
+        entry.passes++;
+        if (this.random.next() < this.probability) {
+          repeats.push({ ...entry.note, time: stepTime + (entry.note.delay || 0) });
+        }
+      }
+      // Notes that have had their passes leave the pattern
+      for (let i = slot.length - 1; i >= 0; i--) {
+        if (slot[i].passes >= this.passes) slot.splice(i, 1);
+      }
+    }
+    this.lastStep = current;
+    return repeats;
+  }
+}
@@ -0,0 +1,308 @@
+/**
+ * Tuning systems: which frequency each key plays.
+ *
+ * A tuning is a Scala-style list of pitches in cents above the root; the
+ * last one is the period (1200 for octave scales, anything else for
+ * non-octave scales such as Bohlen-Pierce). Keys step through the list, so
+ * a 19-tone tuning has 19 keys per period. The root key is tuned from the
+ * reference pitch as in 12-TET (A4 = referencePitch), so every tuning
+ * agrees on the root. A Scala keyboard mapping (.kbm) can replace that
+ * layout with its own key -> degree map and reference note/frequency.
+ *
+ * Scala file format: https://www.huygens-fokker.org/scala/scl_format.html
+ */
+
+// Built-in tunings (cents above the root, last = period)
+export const TUNING_PRESETS = [
+  {
+    id: 'equal',
+    name: '12-TET',
+    cents: [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200]
+  },
+  {
+    id: 'just',
+    name: 'Just Intonation',
+    // 5-limit: 16/15 9/8 6/5 5/4 4/3 45/32 3/2 8/5 5/3 9/5 15/8 2/1
+    cents: ratiosToCents([[16, 15], [9, 8], [6, 5], [5, 4], [4, 3], [45, 32], [3, 2], [8, 5], [5, 3], [9, 5], [15, 8], [2, 1]])
+  },
+  {
+    id: 'pythagorean',
+    name: 'Pythagorean',
+    cents: ratiosToCents([[256, 243], [9, 8], [32, 27], [81, 64], [4, 3], [729, 512], [3, 2], [128, 81], [27, 16], [16, 9], [243, 128], [2, 1]])
+  },
+  {
+    id: 'edo19',
+    name: '19-TET',
+    cents: Array.from({ length: 19 }, (_, i) => (i + 1) * 1200 / 19)
+  },
+  {
+    id: 'bohlenPierce',
+    name: 'Bohlen-Pierce',
+    // Just BP: 13 steps of the tritave (3:1), no octaves
+    cents: ratiosToCents([[27, 25], [25, 21], [9, 7], [7, 5], [75, 49], [5, 3], [9, 5], [49, 25], [15, 7], [7, 3], [63, 25], [25, 9], [3, 1]])
+  },
+  {
+    // Slot for a typed or imported scale; each Tuning keeps its own (12-TET until set)
+    id: 'custom',
+    name: 'Custom',
+    cents: [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100, 1200]
+  }
+];
+
+/**
+ * @param {Array<[number, number]>} ratios - [numerator, denominator] pairs
+ * @returns {Array<number>} Cents
+ */
+function ratiosToCents(ratios) {
+  return ratios.map(([n, d]) => 1200 * Math.log2(n / d));
+}
+
+/**
+ * Parse one Scala pitch: cents if it contains a period, else a ratio
+ * ("3/2") or whole number ("2" = 2/1).
+ * @param {string} token
+ * @returns {number} Cents
+ */
+function parsePitch(token) {
+  if (token.includes('.')) {
+    const cents = parseFloat(token);
+    if (!Number.isFinite(cents)) throw new Error(`Invalid pitch "${token}"`);
+    return cents;
+  }
+  const [numerator, denominator = '1'] = token.split('/');
+  const ratio = parseInt(numerator, 10) / parseInt(denominator, 10);
+  if (!(ratio > 0) || !Number.isFinite(ratio)) throw new Error(`Invalid pitch "${token}"`);
+  return 1200 * Math.log2(ratio);
+}
+
+/**
+ * Lines of a Scala file without comments ("!" lines).
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function readScalaLines(text) {
+  return text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+}
+
+/**
+ * Parse a Scala scale file (.scl).
+ * @param {string} text
+ * @returns {{name: string, cents: Array<number>}}
+ */
+export function parseScala(text) {
+  const lines = readScalaLines(text);
+  if (lines.length < 2) throw new Error('Scala file is missing its header');
+
+  const name = lines[0].trim();
+  const count = parseInt(lines[1].trim(), 10);
+  if (!(count > 0)) throw new Error('Scala file has no pitches');
+
+  const cents = [];
+  for (const line of lines.slice(2)) {
+    const token = line.trim().split(/\s+/)[0];
+    if (!token) continue;
+    cents.push(parsePitch(token));
+    if (cents.length === count) break;
+  }
+  if (cents.length !== count) {
+    throw new Error(`Scala file lists ${cents.length} of ${count} pitches`);
+  }
+  return { name: name || 'Scala', cents };
+}
+
+/**
+ * Parse a Scala keyboard mapping file (.kbm).
+ * @param {string} text
+ * @returns {{size: number, firstNote: number, lastNote: number, middleNote: number,
+ *   referenceNote: number, referenceFrequency: number, octaveDegree: number, mapping: Array<number|null>}}
+ */
+export function parseKeyboardMapping(text) {
+  const values = readScalaLines(text).map(line => line.trim().split(/\s+/)[0]).filter(Boolean);
+  if (values.length < 7) throw new Error('Keyboard mapping is missing its header');
+
+  const size = parseInt(values[0], 10);
+  const mapping = values.slice(7, 7 + size).map(value => (value === 'x' ? null : parseInt(value, 10)));
+  while (mapping.length < size) mapping.push(null);
+
+  const kbm = {
+    size,
+    firstNote: parseInt(values[1], 10),
+    lastNote: parseInt(values[2], 10),
+    middleNote: parseInt(values[3], 10),
+    referenceNote: parseInt(values[4], 10),
+    referenceFrequency: parseFloat(values[5]),
+    octaveDegree: parseInt(values[6], 10),
+    mapping
+  };
+  if (!(size >= 0) || !(kbm.referenceFrequency > 0) ||
+      [kbm.firstNote, kbm.lastNote, kbm.middleNote, kbm.referenceNote, kbm.octaveDegree].some(Number.isNaN)) {
+    throw new Error('Keyboard mapping has an invalid header');
+  }
+  return kbm;
+}
+
+/**
+ * Parse a scale typed by hand: ratios and/or cents separated by spaces,
+ * commas or new lines ("9/8 5/4 4/3 3/2 5/3 15/8 2/1" or "200. 400. 1200.").
+ * Plain whole numbers are ratios, as in Scala files.
+ * @param {string} text
+ * @returns {Array<number>} Cents (last = period)
+ */
+export function parseScaleText(text) {
+  const tokens = text.split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) throw new Error('Scale is empty');
+  return tokens.map(parsePitch);
+}
+
+export class Tuning {
+  constructor() {
+    this.referencePitch = 440;   // A4 (Hz)
+    this.preset = 'equal';
+    this.name = '12-TET';
+    this.keyboardMapping = null;  // Parsed .kbm (null = linear from the root)
+    const custom = TUNING_PRESETS.find(p => p.id === 'custom');
+    this.custom = { name: custom.name, cents: [...custom.cents] };  // Scale of the Custom slot
+    this.setCents(TUNING_PRESETS[0].cents, this.name);
+  }
+
+  /**
+   * Select a built-in tuning (the custom one keeps its last scale).
+   * @param {string} id - TUNING_PRESETS id
+   * @returns {boolean} Whether the tuning exists
+   */
+  setPreset(id) {
+    const preset = id === 'custom' ? this.custom : TUNING_PRESETS.find(p => p.id === id);
+    if (!preset) return false;
+    this.preset = id;
+    this.setCents(preset.cents, preset.name);
+    return true;
+  }
+
+  /**
+   * Use a scale (cents above the root, last = period).
+   * @param {Array<number>} cents
+   * @param {string} [name]
+   */
+  setCents(cents, name = 'Custom') {
+    const sorted = cents.filter(c => c > 0).sort((a, b) => a - b);
+    if (sorted.length === 0) throw new Error('Scale needs at least one pitch above the root');
+    this.cents = sorted;
+    this.degreeCents = [0, ...sorted.slice(0, -1)];
+    this.period = sorted[sorted.length - 1];
+    this.name = name;
+  }
+
+  /**
+   * Store a custom scale in the Custom slot and select it.
+   * @param {Array<number>} cents
+   * @param {string} [name]
+   */
+  setCustom(cents, name = 'Custom') {
+    this.setCents(cents, name);
+    this.custom = { name, cents: this.cents };
+    this.preset = 'custom';
+  }
+
+  /**
+   * @param {Object|null} keyboardMapping - From parseKeyboardMapping() (null = linear)
+   */
+  setKeyboardMapping(keyboardMapping) {
+    this.keyboardMapping = keyboardMapping;
+  }
+
+  /**
+   * @returns {{preset: string, referencePitch: number, custom: {name: string, cents: Array<number>}|null, keyboardMapping: Object|null}}
+   */
+  getParams() {
+    return {
+      preset: this.preset,
+      referencePitch: this.referencePitch,
+      custom: this.preset === 'custom' ? { name: this.custom.name, cents: [...this.custom.cents] } : null,
+      keyboardMapping: this.keyboardMapping
+    };
+  }
+
+  /**
+   * Apply getParams() output. Missing keys are left unchanged.
+   * @param {Object} params
+   */
+  setParams(params) {
+    if (params.referencePitch !== undefined) this.referencePitch = params.referencePitch;
+    if (params.custom) {
+      this.setCustom(params.custom.cents, params.custom.name);
+    } else if (params.preset !== undefined) {
+      this.setPreset(params.preset);
+    }
+    if (params.keyboardMapping !== undefined) this.keyboardMapping = params.keyboardMapping;
+  }
+
+  /**
+   * Scale degrees per period.
+   * @returns {number}
+   */
+  get size() {
+    return this.degreeCents.length;
+  }
+
+  /**
+   * Keys per period (the mapping size of a keyboard mapping, if it has one).
+   * @returns {number}
+   */
+  getKeysPerPeriod() {
+    const kbm = this.keyboardMapping;
+    return kbm && kbm.size > 0 ? kbm.size : this.size;
+  }
+
+  /**
+   * Whether this is plain 12-TET at A440 (frequencies match MIDI notes).
+   * @returns {boolean}
+   */
+  isStandard() {
+    return this.preset === 'equal' && this.referencePitch === 440 && !this.keyboardMapping;
+  }
+
+  /**
+   * Cents of a scale degree above the root (degrees beyond the period wrap).
+   * @param {number} degree
+   * @returns {number}
+   */
+  getDegreeCents(degree) {
+    const block = Math.floor(degree / this.size);
+    return this.degreeCents[degree - block * this.size] + block * this.period;
+  }
+
+  /**
+   * Scale degree a key plays under the keyboard mapping.
+   * @param {number} key
+   * @returns {number|null} Degree, or null for an unmapped key
+   */
+  getMappedDegree(key) {
+    const kbm = this.keyboardMapping;
+    if (key < kbm.firstNote || key > kbm.lastNote) return null;
+    const offset = key - kbm.middleNote;
+    if (kbm.size === 0) return offset;
+    const block = Math.floor(offset / kbm.size);
+    const entry = kbm.mapping[offset - block * kbm.size];
+    return entry === null ? null : entry + block * kbm.octaveDegree;
+  }
+
+  /**
+   * Frequency of a key.
+   * @param {number} key - Key number (MIDI note numbering)
+   * @param {number} rootNote - Key of the scale root (ignored with a keyboard mapping)
+   * @returns {number|null} Hz, or null for an unmapped key
+   */
+  getFrequency(key, rootNote) {
+    const kbm = this.keyboardMapping;
+    if (kbm) {
+      const degree = this.getMappedDegree(key);
+      if (degree === null) return null;
+      const referenceDegree = this.getMappedDegree(kbm.referenceNote);
+      const reference = referenceDegree !== null ? this.getDegreeCents(referenceDegree) : 0;
+      return kbm.referenceFrequency * Math.pow(2, (this.getDegreeCents(degree) - reference) / 1200);
+    }
+
+    const rootFrequency = this.referencePitch * Math.pow(2, (rootNote - 69) / 12);
+    return rootFrequency * Math.pow(2, this.getDegreeCents(key - rootNote) / 1200);
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * Voice lifecycle tracking for the synth engines.
+ *
+ * Each note gets a voice record that is held for `holdTime` seconds, then
+ * released and kept until its release tail has finished. When all voices
+ * are busy a victim is chosen by the stealing policy:
+ *
+ *   oldest    - the voice that started first
+ *   quietest  - the voice with the lowest estimated current level
+ *   retrigger - a voice already playing the same note (else oldest)
+ *
+ * Engines that key note off by pitch ask for `retrigger` on every note, so a
+ * held voice on the same note is stolen first and a note off always finds
+ * the voice it belongs to.
+ *
+ * The manager only keeps the books; the engine does the actual work through
+ * the onRelease (gate off) and onSteal (cut now) callbacks.
+ */
+
+export const STEAL_POLICIES = ['oldest', 'quietest', 'retrigger'];
+
+export class VoiceManager {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxVoices] - Polyphony limit (default 16)
+   * @param {number} [options.holdTime] - Seconds before note off (default 0.15)
+   * @param {string} [options.stealPolicy] - One of STEAL_POLICIES (default 'oldest')
+   * @param {(voice: Object) => void} [options.onRelease] - Called when a voice's hold ends
+   * @param {(voice: Object) => void} [options.onSteal] - Called when a voice is stolen
+   */
+  constructor(options = {}) {
+    this.maxVoices = options.maxVoices || 16;
+    this.holdTime = options.holdTime !== undefined ? options.holdTime : 0.15;
+    this.stealPolicy = options.stealPolicy || 'oldest';
+    this.onRelease = options.onRelease || null;
+    this.onSteal = options.onSteal || null;
+
+    this.voices = [];
+    this.stolenCount = 0;
+  }
+
+  /**
+   * Allocate a voice for a new note, stealing one if needed.
+   * @param {number} midiNote - MIDI note number
+   * @param {number} velocity - Note velocity (0-1)
+   * @param {number} now - Current time in seconds
+   * @param {Object} [options]
+   * @param {number} [options.holdTime] - Override hold time (0 for percussive voices)
+   * @param {number} [options.releaseTime] - Length of the release tail in seconds
+   * @param {boolean} [options.retrigger] - Steal a held voice on the same note first
+   * @param {Object} [options.data] - Engine-specific data kept on the voice
+   * @returns {Object} Voice record
+   */
+  noteOn(midiNote, velocity, now, options = {}) {
+    this.update(now);
+
+    let sameNote = null;
+    if (this.stealPolicy === 'retrigger') {
+      sameNote = this.voices.find(v => v.midiNote === midiNote);
+    } else if (options.retrigger) {
+      sameNote = this.voices.find(v => v.held && v.midiNote === midiNote);
+    }
+    if (sameNote) this.steal(sameNote);
+
+    while (this.voices.length >= this.maxVoices) {
+      this.steal(this.pickVictim(now));
+    }
+
+    const holdTime = options.holdTime !== undefined ? options.holdTime : this.holdTime;
+    const releaseAt = now + holdTime;
+    const voice = {
+      midiNote,
+      velocity,
+      startTime: now,
+      releaseAt,
+      endTime: releaseAt + (options.releaseTime || 0),
+      held: true,
+      data: options.data || null
+    };
+    this.voices.push(voice);
+    return voice;
+  }
+
+  /**
+   * Release voices whose hold time is up and drop finished ones.
+   * @param {number} now - Current time in seconds
+   */
+  update(now) {
+    for (const voice of this.voices) {
+      if (voice.held && now >= voice.releaseAt) {
+        voice.held = false;
+        if (this.onRelease) this.onRelease(voice);
+      }
+    }
+
+    // Filter in place
+    let write = 0;
+    for (const voice of this.voices) {
+      if (voice.held || voice.endTime > now) {
+        this.voices[write++] = voice;
+      }
+    }
+    this.voices.length = write;
+  }
+
+  /**
+   * Estimate a voice's current level (linear release after the hold).
+   * @param {Object} voice
+   * @param {number} now - Current time in seconds
+   * @returns {number}
+   */
+  getLevel(voice, now) {
+    if (voice.held) return voice.velocity;
+    const releaseLength = voice.endTime - voice.releaseAt;
+    if (releaseLength <= 0) return 0;
+    return voice.velocity * Math.max(0, 1 - (now - voice.releaseAt) / releaseLength);
+  }
+
+  /**
+   * Choose the voice to steal under the oldest/quietest policy.
+   * @param {number} now - Current time in seconds
+   * @returns {Object} Voice record
+   */
+  pickVictim(now) {
+    let victim = this.voices[0];
+    for (const voice of this.voices) {
+      if (this.stealPolicy === 'quietest') {
+        if (this.getLevel(voice, now) < this.getLevel(victim, now)) victim = voice;
+      } else if (voice.startTime < victim.startTime) {
+        victim = voice;
+      }
+    }
+    return victim;
+  }
+
+  /**
+   * Remove a voice and tell the engine to cut it.
+   * @param {Object} voice
+   */
+  steal(voice) {
+    const index = this.voices.indexOf(voice);
+    if (index === -1) return;
+    this.voices.splice(index, 1);
+    this.stolenCount++;
+    if (this.onSteal) this.onSteal(voice);
+  }
+
+  /**
+   * Release every held voice and forget all voices.
+   */
+  releaseAll() {
+    for (const voice of this.voices) {
+      if (voice.held && this.onRelease) {
+        voice.held = false;
+        this.onRelease(voice);
+      }
+    }
+    this.voices = [];
+  }
+
+  /**
+   * @returns {number} Voices currently held or in their release tail
+   */
+  getActiveCount() {
+    return this.voices.length;
+  }
+
+  /**
+   * @returns {number} Voices currently held (gate on)
+   */
+  getHeldCount() {
+    let count = 0;
+    for (const voice of this.voices) {
+      if (voice.held) count++;
+    }
+    return count;
+  }
+}
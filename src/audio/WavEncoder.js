@@ -0,0 +1,109 @@
+/**
+ * Encodes AudioBuffers as RIFF/WAVE files.
+ *
+ * Supported formats:
+ *   16 - 16-bit integer PCM
+ *   24 - 24-bit integer PCM
+ *   32 - 32-bit IEEE float
+ */
+
+import { downloadBlob } from '../core/Download.js';
+
+export const WAV_FORMATS = [16, 24, 32];
+
+/**
+ * Encode an AudioBuffer (or any {numberOfChannels, sampleRate, length,
+ * getChannelData}) into a WAV file.
+ * @param {AudioBuffer} buffer - Audio to encode
+ * @param {number} [bitDepth] - 16, 24 or 32 (float)
+ * @returns {ArrayBuffer} WAV file bytes
+ */
+export function encodeWav(buffer, bitDepth = 16) {
+  if (!WAV_FORMATS.includes(bitDepth)) {
+    throw new Error(`Unsupported WAV bit depth: ${bitDepth}`);
+  }
+
+  const numChannels = buffer.numberOfChannels;
+  const sampleRate = buffer.sampleRate;
+  const numFrames = buffer.length;
+  const isFloat = bitDepth === 32;
+  const bytesPerSample = bitDepth / 8;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = numFrames * blockAlign;
+
+  // Float WAV needs the extended fmt chunk plus a fact chunk
+  const fmtSize = isFloat ? 18 : 16;
+  const factSize = isFloat ? 12 : 0;
+  const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+
+  const arrayBuffer = new ArrayBuffer(headerSize + dataSize);
+  const view = new DataView(arrayBuffer);
+  let offset = 0;
+
+  const writeString = (str) => {
+    for (let i = 0; i < str.length; i++) {
+      view.setUint8(offset++, str.charCodeAt(i));
+    }
+  };
+
+  // RIFF header
+  writeString('RIFF');
+  view.setUint32(offset, headerSize + dataSize - 8, true); offset += 4;
+  writeString('WAVE');
+
+  // fmt chunk
+  writeString('fmt ');
+  view.setUint32(offset, fmtSize, true); offset += 4;
+  view.setUint16(offset, isFloat ? 3 : 1, true); offset += 2;  // 1 = PCM, 3 = IEEE float
+  view.setUint16(offset, numChannels, true); offset += 2;
+  view.setUint32(offset, sampleRate, true); offset += 4;
+  view.setUint32(offset, sampleRate * blockAlign, true); offset += 4;
+  view.setUint16(offset, blockAlign, true); offset += 2;
+  view.setUint16(offset, bitDepth, true); offset += 2;
+  if (isFloat) {
+    view.setUint16(offset, 0, true); offset += 2;  // cbSize
+    writeString('fact');
+    view.setUint32(offset, 4, true); offset += 4;
+    view.setUint32(offset, numFrames, true); offset += 4;
+  }
+
+  // data chunk
+  writeString('data');
+  view.setUint32(offset, dataSize, true); offset += 4;
+
+  const channels = [];
+  for (let c = 0; c < numChannels; c++) {
+    channels.push(buffer.getChannelData(c));
+  }
+
+  // Interleave samples
+  for (let i = 0; i < numFrames; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+
+      if (isFloat) {
+        view.setFloat32(offset, channels[c][i], true);
+      } else if (bitDepth === 16) {
+        view.setInt16(offset, Math.round(sample < 0 ? sample * 0x8000 : sample * 0x7fff), true);
+      } else {
+        const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7fffff);
+        view.setUint8(offset, value & 0xff);
+        view.setUint8(offset + 1, (value >> 8) & 0xff);
+        view.setUint8(offset + 2, (value >> 16) & 0xff);
+      }
+      offset += bytesPerSample;
+    }
+  }
+
+  return arrayBuffer;
+}
+
+/**
+ * Trigger a browser download of encoded WAV bytes.
+ * @param {ArrayBuffer} wav - From encodeWav()
+ * @param {string} [filename]
+ */
+export function downloadWav(wav, filename = 'raindrop-ripples.wav') {
+  const blob = new Blob([wav], { type: 'audio/wav' });
+  downloadBlob(blob, filename);
+}
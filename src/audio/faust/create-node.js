@@ -17,15 +17,14 @@
  * @param {string} [dspName] - The name of the DSP to be loaded.
  * @param {number} [voices] - The number of voices to be used for polyphonic DSPs.
  * @param {boolean} [sp] - Whether to create a ScriptProcessorNode instead of an AudioWorkletNode.
- * @returns {Promise<{ faustNode: FaustNode | null; dspMeta: FaustDspMeta }>} - An object containing the Faust audio node and the DSP metadata.
+ * @param {number} [bufferSize] - ScriptProcessorNode buffer size.
+ * @param {{ baseUrl?: string; hasEffect?: boolean }} [options] - Where the compiled files live (default `/audio/<dspName>/`) and whether an effect module is present (default: detected from effect-meta.json).
+ * @returns {Promise<{ faustNode: FaustNode | null; dspMeta: FaustDspMeta; effectMeta: FaustDspMeta | null }>} - An object containing the Faust audio node and the DSP and effect metadata.
  */
-const createFaustNode = async (audioContext, dspName = "chord_synth", voices = 0, sp = false, bufferSize = 512) => {
-    // Set to true if the DSP has an effect
-    const FAUST_DSP_HAS_EFFECT = true;
-
+const createFaustNode = async (audioContext, dspName = "chord_synth", voices = 0, sp = false, bufferSize = 512, options = {}) => {
     // Construct URL at runtime to prevent Vite from transforming it during build
     // Use window.location.origin to get the full base URL, then append the public path
-    const baseUrl = new URL('/audio/chord_synth/', window.location.origin).href;
+    const baseUrl = new URL(options.baseUrl || `/audio/${dspName}/`, window.location.origin).href;
     console.log('FAUST baseUrl:', baseUrl);
 
     // Import necessary Faust modules and data
@@ -36,7 +35,8 @@ const createFaustNode = async (audioContext, dspName = "chord_synth", voices = 0
     const dspMetaUrl = baseUrl + "dsp-meta.json";
     console.log('Fetching DSP meta from:', dspMetaUrl);
     const dspMetaResponse = await fetch(dspMetaUrl);
-    if (!dspMetaResponse.ok) {
+    if (!dspMetaResponse.ok || !isJson(dspMetaResponse)) {
+        // Dev servers answer missing files with index.html, so check the type too
         throw new Error(`Failed to fetch dsp-meta.json: ${dspMetaResponse.status} ${dspMetaResponse.statusText}`);
     }
     const dspMeta = await dspMetaResponse.json();
@@ -57,9 +57,13 @@ const createFaustNode = async (audioContext, dspName = "chord_synth", voices = 0
         // Try to load optional mixer and effect modules
         faustDsp.mixerModule = await WebAssembly.compileStreaming(await fetch(baseUrl + "mixer-module.wasm"));
 
-        if (FAUST_DSP_HAS_EFFECT) {
-            faustDsp.effectMeta = await (await fetch(baseUrl + "effect-meta.json")).json();
+        // The effect is optional: use it if the caller says so, or if its metadata exists
+        const effectMetaResponse = options.hasEffect === false ? null : await fetch(baseUrl + "effect-meta.json");
+        if (effectMetaResponse && effectMetaResponse.ok && isJson(effectMetaResponse)) {
+            faustDsp.effectMeta = await effectMetaResponse.json();
             faustDsp.effectModule = await WebAssembly.compileStreaming(await fetch(baseUrl + "effect-module.wasm"));
+        } else if (options.hasEffect) {
+            throw new Error(`Failed to fetch effect-meta.json for ${dspName}`);
         }
 
         // Create a polyphonic Faust audio node
@@ -86,10 +90,18 @@ const createFaustNode = async (audioContext, dspName = "chord_synth", voices = 0
         );
     }
 
-    // Return an object with the Faust audio node and the DSP metadata
-    return { faustNode, dspMeta };
+    // Return an object with the Faust audio node and the DSP and effect metadata
+    return { faustNode, dspMeta, effectMeta: faustDsp.effectMeta || null };
 }
 
+/**
+ * Whether a fetch response is JSON (and not an HTML fallback page).
+ *
+ * @param {Response} response
+ * @returns {boolean}
+ */
+const isJson = (response) => (response.headers.get("content-type") || "").includes("json");
+
 /**
  * Connects an audio input stream to a Faust WebAudio node.
  * 
@@ -0,0 +1,18 @@
+/**
+ * Browser file downloads for the exporters (presets, sessions, WAV, MIDI).
+ */
+
+/**
+ * Trigger a browser download of a blob.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Revoked later: the download may not have started when click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
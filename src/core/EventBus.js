@@ -0,0 +1,92 @@
+/**
+ * Typed publish/subscribe bus connecting the simulation to its consumers.
+ *
+ * Systems publish events; ripples, splashes, audio, recorders, MIDI,
+ * visualizers or analytics subscribe, optionally with a filter, without
+ * the publisher knowing about them. Publishing allocates nothing: event
+ * objects are passed through as-is (impacts and notes are the objects the
+ * simulation already made) and the subscriber lists are only copied when
+ * someone subscribes or unsubscribes.
+ *
+ * Handlers must not keep references to events published from scratch
+ * objects (parameter-changed); copy the fields they need.
+ */
+
+export const EVENTS = {
+  IMPACT: 'impact',                 // Raindrop hit the water: {x, y, z, strength, diameter, speed, energy, slope..., time}
+  SPLASH: 'splash',                 // Splash droplet landed: same fields plus secondary: true
+  NOTE: 'note-triggered',           // Note mapped/played: NoteMapper.mapImpactNotes() note plus time, x, z
+  HARMONY: 'harmony-changed',       // Progression moved on: ProgressionEngine harmony {name, root, mode, intervals, tones, ...}
+  PARAMETER: 'parameter-changed',   // Control changed: {id, value}
+  PRESET: 'preset-loaded'           // Scene preset applied: {preset}
+};
+
+export class EventBus {
+  constructor() {
+    // Event type -> subscriber list (replaced, never mutated, on change)
+    this.subscribers = new Map();
+  }
+
+  /**
+   * Listen for one event type.
+   * @param {string} type - One of EVENTS
+   * @param {(event: Object) => void} handler
+   * @param {Object} [options]
+   * @param {(event: Object) => boolean} [options.filter] - Only events passing this reach the handler
+   * @returns {() => void} Unsubscribe function
+   */
+  subscribe(type, handler, options = {}) {
+    const subscriber = { handler, filter: options.filter || null };
+    const list = this.subscribers.get(type) || [];
+    this.subscribers.set(type, [...list, subscriber]);
+    return () => this.remove(type, subscriber);
+  }
+
+  /**
+   * @param {string} type
+   * @param {Object} subscriber - Entry created by subscribe()
+   */
+  remove(type, subscriber) {
+    const list = this.subscribers.get(type);
+    if (!list) return;
+    this.subscribers.set(type, list.filter(s => s !== subscriber));
+  }
+
+  /**
+   * Whether anyone listens to an event type (lets publishers skip building events).
+   * @param {string} type
+   * @returns {boolean}
+   */
+  hasSubscribers(type) {
+    const list = this.subscribers.get(type);
+    return list !== undefined && list.length > 0;
+  }
+
+  /**
+   * Deliver an event to every matching subscriber, in subscription order.
+   * A failing handler is logged and does not stop the others.
+   * @param {string} type
+   * @param {Object} event
+   */
+  publish(type, event) {
+    const list = this.subscribers.get(type);
+    if (!list) return;
+
+    for (let i = 0; i < list.length; i++) {
+      const subscriber = list[i];
+      if (subscriber.filter && !subscriber.filter(event)) continue;
+      try {
+        subscriber.handler(event);
+      } catch (e) {
+        console.warn(`Event handler for "${type}" failed:`, e);
+      }
+    }
+  }
+
+  /**
+   * Remove all subscribers.
+   */
+  clear() {
+    this.subscribers.clear();
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Seedable pseudo-random number generator (mulberry32).
+ *
+ * Shared by the simulation systems so that the same seed always produces
+ * the same sequence of raindrops, ripples and notes.
+ */
+
+export class SeededRandom {
+  /**
+   * @param {number} [seed] - 32-bit integer seed (random if omitted)
+   */
+  constructor(seed = SeededRandom.randomSeed()) {
+    this.reset(seed);
+  }
+
+  /**
+   * Generate a fresh seed from the platform RNG.
+   * @returns {number} 32-bit unsigned integer
+   */
+  static randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Restart the sequence from a seed.
+   * @param {number} seed - 32-bit integer seed
+   */
+  reset(seed = this.seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * Next float in [0, 1), drop-in replacement for Math.random().
+   * @returns {number}
+   */
+  next() {
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Float in [min, max).
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  range(min, max) {
+    return min + this.next() * (max - min);
+  }
+
+  /**
+   * Integer in [min, max] inclusive.
+   * @param {number} min
+   * @param {number} max
+   * @returns {number}
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * Snapshot of the generator position (for save/restore).
+   * @returns {{seed: number, state: number}}
+   */
+  getState() {
+    return { seed: this.seed, state: this.state };
+  }
+
+  /**
+   * Restore a snapshot taken with getState().
+   * @param {{seed: number, state: number}} snapshot
+   */
+  setState(snapshot) {
+    this.seed = snapshot.seed >>> 0;
+    this.state = snapshot.state >>> 0;
+  }
+}
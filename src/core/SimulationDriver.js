@@ -0,0 +1,319 @@
+import { SeededRandom } from './SeededRandom.js';
+import { EventBus, EVENTS } from './EventBus.js';
+import { TempoClock } from './TempoClock.js';
+import { RaindropSystem } from '../particles/RaindropSystem.js';
+import { SplashSystem } from '../particles/SplashSystem.js';
+import { RippleSimulation } from '../water/RippleSimulation.js';
+import { AudioSystem } from '../audio/AudioSystem.js';
+import { WeatherController } from '../weather/WeatherController.js';
+
+/**
+ * Fixed-timestep driver for the raindrop -> ripple -> audio pipeline.
+ *
+ * The live app feeds it variable frame deltas through advance(); headless
+ * runs call step() directly. Either way the simulation only ever moves in
+ * whole steps of `timeStep` seconds, so the same seed and the same number
+ * of steps always produce the same impacts, height field and note events.
+ *
+ * Each step publishes its impacts and splash landings on the event bus.
+ * The driver subscribes the ripple, splash and audio systems; anything else
+ * (visualizers, analytics...) can subscribe to the same bus. Notes the
+ * audio system plays are published as note-triggered events.
+ *
+ * The driver also advances the tempo clock (the audio system's, if there is
+ * one), which the rain can phase-lock its spawning to.
+ */
+export class SimulationDriver {
+  /**
+   * @param {Object} systems
+   * @param {RaindropSystem} systems.raindrops
+   * @param {SplashSystem} [systems.splashes] - Splash droplets and secondary impacts
+   * @param {RippleSimulation} [systems.rippleSimulation]
+   * @param {AudioSystem} [systems.audioSystem]
+   * @param {WeatherController} [systems.weather] - Drives spawn rate, wind, drop sizes and gravity
+   * @param {Object} [systems.renderer] - Passed through to the ripple update (null when headless)
+   * @param {SeededRandom} [systems.random] - Shared random source
+   * @param {EventBus} [systems.events] - Bus to publish on (a new one if omitted)
+   * @param {TempoClock} [systems.clock] - Tempo clock (defaults to the audio system's)
+   * @param {number} [systems.timeStep] - Seconds per step (default 1/60)
+   * @param {number} [systems.maxSubSteps] - Cap on steps per advance() to avoid spiral of death
+   */
+  constructor(systems) {
+    this.raindrops = systems.raindrops;
+    this.splashes = systems.splashes || null;
+    this.rippleSimulation = systems.rippleSimulation || null;
+    this.audioSystem = systems.audioSystem || null;
+    this.weather = systems.weather || null;
+    this.renderer = systems.renderer || null;
+    this.random = systems.random || null;
+    this.events = systems.events || new EventBus();
+    this.clock = systems.clock || (this.audioSystem ? this.audioSystem.clock : new TempoClock());
+    this.raindrops.clock = this.clock;
+
+    this.timeStep = systems.timeStep || 1 / 60;
+    this.maxSubSteps = systems.maxSubSteps || 8;
+
+    this.time = 0;
+    this.stepCount = 0;
+    this.accumulator = 0;
+
+    // Step results, reused so stepping allocates nothing: one per sub-step
+    // slot of advance(), filled by step() and the subscribers below
+    this.stepResults = [];
+    this.results = [];
+    this.stepNotes = null;
+    this.stepGraceImpacts = null;
+
+    this.connectSystems();
+  }
+
+  /**
+   * Subscribe the built-in systems to impacts and splash landings, in
+   * pipeline order: ripples, then splashes, then audio.
+   */
+  connectSystems() {
+    const events = this.events;
+
+    if (this.rippleSimulation) {
+      const addRipple = (impact) => {
+        this.rippleSimulation.addRipple(impact.x, impact.z, impact.strength, impact.diameter);
+      };
+      events.subscribe(EVENTS.IMPACT, addRipple);
+      events.subscribe(EVENTS.SPLASH, addRipple);
+    }
+
+    if (this.splashes) {
+      events.subscribe(EVENTS.IMPACT, (impact) => this.splashes.emitImpact(impact));
+    }
+
+    if (this.audioSystem) {
+      events.subscribe(EVENTS.IMPACT, (impact) => this.playImpact(impact));
+    }
+
+    // Hard splash landings play quiet grace notes when enabled
+    if (this.splashes) {
+      events.subscribe(EVENTS.SPLASH, (impact) => {
+        this.stepGraceImpacts.push(impact);
+        if (this.audioSystem) this.playImpact(impact);
+      }, {
+        filter: (impact) => this.splashes.isGraceImpact(impact)
+      });
+    }
+  }
+
+  /**
+   * Play an impact (simulation time, not wall clock) and publish its notes.
+   * @param {Object} impact
+   */
+  playImpact(impact) {
+    const notes = this.audioSystem.triggerImpact(impact, impact.time * 1000);
+    for (let i = 0; i < notes.length; i++) {
+      this.stepNotes.push(notes[i]);
+      this.events.publish(EVENTS.NOTE, notes[i]);
+    }
+  }
+
+  /**
+   * Build a driver with no renderer, mesh or audio context.
+   * @param {Object} [options]
+   * @param {number} [options.seed] - Seed for the shared random source
+   * @param {number} [options.timeStep] - Seconds per step
+   * @param {number} [options.resolution] - Ripple height field resolution
+   * @param {Object} [options.raindrops] - Extra RaindropSystem options
+   * @param {Object} [options.splashes] - Extra SplashSystem options
+   * @param {string} [options.weather] - Weather preset name (see WEATHER_PRESETS)
+   * @returns {Promise<SimulationDriver>}
+   */
+  static async createHeadless(options = {}) {
+    const random = new SeededRandom(options.seed);
+
+    const rippleSimulation = new RippleSimulation(null, options.resolution || 128, false, { headless: true });
+    await rippleSimulation.init();
+
+    const raindrops = new RaindropSystem(null, {
+      maxParticles: 200,
+      spawnRate: 2,
+      spawnArea: { x: 18, z: 18 },
+      spawnHeight: 12,
+      gravity: -15,
+      ...options.raindrops,
+      random,
+      surface: rippleSimulation,
+      headless: true
+    });
+    await raindrops.init();
+
+    const splashes = new SplashSystem(null, {
+      ...options.splashes,
+      random,
+      surface: rippleSimulation,
+      headless: true
+    });
+    await splashes.init();
+
+    // Enabled but never initialized: notes are mapped, not synthesized
+    const audioSystem = new AudioSystem();
+    audioSystem.setEnabled(true);
+
+    const weather = new WeatherController(raindrops, { random });
+    if (options.weather) {
+      weather.setPreset(options.weather);
+    }
+
+    return new SimulationDriver({
+      raindrops,
+      splashes,
+      rippleSimulation,
+      audioSystem,
+      weather,
+      random,
+      timeStep: options.timeStep
+    });
+  }
+
+  /**
+   * Rewind to step 0 with the random source reseeded, so the run can be
+   * reproduced from the start.
+   * @param {number} [seed] - New seed (defaults to the current one)
+   */
+  reset(seed) {
+    this.time = 0;
+    this.stepCount = 0;
+    this.accumulator = 0;
+    this.clock.reset();
+
+    if (this.random) {
+      this.random.reset(seed);
+    }
+    this.raindrops.reset();
+    if (this.splashes) {
+      this.splashes.reset();
+    }
+    if (this.weather) {
+      this.weather.reset();
+    }
+    if (this.rippleSimulation) {
+      this.rippleSimulation.reset();
+    }
+    if (this.audioSystem) {
+      this.audioSystem.clearPendingNotes();
+      this.audioSystem.resetProgression();
+    }
+  }
+
+  /**
+   * Advance the pipeline by exactly one fixed step.
+   * @param {number} [slot] - Result to fill (the next step() with the same slot overwrites it)
+   * @returns {{time: number, step: number, impacts: Array<Object>, splashImpacts: Array<Object>, graceImpacts: Array<Object>, notes: Array<Object>}}
+   *   Reused result, copy to keep
+   */
+  step(slot = 0) {
+    let result = this.stepResults[slot];
+    if (!result) {
+      result = { time: 0, step: 0, impacts: [], splashImpacts: [], graceImpacts: [], notes: [] };
+      this.stepResults[slot] = result;
+    }
+    const { impacts, splashImpacts, graceImpacts, notes } = result;
+    impacts.length = 0;
+    splashImpacts.length = 0;
+    graceImpacts.length = 0;
+    notes.length = 0;
+    this.stepNotes = notes;
+    this.stepGraceImpacts = graceImpacts;
+
+    this.stepCount++;
+    this.time = this.stepCount * this.timeStep;
+    this.clock.update(this.time);
+
+    // Weather sets this step's spawn rate (and so drop sizes), wind and gravity
+    if (this.weather) {
+      this.weather.update(this.timeStep);
+    }
+
+    // Harmony changes on bar lines, before this step's notes
+    if (this.audioSystem && this.audioSystem.updateProgression(this.time * 1000)) {
+      this.events.publish(EVENTS.HARMONY, this.audioSystem.noteMapper.progression.harmony);
+    }
+
+    // Strummed and arpeggiated chord notes that are due
+    if (this.audioSystem) {
+      const due = this.audioSystem.flushPendingNotes(this.time * 1000);
+      for (let i = 0; i < due.length; i++) {
+        notes.push(due[i]);
+        this.events.publish(EVENTS.NOTE, due[i]);
+      }
+    }
+
+    // Update raindrops and publish their impacts (ripples, splashes, notes)
+    const dropImpacts = this.raindrops.update(this.timeStep, this.time);
+    for (let i = 0; i < dropImpacts.length; i++) {
+      impacts.push(dropImpacts[i]);
+      this.events.publish(EVENTS.IMPACT, dropImpacts[i]);
+    }
+
+    // Splash droplets falling back onto the water are secondary impacts
+    if (this.splashes) {
+      const landed = this.splashes.update(this.timeStep, this.time, this.raindrops.gravity);
+      for (let i = 0; i < landed.length; i++) {
+        splashImpacts.push(landed[i]);
+        this.events.publish(EVENTS.SPLASH, landed[i]);
+      }
+    }
+
+    // Update ripple simulation
+    if (this.rippleSimulation) {
+      this.rippleSimulation.setWind(this.raindrops.wind);
+      this.rippleSimulation.update(this.renderer, this.timeStep);
+    }
+
+    result.time = this.time;
+    result.step = this.stepCount;
+    return result;
+  }
+
+  /**
+   * Run a fixed number of steps (headless runs and tests; allocates a copy
+   * of every step's result).
+   * @param {number} steps
+   * @returns {Array<Object>} Per-step results from step()
+   */
+  run(steps) {
+    const results = [];
+    for (let i = 0; i < steps; i++) {
+      const result = this.step();
+      results.push({
+        time: result.time,
+        step: result.step,
+        impacts: [...result.impacts],
+        splashImpacts: [...result.splashImpacts],
+        graceImpacts: [...result.graceImpacts],
+        notes: [...result.notes]
+      });
+    }
+    return results;
+  }
+
+  /**
+   * Consume a variable frame delta, stepping as many whole steps as fit.
+   * Leftover time carries over to the next call.
+   * @param {number} delta - Frame delta in seconds
+   * @returns {Array<Object>} Per-step results from step() (reused, valid until the next call)
+   */
+  advance(delta) {
+    this.accumulator += delta;
+
+    const results = this.results;
+    results.length = 0;
+    while (this.accumulator >= this.timeStep && results.length < this.maxSubSteps) {
+      this.accumulator -= this.timeStep;
+      results.push(this.step(results.length));
+    }
+
+    // Drop backlog we could not catch up on (e.g. after a background tab)
+    if (this.accumulator >= this.timeStep) {
+      this.accumulator = 0;
+    }
+
+    return results;
+  }
+}
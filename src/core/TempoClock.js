@@ -0,0 +1,215 @@
+/**
+ * Global tempo clock on simulation time.
+ *
+ * Keeps the musical position (quarter notes, bars) for a tempo, swing and
+ * time signature, and places grid steps on it. Grids are given like MIDI
+ * quantize values: steps per whole note (4 = quarters, 16 = sixteenths).
+ * With swing, every odd step is pushed later by that fraction of a step.
+ *
+ * Tempo and signature changes keep the current position, so bars and steps
+ * never jump. The SimulationDriver advances the clock every step; anything
+ * that needs the beat (notes, harmony, rain) reads it from here.
+ */
+
+export const TIME_SIGNATURES = [
+  { name: '4/4', beats: 4, unit: 4 },
+  { name: '3/4', beats: 3, unit: 4 },
+  { name: '5/4', beats: 5, unit: 4 },
+  { name: '6/8', beats: 6, unit: 8 },
+  { name: '7/8', beats: 7, unit: 8 }
+];
+
+export class TempoClock {
+  constructor() {
+    this.bpm = 120;          // Quarter notes per minute
+    this.swing = 0;          // 0 (straight) to 0.5 (odd steps half a step late)
+    this.beatsPerBar = 4;
+    this.beatUnit = 4;
+
+    this.reset();
+  }
+
+  /**
+   * Back to bar 0 at time 0.
+   */
+  reset() {
+    this.time = 0;
+    this.originTime = 0;
+    this.originQuarters = 0;
+    this.originBars = 0;
+  }
+
+  /**
+   * Follow the simulation time (tempo changes take effect from here).
+   * @param {number} time - Seconds
+   */
+  update(time) {
+    this.time = time;
+  }
+
+  /**
+   * Restart the tempo and bar calculations from the current position.
+   */
+  rebase() {
+    const quarters = this.getQuarters(this.time);
+    this.originBars = this.getBars(this.time);
+    this.originQuarters = quarters;
+    this.originTime = this.time;
+  }
+
+  /**
+   * @param {number} bpm - Quarter notes per minute
+   */
+  setBpm(bpm) {
+    this.rebase();
+    this.bpm = Math.max(20, Math.min(300, bpm));
+  }
+
+  /**
+   * @param {number} swing - 0 to 0.5
+   */
+  setSwing(swing) {
+    this.swing = Math.max(0, Math.min(0.5, swing));
+  }
+
+  /**
+   * @param {number} beats - Beats per bar
+   * @param {number} unit - Beat note value (4 = quarter, 8 = eighth)
+   */
+  setTimeSignature(beats, unit) {
+    this.rebase();
+    this.beatsPerBar = beats;
+    this.beatUnit = unit;
+  }
+
+  /**
+   * Shift the position (the shorter way, back or forth) so its phase in a
+   * cycle matches a remote clock's, the way Ableton Link aligns beats.
+   * @param {number} phase - Quarter notes into the cycle
+   * @param {number} [quantum] - Cycle length in quarter notes (defaults to a bar)
+   */
+  syncPhase(phase, quantum = this.getBarQuarters()) {
+    const quarters = this.getQuarters(this.time);
+    let shift = (phase - quarters) % quantum;
+    if (shift > quantum / 2) shift -= quantum;
+    else if (shift < -quantum / 2) shift += quantum;
+
+    this.originBars = this.getBars(this.time) + shift / this.getBarQuarters();
+    this.originQuarters = quarters + shift;
+    this.originTime = this.time;
+  }
+
+  /**
+   * @returns {{bpm: number, swing: number, beatsPerBar: number, beatUnit: number}}
+   */
+  getParams() {
+    return { bpm: this.bpm, swing: this.swing, beatsPerBar: this.beatsPerBar, beatUnit: this.beatUnit };
+  }
+
+  /**
+   * Apply getParams() output. Missing keys are left unchanged.
+   * @param {Object} params
+   */
+  setParams(params) {
+    if (params.bpm !== undefined) this.setBpm(params.bpm);
+    if (params.swing !== undefined) this.setSwing(params.swing);
+    if (params.beatsPerBar !== undefined || params.beatUnit !== undefined) {
+      this.setTimeSignature(params.beatsPerBar || this.beatsPerBar, params.beatUnit || this.beatUnit);
+    }
+  }
+
+  /**
+   * @returns {number} Seconds per quarter note
+   */
+  getQuarterLength() {
+    return 60 / this.bpm;
+  }
+
+  /**
+   * @returns {number} Quarter notes per bar
+   */
+  getBarQuarters() {
+    return this.beatsPerBar * 4 / this.beatUnit;
+  }
+
+  /**
+   * @returns {number} Seconds per bar
+   */
+  getBarLength() {
+    return this.getBarQuarters() * this.getQuarterLength();
+  }
+
+  /**
+   * Position in quarter notes.
+   * @param {number} time - Seconds
+   * @returns {number}
+   */
+  getQuarters(time) {
+    return this.originQuarters + (time - this.originTime) / this.getQuarterLength();
+  }
+
+  /**
+   * Position in bars (bar 2.5 = halfway through the third bar).
+   * @param {number} time - Seconds
+   * @returns {number}
+   */
+  getBars(time) {
+    return this.originBars + (this.getQuarters(time) - this.originQuarters) / this.getBarQuarters();
+  }
+
+  /**
+   * Position of a grid step in quarter notes (with swing).
+   * @param {number} index - Step number
+   * @param {number} division - Steps per whole note
+   * @returns {number}
+   */
+  getStepQuarters(index, division) {
+    const step = 4 / division;
+    return (index + (index % 2 !== 0 ? this.swing : 0)) * step;
+  }
+
+  /**
+   * Time of a grid step (under the current tempo).
+   * @param {number} index - Step number
+   * @param {number} division - Steps per whole note
+   * @returns {number} Seconds
+   */
+  getStepTime(index, division) {
+    return this.originTime + (this.getStepQuarters(index, division) - this.originQuarters) * this.getQuarterLength();
+  }
+
+  /**
+   * Number of the last grid step at or before a time.
+   * @param {number} time - Seconds
+   * @param {number} division - Steps per whole note
+   * @returns {number}
+   */
+  getStepIndex(time, division) {
+    const quarters = this.getQuarters(time) + 1e-9;
+    let index = Math.floor(quarters * division / 4);
+    if (this.getStepQuarters(index, division) > quarters) index--;
+    return index;
+  }
+
+  /**
+   * Number of the first grid step at or after a time.
+   * @param {number} time - Seconds
+   * @param {number} division - Steps per whole note
+   * @returns {number}
+   */
+  getNextStepIndex(time, division) {
+    const index = this.getStepIndex(time, division);
+    const onStep = this.getStepTime(index, division) >= time - 1e-9;
+    return onStep ? index : index + 1;
+  }
+
+  /**
+   * Snap a time to the next grid step (times on a step stay).
+   * @param {number} time - Seconds
+   * @param {number} division - Steps per whole note
+   * @returns {number} Seconds
+   */
+  quantize(time, division) {
+    return this.getStepTime(this.getNextStepIndex(time, division), division);
+  }
+}
@@ -3,14 +3,89 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { LakeSurface } from './water/LakeSurface.js';
 import { RippleSimulation } from './water/RippleSimulation.js';
 import { RaindropSystem } from './particles/RaindropSystem.js';
+import { SplashSystem } from './particles/SplashSystem.js';
 import { createSky, createEnvMap, loadEnvMap } from './environment/Sky.js';
 import { AudioSystem } from './audio/AudioSystem.js';
 import { FloorSurface } from './environment/FloorSurface.js';
 import { CausticsRenderer } from './water/CausticsRenderer.js';
+import { SeededRandom } from './core/SeededRandom.js';
+import { SimulationDriver } from './core/SimulationDriver.js';
+import { EventBus, EVENTS } from './core/EventBus.js';
+import { TIME_SIGNATURES } from './core/TempoClock.js';
+import { WeatherController, WEATHER_PRESETS, WEATHER_PRESET_NAMES } from './weather/WeatherController.js';
+import { SessionRecorder } from './session/SessionRecorder.js';
+import { SessionPlayer } from './session/SessionPlayer.js';
+import { parseSession, downloadSession, getSessionImpacts, getSessionNotes, getSessionTempoMap, getSessionAudioChanges, roundValue } from './session/SessionLog.js';
+import { renderImpactsOffline } from './audio/OfflineRenderer.js';
+import { encodeWav, downloadWav, WAV_FORMATS } from './audio/WavEncoder.js';
+import { STEAL_POLICIES } from './audio/VoiceManager.js';
+import { loadPitchMap } from './audio/ImpactMappings.js';
+import { CHORD_TYPES } from './audio/ChordVoicer.js';
+import { PROGRESSIONS } from './audio/ProgressionEngine.js';
+import { TUNING_PRESETS, parseScala, parseKeyboardMapping, parseScaleText } from './audio/Tuning.js';
+import { MidiOutput, TUNING_MODES } from './midi/MidiOutput.js';
+import { MidiInput } from './midi/MidiInput.js';
+import { writeMidiFile, downloadMidiFile } from './midi/MidiFileWriter.js';
+import { OscBridge, DEFAULT_BRIDGE_URL } from './osc/OscBridge.js';
+import { PresetStore } from './presets/PresetStore.js';
+import {
+  createPreset, getPresetSettings, parsePreset, downloadPreset,
+  encodePresetFragment, decodePresetFragment, SCENE_SCHEMA
+} from './presets/ScenePreset.js';
+import { PresetMorph } from './presets/PresetMorph.js';
+
+// Slider ids captured by session recording and restored on replay
+const RECORDED_SETTINGS = [
+  'frequency', 'speed', 'weather', 'weather-intensity', 'wind-speed', 'wind-direction', 'splash',
+  'instrument', 'volume', 'scale', 'mapping', 'tuning', 'root-note', 'reference-pitch',
+  'chord', 'chord-style', 'chord-spread', 'voice-leading',
+  'progression', 'progression-bars', 'chord-tone-weight',
+  'tempo', 'swing', 'time-signature', 'note-quantize', 'quantize-mode',
+  'sequencer-probability', 'sequencer-passes', 'rain-lock',
+  'filter-cutoff', 'morph', 'audio-brightness', 'decay',
+  'hold', 'steal-policy', 'distance-fade', 'spatial', 'air-absorption', 'grace-notes',
+  'note-budget', 'merge-window', 'merge-chord-size', 'density-softening',
+  'reverb', 'delay', 'attack',
+  'caustics', 'floor-style', 'floor-depth', 'fog-density', 'sun-elevation', 'sun-azimuth'
+];
+
+// AudioSystem parameters without a slider (reachable via MIDI, recorded like sliders)
+const EXTRA_AUDIO_PARAMS = [
+  { id: 'reverb-room', label: 'Reverb Room', min: 0, max: 1, step: 0.01, field: 'reverbRoom', setter: 'setReverbRoom' },
+  { id: 'delay-time', label: 'Delay Time', min: 0.05, max: 1, step: 0.01, field: 'delayTime', setter: 'setDelayTime' },
+  { id: 'delay-feedback', label: 'Delay Feedback', min: 0, max: 0.85, step: 0.01, field: 'delayFeedback', setter: 'setDelayFeedback' }
+];
+
+// Scene colors without a slider (0xRRGGBB, recorded and part of presets)
+const SCENE_COLOR_PARAMS = ['fog-color', 'sky-color', 'sun-color'];
+
+// Distance of the sun light from the lake center
+const SUN_DISTANCE = 18;
+
+// Sliders for shared engine parameters (AudioSystem field they drive);
+// dimmed when the active instrument ignores them
+const ENGINE_PARAM_SLIDERS = {
+  'filter-cutoff': 'filterCutoff',
+  'morph': 'morph',
+  'audio-brightness': 'brightness',
+  'decay': 'decayTime',
+  'attack': 'attackTime',
+  'reverb': 'reverbMix',
+  'delay': 'delayMix'
+};
+
+// Drops triggered by MIDI notes start low so they land quickly
+const MIDI_DROP_HEIGHT = 4;
 
 class App {
   constructor() {
     this.clock = new THREE.Clock();
+
+    // Shared random source - pass ?seed=N in the URL to reproduce a session
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    this.random = new SeededRandom(seedParam !== null ? parseInt(seedParam, 10) : undefined);
+    console.log('Simulation seed:', this.random.seed);
+
     this.audioSystem = new AudioSystem();
     this.init().catch(err => {
       console.error('Initialization error:', err);
@@ -48,6 +123,7 @@ class App {
       200  // Reduced to match fog distance
     );
     this.camera.position.set(0, 15, 15);
+    this.listenerForward = new THREE.Vector3();
     this.camera.lookAt(0, 0, 0);
 
     // Create WebGPU renderer
@@ -78,7 +154,7 @@ class App {
 
     // Create ripple simulation
     console.log('Creating ripple simulation...');
-    this.rippleSimulation = new RippleSimulation(this.renderer, 128);
+    this.rippleSimulation = new RippleSimulation(this.renderer, 128, true);
     await this.rippleSimulation.init();
     console.log('Ripple simulation created');
 
@@ -150,12 +226,52 @@ class App {
       spawnRate: 2,
       spawnArea: { x: 18, z: 18 },
       spawnHeight: 12,
-      gravity: -15
+      gravity: -15,
+      random: this.random,
+      surface: this.rippleSimulation
     });
     await this.raindrops.init();
     this.scene.add(this.raindrops.mesh);
     console.log('Raindrop system created');
 
+    // Splash droplets thrown up by the impacts
+    this.splashes = new SplashSystem(this.renderer, {
+      random: this.random,
+      surface: this.rippleSimulation
+    });
+    await this.splashes.init();
+    this.scene.add(this.splashes.mesh);
+
+    // Weather presets drive spawn rate, wind, drop sizes and gravity
+    this.weather = new WeatherController(this.raindrops, { random: this.random });
+
+    // Impacts, notes, control changes and preset loads are published here;
+    // recorders, visualizers and analytics subscribe instead of being wired in
+    this.events = new EventBus();
+    this.parameterEvent = { id: '', value: 0 };
+
+    // Fixed-timestep driver for raindrops -> ripples -> audio
+    this.simulation = new SimulationDriver({
+      raindrops: this.raindrops,
+      splashes: this.splashes,
+      rippleSimulation: this.rippleSimulation,
+      audioSystem: this.audioSystem,
+      weather: this.weather,
+      renderer: this.renderer,
+      random: this.random,
+      events: this.events
+    });
+
+    // Session recording and replay
+    this.recorder = new SessionRecorder(this.simulation);
+    this.player = new SessionPlayer(this.simulation, {
+      applySetting: (id, value) => this.applySetting(id, value),
+      applyCamera: (camera) => this.applyCamera(camera),
+      applyDrop: (drop) => this.raindrops.spawnDropAt(drop.x, drop.z, drop.height, drop.speed),
+      applyTuning: (tuning) => this.audioSystem.setParams({ tuning }),
+      onEnd: () => this.updateSessionControls()
+    });
+
     // Handle resize
     window.addEventListener('resize', () => this.onResize());
 
@@ -165,6 +281,25 @@ class App {
     // Setup audio controls
     this.setupAudioControls();
 
+    // Setup tempo clock and quantize controls
+    this.setupTempoControls();
+
+    // Setup MIDI output controls
+    this.setupMidiControls();
+
+    // Setup MIDI input controls
+    this.setupMidiInputControls();
+
+    // Setup the OSC bridge (network sync with other audio software)
+    this.setupOscControls();
+
+    // Setup session record/replay controls
+    this.setupSessionControls();
+
+    // Setup scene presets (and load one shared through the URL)
+    this.setupPresetControls();
+    this.loadPresetFromUrl();
+
     // Update info
     document.getElementById('info').textContent = 'Raindrop Ripples - WebGPU';
 
@@ -174,6 +309,13 @@ class App {
   }
 
   setupSettings() {
+    // Every control change (user, MIDI, preset or replay) is published
+    // after the control's own handler has applied it
+    document.getElementById('settings').addEventListener('input', (e) => {
+      if ((e.target.type !== 'range' && e.target.type !== 'hidden') || !e.target.id) return;
+      this.publishParameter(e.target.id, parseFloat(e.target.value));
+    });
+
     const frequencySlider = document.getElementById('frequency');
     const frequencyValue = document.getElementById('frequency-value');
     const speedSlider = document.getElementById('speed');
@@ -193,6 +335,61 @@ class App {
       speedValue.textContent = value;
     });
 
+    // Manual wind (slants the rain and raises waves on the lake)
+    const windSpeedSlider = document.getElementById('wind-speed');
+    const windDirectionSlider = document.getElementById('wind-direction');
+    const applyWind = () => {
+      if (this.weather.preset) return;
+      const speed = parseFloat(windSpeedSlider.value);
+      const direction = parseFloat(windDirectionSlider.value) * Math.PI / 180;
+      this.raindrops.wind.x = Math.cos(direction) * speed;
+      this.raindrops.wind.z = Math.sin(direction) * speed;
+    };
+    windSpeedSlider.addEventListener('input', (e) => {
+      applyWind();
+      document.getElementById('wind-speed-value').textContent = `${parseFloat(e.target.value)} m/s`;
+    });
+    windDirectionSlider.addEventListener('input', (e) => {
+      applyWind();
+      document.getElementById('wind-direction-value').textContent = `${e.target.value}°`;
+    });
+
+    // Splash amount (crown, jet and spray droplets per impact; 0 = off)
+    const splashSlider = document.getElementById('splash');
+    const splashValue = document.getElementById('splash-value');
+    splashSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.splashes.amount = value;
+      splashValue.textContent = value > 0 ? Math.round(value * 100) + '%' : 'Off';
+    });
+
+    // Weather preset (0 = manual: the sliders above set rate, speed and wind)
+    const weatherNames = ['Manual', ...WEATHER_PRESET_NAMES.map(name => WEATHER_PRESETS[name].label)];
+    const weatherSlider = document.getElementById('weather');
+    const weatherValue = document.getElementById('weather-value');
+    weatherSlider.addEventListener('input', (e) => {
+      const idx = parseInt(e.target.value);
+      this.weather.setPreset(WEATHER_PRESET_NAMES[idx - 1] || null);
+      weatherValue.textContent = weatherNames[idx];
+
+      // Weather takes over the rate, speed and wind sliders
+      const active = this.weather.preset !== null;
+      for (const slider of [frequencySlider, speedSlider, windSpeedSlider, windDirectionSlider]) {
+        slider.closest('.setting').classList.toggle('unsupported', active);
+        if (!active) slider.dispatchEvent(new Event('input'));
+      }
+    });
+
+    // Weather intensity (scales the preset's intensity curve)
+    const intensitySlider = document.getElementById('weather-intensity');
+    const intensityValue = document.getElementById('weather-intensity-value');
+    intensitySlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.weather.setIntensityScale(value);
+      intensityValue.textContent = Math.round(value * 100) + '%';
+    });
+    this.weatherReadoutTime = 0;
+
     // Setup visual controls
     this.setupVisualControls();
   }
@@ -244,6 +441,34 @@ class App {
         depthValue.textContent = value.toFixed(1);
       });
     }
+
+    // Fog density control
+    const fogSlider = document.getElementById('fog-density');
+    const fogValue = document.getElementById('fog-density-value');
+    fogSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.scene.fog.density = value;
+      fogValue.textContent = value.toFixed(3);
+    });
+
+    // Sun position controls (degrees)
+    const elevationSlider = document.getElementById('sun-elevation');
+    const elevationValue = document.getElementById('sun-elevation-value');
+    elevationSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.sunElevation = value;
+      this.updateSunPosition();
+      elevationValue.textContent = Math.round(value) + '°';
+    });
+
+    const azimuthSlider = document.getElementById('sun-azimuth');
+    const azimuthValue = document.getElementById('sun-azimuth-value');
+    azimuthSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.sunAzimuth = value;
+      this.updateSunPosition();
+      azimuthValue.textContent = Math.round(value) + '°';
+    });
   }
 
   setupAudioControls() {
@@ -264,6 +489,7 @@ class App {
           this.audioSystem.setEnabled(true);
           audioToggle.textContent = 'Audio: ON';
           audioToggle.classList.add('active');
+          this.updateInstrumentControls();
         } else {
           audioToggle.textContent = 'Audio Failed';
         }
@@ -275,6 +501,8 @@ class App {
       }
     });
 
+    this.setupInstrumentControls();
+
     // Volume control
     volumeSlider.addEventListener('input', (e) => {
       const value = parseFloat(e.target.value);
@@ -292,6 +520,166 @@ class App {
       scaleValue.textContent = scaleNames[value];
     });
 
+    // Impact-to-note mapping (plugins registered on the NoteMapper)
+    const mappings = this.audioSystem.noteMapper.getMappings();
+    const mappingSlider = document.getElementById('mapping');
+    const mappingValue = document.getElementById('mapping-value');
+    mappingSlider.max = mappings.length - 1;
+    mappingSlider.addEventListener('input', (e) => {
+      const mapping = mappings[parseInt(e.target.value)];
+      this.audioSystem.setMapping(mapping.id);
+      mappingValue.textContent = mapping.label;
+    });
+
+    // Pitch image for the heightmap mapping (selects it once loaded)
+    const pitchImageButton = document.getElementById('pitch-image-load');
+    const pitchImageInput = document.getElementById('pitch-image-file');
+    pitchImageButton.addEventListener('click', () => pitchImageInput.click());
+    pitchImageInput.addEventListener('change', async () => {
+      const file = pitchImageInput.files[0];
+      if (!file) return;
+      try {
+        this.audioSystem.noteMapper.mappings.get('heightmap').setPitchMap(await loadPitchMap(file));
+        this.applySetting('mapping', mappings.findIndex(m => m.id === 'heightmap'));
+      } catch (err) {
+        console.error('Failed to load pitch image:', err);
+      }
+      pitchImageInput.value = '';
+    });
+
+    // Tuning system, root key and reference pitch
+    const tuningSlider = document.getElementById('tuning');
+    const tuningValue = document.getElementById('tuning-value');
+    tuningSlider.max = TUNING_PRESETS.length - 1;
+    tuningSlider.addEventListener('input', (e) => {
+      const preset = TUNING_PRESETS[parseInt(e.target.value)];
+      this.audioSystem.setTuning(preset.id);
+      tuningValue.textContent = this.audioSystem.noteMapper.tuning.name;
+    });
+
+    const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+    const rootSlider = document.getElementById('root-note');
+    const rootValue = document.getElementById('root-note-value');
+    rootSlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value);
+      this.audioSystem.setRootNote(value);
+      rootValue.textContent = noteNames[value % 12] + (Math.floor(value / 12) - 1);
+    });
+
+    const referenceSlider = document.getElementById('reference-pitch');
+    const referenceValue = document.getElementById('reference-pitch-value');
+    referenceSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.audioSystem.setReferencePitch(value);
+      referenceValue.textContent = value + ' Hz';
+    });
+
+    // Custom scale typed as ratios/cents (replaces any keyboard mapping)
+    const customIndex = TUNING_PRESETS.findIndex(p => p.id === 'custom');
+    const customScaleInput = document.getElementById('custom-scale');
+    document.getElementById('custom-scale-apply').addEventListener('click', () => {
+      try {
+        this.audioSystem.setCustomScale(parseScaleText(customScaleInput.value));
+        this.audioSystem.setKeyboardMapping(null);
+        this.applySetting('tuning', customIndex);
+      } catch (err) {
+        console.warn('Invalid custom scale:', err.message);
+      }
+    });
+
+    // Scala import: a .scl scale, optionally with a .kbm keyboard mapping
+    const scalaButton = document.getElementById('scala-load');
+    const scalaInput = document.getElementById('scala-file');
+    scalaButton.addEventListener('click', () => scalaInput.click());
+    scalaInput.addEventListener('change', async () => {
+      const files = Array.from(scalaInput.files);
+      const scaleFile = files.find(f => f.name.toLowerCase().endsWith('.scl'));
+      const mappingFile = files.find(f => f.name.toLowerCase().endsWith('.kbm'));
+      try {
+        if (scaleFile) {
+          const scala = parseScala(await scaleFile.text());
+          this.audioSystem.setCustomScale(scala.cents, scala.name);
+          customScaleInput.value = '';
+        }
+        if (mappingFile) {
+          const keyboardMapping = parseKeyboardMapping(await mappingFile.text());
+          this.audioSystem.setKeyboardMapping(keyboardMapping);
+          this.applySetting('root-note', keyboardMapping.middleNote);
+        } else if (scaleFile) {
+          this.audioSystem.setKeyboardMapping(null);
+        }
+        this.applySetting('tuning', customIndex);
+      } catch (err) {
+        console.error('Failed to load Scala file:', err);
+      }
+      scalaInput.value = '';
+    });
+
+    // Chord mode: each impact plays a chord on its mapped note
+    const chordSlider = document.getElementById('chord');
+    const chordValue = document.getElementById('chord-value');
+    chordSlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value);
+      this.audioSystem.setChordType(value);
+      chordValue.textContent = value < 0 ? 'Off' : CHORD_TYPES[value].name;
+    });
+
+    const chordStyleNames = ['Block', 'Strum Up', 'Strum Down', 'Arpeggio'];
+    const chordStyleSlider = document.getElementById('chord-style');
+    const chordStyleValue = document.getElementById('chord-style-value');
+    chordStyleSlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value);
+      this.audioSystem.setChordStyle(value);
+      chordStyleValue.textContent = chordStyleNames[value];
+    });
+
+    const chordSpreadSlider = document.getElementById('chord-spread');
+    const chordSpreadValue = document.getElementById('chord-spread-value');
+    chordSpreadSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.audioSystem.setChordSpread(value);
+      chordSpreadValue.textContent = value + 'ms';
+    });
+
+    const voiceLeadingSlider = document.getElementById('voice-leading');
+    const voiceLeadingValue = document.getElementById('voice-leading-value');
+    voiceLeadingSlider.addEventListener('input', (e) => {
+      const enabled = parseInt(e.target.value) === 1;
+      this.audioSystem.setVoiceLeading(enabled);
+      voiceLeadingValue.textContent = enabled ? 'On' : 'Off';
+    });
+
+    // Harmonic progression: moves the key and mode on a bar clock
+    const progressionSlider = document.getElementById('progression');
+    const progressionValue = document.getElementById('progression-value');
+    progressionSlider.max = PROGRESSIONS.length - 1;
+    progressionSlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value);
+      this.audioSystem.setProgression(value);
+      progressionValue.textContent = value < 0 ? 'Off' : PROGRESSIONS[value].name;
+    });
+    // Show the harmony that is playing next to the progression name
+    this.events.subscribe(EVENTS.HARMONY, (harmony) => {
+      const progression = PROGRESSIONS[this.audioSystem.noteMapper.progression.type];
+      progressionValue.textContent = `${progression.name}: ${harmony.name}`;
+    });
+
+    const barsSlider = document.getElementById('progression-bars');
+    const barsValue = document.getElementById('progression-bars-value');
+    barsSlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value);
+      this.audioSystem.setBarsPerChange(value);
+      barsValue.textContent = value;
+    });
+
+    const chordToneSlider = document.getElementById('chord-tone-weight');
+    const chordToneValue = document.getElementById('chord-tone-weight-value');
+    chordToneSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.audioSystem.setChordToneWeight(value);
+      chordToneValue.textContent = Math.round(value * 100) + '%';
+    });
+
     // Filter cutoff control
     const cutoffSlider = document.getElementById('filter-cutoff');
     const cutoffValue = document.getElementById('cutoff-value');
@@ -324,6 +712,105 @@ class App {
       decayValue.textContent = value.toFixed(1) + 's';
     });
 
+    // Note hold control (time until FAUST note off)
+    const holdSlider = document.getElementById('hold');
+    const holdValue = document.getElementById('hold-value');
+    holdSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.audioSystem.setHoldTime(value);
+      holdValue.textContent = Math.round(value * 1000) + 'ms';
+    });
+
+    // Voice stealing policy control
+    const stealNames = ['Oldest', 'Quietest', 'Retrigger'];
+    const stealSlider = document.getElementById('steal-policy');
+    const stealValue = document.getElementById('steal-value');
+    stealSlider.addEventListener('input', (e) => {
+      const idx = parseInt(e.target.value);
+      this.audioSystem.setStealPolicy(STEAL_POLICIES[idx]);
+      stealValue.textContent = stealNames[idx];
+    });
+
+    // Distance fade control (attenuation of drops far from the listener)
+    const distanceSlider = document.getElementById('distance-fade');
+    const distanceValue = document.getElementById('distance-fade-value');
+    distanceSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.audioSystem.setDistanceAttenuation(value);
+      distanceValue.textContent = Math.round(value * 100) + '%';
+    });
+
+    // 3D audio: HRTF placement around the camera. The button flips the
+    // hidden control, which recording, presets and MIDI learn address.
+    const spatialInput = document.getElementById('spatial');
+    const spatialToggle = document.getElementById('spatial-toggle');
+    spatialToggle.addEventListener('click', () => {
+      this.applySetting('spatial', this.audioSystem.spatialEnabled ? 0 : 1);
+    });
+    spatialInput.addEventListener('input', (e) => {
+      const enabled = parseFloat(e.target.value) >= 0.5;
+      e.target.value = enabled ? 1 : 0;
+      this.audioSystem.setSpatialEnabled(enabled);
+      spatialToggle.textContent = enabled ? '3D Audio: ON' : '3D Audio: OFF';
+      spatialToggle.classList.toggle('active', enabled);
+      this.updateSpatialValue();
+    });
+
+    // Air absorption (distant notes lose their highs in 3D mode)
+    const airSlider = document.getElementById('air-absorption');
+    const airValue = document.getElementById('air-absorption-value');
+    airSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.audioSystem.setAirAbsorption(value);
+      airValue.textContent = Math.round(value * 100) + '%';
+    });
+
+    // Grace notes: splash droplets landing back on the water play quietly
+    const graceSlider = document.getElementById('grace-notes');
+    const graceValue = document.getElementById('grace-notes-value');
+    graceSlider.addEventListener('input', (e) => {
+      const enabled = parseInt(e.target.value) === 1;
+      this.splashes.graceNotes = enabled;
+      graceValue.textContent = enabled ? 'On' : 'Off';
+    });
+
+    // Note budget: onsets per second, the rest merge into chords or drop
+    const budgetSlider = document.getElementById('note-budget');
+    const budgetValue = document.getElementById('note-budget-value');
+    budgetSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.audioSystem.setNoteBudget(value);
+      budgetValue.textContent = `${value}/s`;
+    });
+
+    // Merge window: near-simultaneous impacts are decided on together
+    const mergeSlider = document.getElementById('merge-window');
+    const mergeValue = document.getElementById('merge-window-value');
+    mergeSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.audioSystem.setMergeWindow(value);
+      mergeValue.textContent = value + 'ms';
+    });
+
+    // Impacts of one window that can sound together
+    const chordSizeSlider = document.getElementById('merge-chord-size');
+    const chordSizeValue = document.getElementById('merge-chord-size-value');
+    chordSizeSlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value);
+      this.audioSystem.setMaxChordSize(value);
+      chordSizeValue.textContent = value;
+    });
+
+    // Velocity drop as the rain gets denser
+    const softeningSlider = document.getElementById('density-softening');
+    const softeningValue = document.getElementById('density-softening-value');
+    softeningSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.audioSystem.setDensitySoftening(value);
+      softeningValue.textContent = Math.round(value * 100) + '%';
+    });
+    this.noteStatsReadoutTime = 0;
+
     // Reverb control
     const reverbSlider = document.getElementById('reverb');
     const reverbValue = document.getElementById('reverb-value');
@@ -352,6 +839,1028 @@ class App {
     });
   }
 
+  setupInstrumentControls() {
+    const instrumentSlider = document.getElementById('instrument');
+    const instrumentValue = document.getElementById('instrument-value');
+    const instruments = this.audioSystem.getInstruments();
+    instrumentSlider.max = instruments.length - 1;
+    instrumentSlider.value = Math.max(0, instruments.findIndex(i => i.id === this.audioSystem.instrument));
+    instrumentValue.textContent = instruments[parseInt(instrumentSlider.value)].label;
+
+    instrumentSlider.addEventListener('input', async (e) => {
+      const instrument = instruments[parseInt(e.target.value)];
+      instrumentValue.textContent = this.audioSystem.isInitialized ? 'Loading...' : instrument.label;
+      const ok = await this.audioSystem.setInstrument(instrument.id);
+
+      // A newer selection may have superseded this one while loading
+      if (instruments[parseInt(instrumentSlider.value)] !== instrument) return;
+      instrumentValue.textContent = ok ? instrument.label : `${instrument.label} (unavailable)`;
+      this.updateInstrumentControls();
+    });
+  }
+
+  /**
+   * Rebuild the controls of the active instrument from its metadata and
+   * dim shared sliders it doesn't use.
+   */
+  updateInstrumentControls() {
+    const container = document.getElementById('instrument-params');
+    container.replaceChildren();
+
+    for (const param of this.audioSystem.getInstrumentControls()) {
+      const decimals = param.step >= 1 ? 0 : Math.min(3, Math.ceil(-Math.log10(param.step)));
+      const setting = document.createElement('div');
+      setting.className = 'setting';
+
+      const label = document.createElement('label');
+      const name = document.createElement('span');
+      name.textContent = param.label;
+      const value = document.createElement('span');
+      value.className = 'value';
+      value.textContent = param.value.toFixed(decimals);
+      label.append(name, value);
+
+      const slider = document.createElement('input');
+      slider.type = 'range';
+      slider.id = `instrument-${param.name}`;
+      slider.min = param.min;
+      slider.max = param.max;
+      slider.step = param.step;
+      slider.value = param.value;
+      slider.addEventListener('input', (e) => {
+        const v = parseFloat(e.target.value);
+        this.audioSystem.setInstrumentParam(param.address, v);
+        value.textContent = v.toFixed(decimals);
+      });
+
+      setting.append(label, slider);
+      container.append(setting);
+    }
+
+    this.updateSpatialValue();
+
+    // Before init every engine parameter may apply
+    const supported = this.audioSystem.isInitialized ? this.audioSystem.getSupportedParams() : null;
+    for (const [id, field] of Object.entries(ENGINE_PARAM_SLIDERS)) {
+      const setting = document.getElementById(id)?.closest('.setting');
+      if (setting) setting.classList.toggle('unsupported', supported !== null && !supported.includes(field));
+    }
+  }
+
+  /**
+   * Show how 3D mode places notes with the active engine: FAUST voices
+   * share one output node, so they only get the HRTF's pan and distance gain.
+   */
+  updateSpatialValue() {
+    const value = document.getElementById('spatial-value');
+    if (!this.audioSystem.spatialEnabled) {
+      value.textContent = 'Off';
+    } else {
+      value.textContent = this.audioSystem.useFallback ? 'HRTF' : 'Pan + gain';
+    }
+  }
+
+  setupTempoControls() {
+    const clock = this.simulation.clock;
+    const gridNames = ['Off', '1/4', '1/8', '1/16'];
+    const gridDivisions = [0, 4, 8, 16];
+
+    // Tempo (the MIDI clock and quantize follow it)
+    const tempoSlider = document.getElementById('tempo');
+    const tempoValue = document.getElementById('tempo-value');
+    tempoSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      clock.setBpm(value);
+      tempoValue.textContent = value + ' BPM';
+    });
+
+    const swingSlider = document.getElementById('swing');
+    const swingValue = document.getElementById('swing-value');
+    swingSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      clock.setSwing(value);
+      swingValue.textContent = Math.round(50 + value * 50) + '%';
+    });
+
+    const signatureSlider = document.getElementById('time-signature');
+    const signatureValue = document.getElementById('time-signature-value');
+    signatureSlider.max = TIME_SIGNATURES.length - 1;
+    signatureSlider.addEventListener('input', (e) => {
+      const signature = TIME_SIGNATURES[parseInt(e.target.value)];
+      clock.setTimeSignature(signature.beats, signature.unit);
+      signatureValue.textContent = signature.name;
+    });
+
+    // Note quantize: delay notes to the grid, or loop them in the step sequencer
+    const quantizeSlider = document.getElementById('note-quantize');
+    const quantizeValue = document.getElementById('note-quantize-value');
+    quantizeSlider.addEventListener('input', (e) => {
+      const idx = parseInt(e.target.value);
+      this.audioSystem.setQuantize(gridDivisions[idx]);
+      quantizeValue.textContent = gridNames[idx];
+    });
+
+    const modeNames = ['Delay', 'Sequencer'];
+    const modeSlider = document.getElementById('quantize-mode');
+    const modeValue = document.getElementById('quantize-mode-value');
+    modeSlider.addEventListener('input', (e) => {
+      const idx = parseInt(e.target.value);
+      this.audioSystem.setQuantizeMode(idx === 1 ? 'sequencer' : 'delay');
+      modeValue.textContent = modeNames[idx];
+    });
+
+    const probabilitySlider = document.getElementById('sequencer-probability');
+    const probabilityValue = document.getElementById('sequencer-probability-value');
+    probabilitySlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.audioSystem.setSequencerProbability(value);
+      probabilityValue.textContent = Math.round(value * 100) + '%';
+    });
+
+    const passesSlider = document.getElementById('sequencer-passes');
+    const passesValue = document.getElementById('sequencer-passes-value');
+    passesSlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value);
+      this.audioSystem.setSequencerPasses(value);
+      passesValue.textContent = value;
+    });
+
+    // Phase-lock the rain's spawning to the grid
+    const rainLockSlider = document.getElementById('rain-lock');
+    const rainLockValue = document.getElementById('rain-lock-value');
+    rainLockSlider.addEventListener('input', (e) => {
+      const idx = parseInt(e.target.value);
+      this.raindrops.setBeatLock(gridDivisions[idx]);
+      rainLockValue.textContent = gridNames[idx];
+    });
+  }
+
+  setupMidiControls() {
+    const midiToggle = document.getElementById('midi-toggle');
+    const outputSelect = document.getElementById('midi-output');
+
+    this.midiOutput = new MidiOutput();
+    this.audioSystem.setMidiOutput(this.midiOutput);
+
+    const refreshOutputs = () => {
+      const outputs = this.midiOutput.getOutputs();
+      outputSelect.innerHTML = '';
+      if (outputs.length === 0) {
+        outputSelect.add(new Option('No outputs', ''));
+      }
+      for (const output of outputs) {
+        outputSelect.add(new Option(output.name, output.id));
+      }
+      outputSelect.disabled = outputs.length === 0;
+      if (!outputs.some(output => output.id === this.midiOutput.output?.id)) {
+        this.midiOutput.selectOutput(outputSelect.value || null);
+      }
+    };
+
+    // MIDI enable button (permission prompt on first use)
+    midiToggle.addEventListener('click', async () => {
+      if (!this.midiOutput.access) {
+        midiToggle.textContent = 'Requesting MIDI...';
+        const success = await this.midiOutput.init();
+        if (!success) {
+          midiToggle.textContent = 'MIDI Unavailable';
+          return;
+        }
+        refreshOutputs();
+        this.midiOutput.access.addEventListener('statechange', refreshOutputs);
+      }
+      const enabled = !this.midiOutput.isEnabled;
+      this.midiOutput.setEnabled(enabled);
+      midiToggle.textContent = enabled ? 'MIDI Out: ON' : 'MIDI Out: OFF';
+      midiToggle.classList.toggle('active', enabled);
+    });
+
+    outputSelect.addEventListener('change', (e) => {
+      this.midiOutput.selectOutput(e.target.value || null);
+    });
+
+    // Channel control
+    const channelSlider = document.getElementById('midi-channel');
+    const channelValue = document.getElementById('midi-channel-value');
+    channelSlider.addEventListener('input', (e) => {
+      const value = parseInt(e.target.value);
+      this.midiOutput.setChannel(value);
+      channelValue.textContent = value;
+    });
+
+    // Note length control
+    const lengthSlider = document.getElementById('midi-length');
+    const lengthValue = document.getElementById('midi-length-value');
+    lengthSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.midiOutput.setNoteLength(value);
+      lengthValue.textContent = Math.round(value * 1000) + 'ms';
+    });
+
+    // Per-octave channel split
+    const splitButton = document.getElementById('midi-split');
+    splitButton.addEventListener('click', () => {
+      const enabled = !this.midiOutput.splitOctaves;
+      this.midiOutput.setSplitOctaves(enabled);
+      splitButton.textContent = enabled ? 'Octave Split: ON' : 'Octave Split: OFF';
+      splitButton.classList.toggle('active', enabled);
+    });
+
+    // How notes outside 12-TET reach the receiver
+    const tuningModeNames = ['Off', 'Pitch Bend', 'MPE'];
+    const midiTuningSlider = document.getElementById('midi-tuning');
+    const midiTuningValue = document.getElementById('midi-tuning-value');
+    midiTuningSlider.addEventListener('input', (e) => {
+      const idx = parseInt(e.target.value);
+      this.midiOutput.setTuningMode(TUNING_MODES[idx]);
+      midiTuningValue.textContent = tuningModeNames[idx];
+    });
+
+    // MIDI clock output (follows the Tempo)
+    const clockButton = document.getElementById('midi-clock');
+    clockButton.addEventListener('click', () => {
+      const enabled = !this.midiOutput.sendClock;
+      this.midiOutput.setSendClock(enabled);
+      clockButton.textContent = enabled ? 'Send Clock: ON' : 'Send Clock: OFF';
+      clockButton.classList.toggle('active', enabled);
+    });
+  }
+
+  setupMidiInputControls() {
+    const midiInToggle = document.getElementById('midi-in-toggle');
+    const targetSelect = document.getElementById('midi-learn-target');
+    const learnValue = document.getElementById('midi-learn-value');
+    const learnButton = document.getElementById('midi-learn');
+    const unmapButton = document.getElementById('midi-unmap');
+    const unmapAllButton = document.getElementById('midi-unmap-all');
+
+    this.midiInput = new MidiInput();
+
+    // Every slider (plus the preset mood knob), and audio parameters that have no slider
+    for (const id of [...RECORDED_SETTINGS, 'mood']) {
+      const slider = document.getElementById(id);
+      if (!slider) continue;
+      const label = slider.parentElement.querySelector('label span').textContent;
+      this.midiInput.registerTarget({
+        id,
+        label,
+        min: parseFloat(slider.min),
+        max: parseFloat(slider.max),
+        step: parseFloat(slider.step),
+        apply: (value) => this.applySetting(id, value)
+      });
+    }
+    for (const param of EXTRA_AUDIO_PARAMS) {
+      this.midiInput.registerTarget({
+        ...param,
+        apply: (value) => this.applySetting(param.id, value)
+      });
+    }
+
+    for (const target of this.midiInput.targets.values()) {
+      targetSelect.add(new Option(target.label, target.id));
+    }
+
+    const updateLearnDisplay = () => {
+      const targetId = targetSelect.value;
+      const bindings = this.midiInput.getBindings(targetId);
+      const learning = this.midiInput.learnTarget === targetId;
+      learnValue.textContent = learning ? 'Move a control...' : (bindings.join(', ') || 'Unmapped');
+      learnButton.classList.toggle('active', learning);
+    };
+
+    // Notes drop rain at the lake position that plays that note
+    this.midiInput.onNote = (midiNote, velocity) => {
+      if (this.player.isActive) return;
+      const { x, z } = this.audioSystem.noteMapper.findImpactPosition(midiNote);
+      this.spawnDrop(x, z, MIDI_DROP_HEIGHT, 2 + (velocity / 127) * 10);
+    };
+    this.midiInput.onLearn = updateLearnDisplay;
+
+    // MIDI enable button (permission prompt on first use)
+    midiInToggle.addEventListener('click', async () => {
+      if (!this.midiInput.access) {
+        midiInToggle.textContent = 'Requesting MIDI...';
+        const success = await this.midiInput.init();
+        if (!success) {
+          midiInToggle.textContent = 'MIDI Unavailable';
+          return;
+        }
+      }
+      const enabled = !this.midiInput.isEnabled;
+      this.midiInput.setEnabled(enabled);
+      midiInToggle.textContent = enabled ? 'MIDI In: ON' : 'MIDI In: OFF';
+      midiInToggle.classList.toggle('active', enabled);
+      updateLearnDisplay();
+    });
+
+    targetSelect.addEventListener('change', () => {
+      this.midiInput.learn(null);
+      updateLearnDisplay();
+    });
+
+    // While learning, touching a slider picks it as the target
+    document.getElementById('settings').addEventListener('pointerdown', (e) => {
+      if (!this.midiInput.learnTarget || !this.midiInput.targets.has(e.target.id)) return;
+      targetSelect.value = e.target.id;
+      this.midiInput.learn(e.target.id);
+      updateLearnDisplay();
+    });
+
+    learnButton.addEventListener('click', () => {
+      const learning = this.midiInput.learnTarget === targetSelect.value;
+      this.midiInput.learn(learning ? null : targetSelect.value);
+      updateLearnDisplay();
+    });
+
+    unmapButton.addEventListener('click', () => {
+      this.midiInput.clearMappings(targetSelect.value);
+      updateLearnDisplay();
+    });
+
+    unmapAllButton.addEventListener('click', () => {
+      this.midiInput.clearMappings();
+      updateLearnDisplay();
+    });
+
+    updateLearnDisplay();
+  }
+
+  setupOscControls() {
+    const oscToggle = document.getElementById('osc-toggle');
+    const urlInput = document.getElementById('osc-url');
+    const statusValue = document.getElementById('osc-status-value');
+
+    this.oscBridge = new OscBridge({ url: urlInput.value.trim() || DEFAULT_BRIDGE_URL });
+    this.audioSystem.setOscBridge(this.oscBridge);
+
+    // Impacts, splashes, notes and harmony changes go out while connected
+    const connected = () => this.oscBridge.isConnected;
+    this.events.subscribe(EVENTS.IMPACT, (impact) => this.oscBridge.sendImpact(impact), { filter: connected });
+    this.events.subscribe(EVENTS.SPLASH, (impact) => this.oscBridge.sendImpact(impact), { filter: connected });
+    this.events.subscribe(EVENTS.NOTE, (note) => this.oscBridge.sendNote(note), { filter: connected });
+    this.events.subscribe(EVENTS.HARMONY, (harmony) => this.oscBridge.sendHarmony(harmony), { filter: connected });
+
+    // Controls by id or preset field name, like a user moving the slider
+    // (ignored during a replay, as are the drops, tempo and phase below)
+    this.oscBridge.onParameter = (name, value) => {
+      if (this.player.isActive) return;
+      const id = this.findControlId(name);
+      if (id) {
+        this.applySetting(id, value);
+      } else {
+        console.warn(`OSC: unknown control "${name}"`);
+      }
+    };
+
+    // Drops at lake coordinates, as from MIDI notes
+    this.oscBridge.onDrop = (x, z, velocity) => {
+      if (this.player.isActive) return;
+      this.spawnDrop(x, z, MIDI_DROP_HEIGHT, 2 + velocity * 10);
+    };
+
+    // Tempo and beat phase from the other application's clock (both recorded;
+    // a replay brings its own)
+    this.oscBridge.onTempo = (bpm) => {
+      if (this.player.isActive) return;
+      this.applySetting('tempo', bpm);
+    };
+    this.oscBridge.onPhase = (quarters, quantum) => {
+      if (this.player.isActive) return;
+      const clock = this.simulation.clock;
+      quantum = quantum || clock.getBarQuarters();
+      clock.syncPhase(quarters, quantum);
+      this.recorder.recordPhase(quarters, quantum);
+    };
+
+    this.oscBridge.onStatus = (isConnected) => {
+      statusValue.textContent = isConnected ? 'Connected' : 'Connecting...';
+    };
+
+    oscToggle.addEventListener('click', () => {
+      const enabled = !this.oscBridge.isEnabled;
+      this.oscBridge.setUrl(urlInput.value.trim() || DEFAULT_BRIDGE_URL);
+      this.oscBridge.setEnabled(enabled);
+      oscToggle.textContent = enabled ? 'OSC Bridge: ON' : 'OSC Bridge: OFF';
+      oscToggle.classList.toggle('active', enabled);
+      statusValue.textContent = enabled ? 'Connecting...' : 'Off';
+    });
+
+    urlInput.addEventListener('change', () => {
+      this.oscBridge.setUrl(urlInput.value.trim() || DEFAULT_BRIDGE_URL);
+    });
+  }
+
+  /**
+   * Control id for a name sent from outside: a control id itself, or a
+   * scene preset field name (e.g. 'noteBudget' -> 'note-budget').
+   * @param {string} name
+   * @returns {string|null}
+   */
+  findControlId(name) {
+    if ([...RECORDED_SETTINGS, 'mood', ...SCENE_COLOR_PARAMS].includes(name) ||
+        EXTRA_AUDIO_PARAMS.some(p => p.id === name)) {
+      return name;
+    }
+    for (const fields of Object.values(SCENE_SCHEMA)) {
+      if (Object.prototype.hasOwnProperty.call(fields, name)) return fields[name];
+    }
+    return null;
+  }
+
+  /**
+   * Spawn a drop by hand and log it to the session recording. The drop is
+   * spawned with the rounded values the log keeps, so replays match.
+   * @param {number} x - World X position
+   * @param {number} z - World Z position
+   * @param {number} height - Starting height
+   * @param {number} speed - Initial downward speed
+   */
+  spawnDrop(x, z, height, speed) {
+    x = roundValue(x);
+    z = roundValue(z);
+    height = roundValue(height);
+    speed = roundValue(speed);
+    this.raindrops.spawnDropAt(x, z, height, speed);
+    this.recorder.recordDrop(x, z, height, speed);
+  }
+
+  setupSessionControls() {
+    const recordButton = document.getElementById('session-record');
+    const playButton = document.getElementById('session-play');
+    const stopButton = document.getElementById('session-stop');
+    const seekSlider = document.getElementById('session-seek');
+    const speedSlider = document.getElementById('session-speed');
+    const speedValue = document.getElementById('session-speed-value');
+    const exportButton = document.getElementById('session-export');
+    const importButton = document.getElementById('session-import');
+    const fileInput = document.getElementById('session-file');
+
+    this.session = null;
+    this.isRenderingWav = false;
+
+    // Record control changes (replayed changes are ignored)
+    const isRecorded = (id) => RECORDED_SETTINGS.includes(id) ||
+      SCENE_COLOR_PARAMS.includes(id) || EXTRA_AUDIO_PARAMS.some(p => p.id === id);
+    this.events.subscribe(EVENTS.PARAMETER, (e) => this.recorder.recordParam(e.id, e.value), {
+      filter: (e) => !this.player.isActive && isRecorded(e.id)
+    });
+
+    recordButton.addEventListener('click', () => {
+      if (this.recorder.isRecording) {
+        this.session = this.recorder.stop();
+      } else {
+        this.player.stop();
+        this.controls.enabled = true;
+        this.recorder.start(this.getSettingsSnapshot(), {
+          position: this.camera.position,
+          target: this.controls.target
+        });
+      }
+      this.updateSessionControls();
+    });
+
+    playButton.addEventListener('click', () => {
+      if (!this.session) return;
+      if (this.recorder.isRecording) {
+        this.session = this.recorder.stop();
+      }
+      if (this.player.session !== this.session) {
+        this.player.load(this.session);
+      }
+      if (this.player.isPlaying) {
+        this.player.pause();
+      } else {
+        this.player.play();
+      }
+      this.controls.enabled = false;
+      this.updateSessionControls();
+    });
+
+    // Return to live simulation
+    stopButton.addEventListener('click', () => {
+      this.player.stop();
+      this.controls.enabled = true;
+      this.updateSessionControls();
+    });
+
+    seekSlider.addEventListener('input', (e) => {
+      if (!this.player.isActive) return;
+      this.player.seek(parseFloat(e.target.value) * this.player.duration);
+      this.updateSessionControls();
+    });
+
+    speedSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.player.setSpeed(value);
+      speedValue.textContent = value + 'x';
+    });
+
+    exportButton.addEventListener('click', () => {
+      if (this.session) {
+        downloadSession(this.session);
+      }
+    });
+
+    // Offline WAV render of the current session
+    const wavFormatNames = ['16-bit', '24-bit', '32-bit float'];
+    const wavFormatSlider = document.getElementById('wav-format');
+    const wavFormatValue = document.getElementById('wav-format-value');
+    const renderButton = document.getElementById('session-render');
+    wavFormatSlider.addEventListener('input', (e) => {
+      wavFormatValue.textContent = wavFormatNames[parseInt(e.target.value)];
+    });
+    renderButton.addEventListener('click', async () => {
+      if (!this.session) return;
+      this.isRenderingWav = true;
+      renderButton.disabled = true;
+      renderButton.textContent = 'Rendering...';
+      try {
+        // The synth settings the session was recorded with (logs from
+        // before they were recorded use the current ones)
+        const buffer = await renderImpactsOffline(getSessionImpacts(this.session), {
+          params: this.session.audio || this.audioSystem.getParams(),
+          changes: getSessionAudioChanges(this.session),
+          mappings: this.audioSystem.noteMapper.getMappings(),
+          useFallback: this.audioSystem.useFallback
+        });
+        const bitDepth = WAV_FORMATS[parseInt(wavFormatSlider.value)];
+        downloadWav(encodeWav(buffer, bitDepth), `raindrop-session-${this.session.seed}.wav`);
+      } catch (err) {
+        console.error('Offline render failed:', err);
+      }
+      this.isRenderingWav = false;
+      renderButton.textContent = 'Render WAV';
+      this.updateSessionControls();
+    });
+
+    // Standard MIDI File export of the session's notes
+    const midiExportButton = document.getElementById('session-midi');
+    midiExportButton.addEventListener('click', () => {
+      if (!this.session) return;
+      const bytes = writeMidiFile(getSessionNotes(this.session), {
+        tempoMap: getSessionTempoMap(this.session),
+        noteLength: this.midiOutput.noteLength,
+        numTracks: this.audioSystem.noteMapper.numOctaves
+      });
+      downloadMidiFile(bytes, `raindrop-session-${this.session.seed}.mid`);
+    });
+
+    importButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      try {
+        this.session = parseSession(await file.text());
+        this.player.load(this.session);
+        this.controls.enabled = false;
+      } catch (err) {
+        console.error('Failed to import session:', err);
+      }
+      fileInput.value = '';
+      this.updateSessionControls();
+    });
+  }
+
+  setupPresetControls() {
+    const presetSelect = document.getElementById('preset-select');
+    const loadButton = document.getElementById('preset-load');
+    const deleteButton = document.getElementById('preset-delete');
+    const linkButton = document.getElementById('preset-link');
+    const nameInput = document.getElementById('preset-name');
+    const saveButton = document.getElementById('preset-save');
+    const exportButton = document.getElementById('preset-export');
+    const importButton = document.getElementById('preset-import');
+    const fileInput = document.getElementById('preset-file');
+    const fromSelect = document.getElementById('crossfade-from');
+    const toSelect = document.getElementById('crossfade-to');
+
+    this.presetStore = new PresetStore();
+
+    const refreshList = (selected) => {
+      const from = fromSelect.value;
+      const to = toSelect.value;
+      presetSelect.replaceChildren();
+      fromSelect.replaceChildren(new Option('Current Scene', ''));
+      toSelect.replaceChildren();
+      for (const name of this.presetStore.getNames()) {
+        presetSelect.add(new Option(name, name));
+        fromSelect.add(new Option(name, name));
+        toSelect.add(new Option(name, name));
+      }
+      if (selected) presetSelect.value = selected;
+      fromSelect.value = from;
+      if (to) toSelect.value = to;
+      deleteButton.disabled = !this.presetStore.isUserPreset(presetSelect.value);
+    };
+    refreshList();
+
+    const presetName = () => nameInput.value.trim() || presetSelect.value || 'Untitled';
+
+    presetSelect.addEventListener('change', () => {
+      deleteButton.disabled = !this.presetStore.isUserPreset(presetSelect.value);
+    });
+
+    loadButton.addEventListener('click', () => {
+      const preset = this.presetStore.get(presetSelect.value);
+      if (preset) this.applyPreset(preset);
+    });
+
+    deleteButton.addEventListener('click', () => {
+      this.presetStore.remove(presetSelect.value);
+      refreshList();
+    });
+
+    saveButton.addEventListener('click', () => {
+      const preset = this.capturePreset(presetName());
+      this.presetStore.save(preset);
+      nameInput.value = '';
+      refreshList(preset.name);
+    });
+
+    exportButton.addEventListener('click', () => {
+      downloadPreset(this.capturePreset(presetName()));
+    });
+
+    importButton.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      try {
+        const preset = parsePreset(await file.text());
+        this.presetStore.save(preset);
+        refreshList(preset.name);
+        this.applyPreset(preset);
+      } catch (err) {
+        console.error('Failed to import preset:', err);
+      }
+      fileInput.value = '';
+    });
+
+    // Put the current scene in the URL fragment and copy the link
+    linkButton.addEventListener('click', async () => {
+      const fragment = encodePresetFragment(this.capturePreset(presetName()));
+      history.replaceState(null, '', '#' + fragment);
+      try {
+        await navigator.clipboard.writeText(window.location.href);
+        linkButton.textContent = 'Copied!';
+      } catch (err) {
+        console.warn('Could not copy link (it is in the address bar):', err);
+        linkButton.textContent = 'In URL';
+      }
+      setTimeout(() => { linkButton.textContent = 'Copy Link'; }, 1500);
+    });
+
+    this.setupCrossfadeControls();
+  }
+
+  setupCrossfadeControls() {
+    const fromSelect = document.getElementById('crossfade-from');
+    const toSelect = document.getElementById('crossfade-to');
+    const timeSlider = document.getElementById('crossfade-time');
+    const timeValue = document.getElementById('crossfade-time-value');
+    const switchSlider = document.getElementById('crossfade-switch');
+    const switchValue = document.getElementById('crossfade-switch-value');
+    const startButton = document.getElementById('crossfade-start');
+    const moodSlider = document.getElementById('mood');
+    const moodValue = document.getElementById('mood-value');
+
+    const showPosition = (position) => {
+      moodSlider.value = position;
+      moodValue.textContent = Math.round(position * 100) + '%';
+    };
+
+    this.presetMorph = new PresetMorph({
+      switchPoint: parseFloat(switchSlider.value),
+      onUpdate: (settings) => {
+        for (const id in settings) {
+          this.applySettingIfChanged(id, settings[id]);
+        }
+        showPosition(this.presetMorph.position);
+      },
+      onEnd: () => {
+        startButton.textContent = 'Start Crossfade';
+        startButton.classList.remove('active');
+        this.updateSunPosition();
+      }
+    });
+
+    // Both ends start from the current scene, so controls a preset leaves
+    // out hold still instead of jumping
+    let endpointsKey = null;
+    const captureEndpoints = () => {
+      const current = this.getSettingsSnapshot();
+      const fromPreset = fromSelect.value ? this.presetStore.get(fromSelect.value) : null;
+      const toPreset = this.presetStore.get(toSelect.value);
+      this.presetMorph.setEndpoints(
+        { ...current, ...(fromPreset ? getPresetSettings(fromPreset) : {}) },
+        { ...current, ...(toPreset ? getPresetSettings(toPreset) : {}) }
+      );
+      endpointsKey = `${fromSelect.value}|${toSelect.value}`;
+    };
+    fromSelect.addEventListener('change', () => { endpointsKey = null; });
+    toSelect.addEventListener('change', () => { endpointsKey = null; });
+
+    timeSlider.addEventListener('input', (e) => {
+      timeValue.textContent = e.target.value + 's';
+    });
+
+    switchSlider.addEventListener('input', (e) => {
+      const value = parseFloat(e.target.value);
+      this.presetMorph.switchPoint = value;
+      switchValue.textContent = Math.round(value * 100) + '%';
+    });
+
+    startButton.addEventListener('click', () => {
+      if (this.presetMorph.isRunning) {
+        this.presetMorph.stop();
+        this.presetMorph.onEnd();
+        return;
+      }
+      captureEndpoints();
+      startButton.textContent = 'Stop Crossfade';
+      startButton.classList.add('active');
+      this.presetMorph.start(parseFloat(timeSlider.value));
+    });
+
+    // Mood knob: scrub the crossfade by hand
+    moodSlider.addEventListener('input', (e) => {
+      if (this.presetMorph.isRunning) {
+        this.presetMorph.stop();
+        this.presetMorph.onEnd();
+      }
+      if (endpointsKey !== `${fromSelect.value}|${toSelect.value}`) {
+        captureEndpoints();
+      }
+      this.presetMorph.setPosition(parseFloat(e.target.value));
+    });
+  }
+
+  /**
+   * Apply a preset encoded in the URL fragment, if any.
+   */
+  loadPresetFromUrl() {
+    try {
+      const preset = decodePresetFragment(window.location.hash);
+      if (preset) {
+        console.log('Loading preset from URL:', preset.name);
+        this.applyPreset(preset);
+      }
+    } catch (err) {
+      console.warn('Invalid preset in URL:', err);
+    }
+  }
+
+  /**
+   * Snapshot the current scene as a preset.
+   * @param {string} name
+   * @returns {Object} Preset
+   */
+  capturePreset(name) {
+    return createPreset(name, this.getSettingsSnapshot(), {
+      instrumentValues: this.audioSystem.instrumentValues,
+      tuning: this.audioSystem.noteMapper.tuning.getParams(),
+      camera: {
+        position: this.camera.position.toArray(),
+        target: this.controls.target.toArray()
+      }
+    });
+  }
+
+  /**
+   * Load a preset: every value goes through its control, so sliders,
+   * recordings and MIDI mappings stay in sync.
+   * @param {Object} preset
+   */
+  applyPreset(preset) {
+    // Instrument controls first, so a pending instrument switch picks them up
+    const instrumentValues = preset.audio?.instrumentValues || {};
+    for (const address in instrumentValues) {
+      this.audioSystem.setInstrumentParam(address, instrumentValues[address]);
+    }
+    // The scale and keyboard mapping behind the tuning dropdown
+    if (preset.audio?.tuningParams) {
+      this.audioSystem.setParams({ tuning: preset.audio.tuningParams });
+    }
+
+    const settings = getPresetSettings(preset);
+    for (const id in settings) {
+      this.applySetting(id, settings[id]);
+    }
+
+    if (preset.camera && !this.player.isActive) {
+      this.applyCamera(preset.camera);
+    }
+    this.updateInstrumentControls();
+    this.events.publish(EVENTS.PRESET, { preset });
+  }
+
+  /**
+   * Show the weather's current rain rate and wind in the rate and speed
+   * labels (a few times per second).
+   * @param {number} delta - Frame delta in seconds
+   */
+  updateWeatherReadout(delta) {
+    if (!this.weather.preset) return;
+    this.weatherReadoutTime += delta;
+    if (this.weatherReadoutTime < 0.25) return;
+    this.weatherReadoutTime = 0;
+
+    const state = this.weather.getState();
+    document.getElementById('frequency-value').textContent = `${state.spawnRate.toFixed(1)}/s`;
+    document.getElementById('speed-value').textContent =
+      `${Math.round(-this.raindrops.gravity)} · wind ${state.wind.toFixed(1)}${state.gusting ? ' (gust)' : ''}`;
+  }
+
+  /**
+   * Show how many impacts the note budget played, merged and dropped
+   * (a few times per second).
+   * @param {number} delta - Frame delta in seconds
+   */
+  updateNoteStatsReadout(delta) {
+    this.noteStatsReadoutTime += delta;
+    if (this.noteStatsReadoutTime < 0.25) return;
+    this.noteStatsReadoutTime = 0;
+
+    const stats = this.audioSystem.getDensityStats();
+    document.getElementById('note-stats-value').textContent = stats.impacts === 0
+      ? '-'
+      : `${stats.played} played · ${stats.merged} merged · ${stats.dropped} dropped`;
+  }
+
+  /**
+   * Refresh session button labels and the position readout.
+   */
+  updateSessionControls() {
+    const recording = this.recorder.isRecording;
+    const playerActive = this.player.isActive;
+
+    const recordButton = document.getElementById('session-record');
+    recordButton.textContent = recording ? 'Stop Rec' : 'Record';
+    recordButton.classList.toggle('active', recording);
+
+    const playButton = document.getElementById('session-play');
+    playButton.disabled = !this.session;
+    playButton.textContent = this.player.isPlaying ? 'Pause' : 'Play';
+    playButton.classList.toggle('active', this.player.isPlaying);
+
+    document.getElementById('session-stop').disabled = !playerActive;
+    document.getElementById('session-export').disabled = !this.session || recording;
+    document.getElementById('session-render').disabled = !this.session || recording || this.isRenderingWav;
+    document.getElementById('session-midi').disabled = !this.session || recording;
+
+    const seekSlider = document.getElementById('session-seek');
+    seekSlider.disabled = !playerActive;
+
+    let current = 0;
+    let duration = 0;
+    if (playerActive) {
+      current = this.player.currentTime;
+      duration = this.player.duration;
+      if (document.activeElement !== seekSlider && duration > 0) {
+        seekSlider.value = current / duration;
+      }
+    } else if (recording) {
+      current = duration = this.simulation.time;
+    }
+
+    const format = (t) => `${Math.floor(t / 60)}:${String(Math.floor(t % 60)).padStart(2, '0')}`;
+    document.getElementById('session-time-value').textContent = `${format(current)} / ${format(duration)}`;
+  }
+
+  /**
+   * Current values of all recorded sliders and slider-less audio parameters.
+   * @returns {Object} Slider id -> value
+   */
+  getSettingsSnapshot() {
+    const settings = {};
+    for (const id of RECORDED_SETTINGS) {
+      const slider = document.getElementById(id);
+      if (slider) {
+        settings[id] = parseFloat(slider.value);
+      }
+    }
+    for (const param of EXTRA_AUDIO_PARAMS) {
+      settings[param.id] = this.audioSystem[param.field];
+    }
+    for (const id of SCENE_COLOR_PARAMS) {
+      settings[id] = this.getSceneColor(id);
+    }
+    return settings;
+  }
+
+  /**
+   * Set a slider and run its input handler, as if the user moved it.
+   * @param {string} id - Slider element id
+   * @param {number} value
+   */
+  applySetting(id, value) {
+    const slider = document.getElementById(id);
+    if (slider) {
+      slider.value = value;
+      slider.dispatchEvent(new Event('input', { bubbles: true }));
+      return;
+    }
+
+    // Audio parameters and scene colors without a slider
+    const param = EXTRA_AUDIO_PARAMS.find(p => p.id === id);
+    if (param) {
+      this.audioSystem[param.setter](value);
+    } else if (SCENE_COLOR_PARAMS.includes(id)) {
+      this.setSceneColor(id, value);
+    } else {
+      return;
+    }
+    this.publishParameter(id, value);
+  }
+
+  /**
+   * Publish a control change. The event object is reused, so subscribers
+   * must copy what they keep.
+   * @param {string} id - Control id
+   * @param {number} value
+   */
+  publishParameter(id, value) {
+    if (!this.events.hasSubscribers(EVENTS.PARAMETER)) return;
+    this.parameterEvent.id = id;
+    this.parameterEvent.value = value;
+    this.events.publish(EVENTS.PARAMETER, this.parameterEvent);
+  }
+
+  /**
+   * Apply a value only if it changes the control (after slider step
+   * snapping). Used by preset morphing, which emits many small steps.
+   * @param {string} id - Control id
+   * @param {number} value
+   */
+  applySettingIfChanged(id, value) {
+    const slider = document.getElementById(id);
+    if (slider) {
+      const previous = slider.value;
+      slider.value = value;
+      if (slider.value === previous) return;
+      slider.value = previous;
+    } else if (SCENE_COLOR_PARAMS.includes(id)) {
+      if (this.getSceneColor(id) === value) return;
+    } else {
+      const param = EXTRA_AUDIO_PARAMS.find(p => p.id === id);
+      if (param && Math.abs(this.audioSystem[param.field] - value) < param.step / 2) return;
+    }
+    this.applySetting(id, value);
+  }
+
+  /**
+   * @param {string} id - 'fog-color', 'sky-color' or 'sun-color'
+   * @returns {number} 0xRRGGBB
+   */
+  getSceneColor(id) {
+    if (id === 'fog-color') return this.scene.fog.color.getHex();
+    if (id === 'sky-color') return this.scene.background.getHex();
+    return this.sun.color.getHex();
+  }
+
+  /**
+   * @param {string} id - 'fog-color', 'sky-color' or 'sun-color'
+   * @param {number} hex - 0xRRGGBB
+   */
+  setSceneColor(id, hex) {
+    if (id === 'fog-color') this.scene.fog.color.setHex(hex);
+    else if (id === 'sky-color') this.scene.background.setHex(hex);
+    else this.sun.color.setHex(hex);
+  }
+
+  /**
+   * Place the sun from the elevation/azimuth sliders and update the
+   * light direction used by the water and caustics.
+   */
+  updateSunPosition() {
+    const elevation = THREE.MathUtils.degToRad(this.sunElevation);
+    const azimuth = THREE.MathUtils.degToRad(this.sunAzimuth);
+    this.sun.position.set(
+      Math.sin(azimuth) * Math.cos(elevation),
+      Math.sin(elevation),
+      Math.cos(azimuth) * Math.cos(elevation)
+    ).multiplyScalar(SUN_DISTANCE);
+
+    // Updated in place: the lake keeps a reference to this vector
+    this.sunDirection.copy(this.sun.position).normalize().negate();
+
+    // Rebuilding the caustics pass is costly; a running crossfade syncs it at the end
+    if (this.causticsRenderer && !this.presetMorph?.isRunning) {
+      this.causticsRenderer.setLightDirection(this.sunDirection);
+    }
+  }
+
+  /**
+   * Move the camera and orbit target to a recorded state.
+   * @param {{position: number[], target: number[]}} camera
+   */
+  applyCamera(camera) {
+    this.camera.position.fromArray(camera.position);
+    this.controls.target.fromArray(camera.target);
+    this.controls.update();
+  }
+
   setupLighting() {
     // Ambient light - purple-tinted for dusk atmosphere
     const ambient = new THREE.AmbientLight(0x553344, 0.5);
@@ -362,6 +1871,10 @@ class App {
     this.sun.position.set(15, 8, 10);
     this.scene.add(this.sun);
 
+    // Same position in degrees (driven by the sun sliders afterwards)
+    this.sunElevation = 24;
+    this.sunAzimuth = 56;
+
     // Store normalized light direction (pointing FROM sun TO scene)
     this.sunDirection = new THREE.Vector3()
       .copy(this.sun.position)
@@ -389,19 +1902,39 @@ class App {
     // Update controls
     this.controls.update();
 
-    // Update raindrops and get impact positions
-    const impacts = this.raindrops.update(delta, time);
+    // Timed preset crossfade
+    this.presetMorph.update(delta);
 
-    // Add ripples at impact positions
-    for (const impact of impacts) {
-      this.rippleSimulation.addRipple(impact.x, impact.z, impact.strength);
-    }
+    // Live rain rate and wind while a weather preset is in control
+    this.updateWeatherReadout(delta);
+    this.updateNoteStatsReadout(delta);
+
+    // 3D audio listener follows the camera
+    this.camera.getWorldDirection(this.listenerForward);
+    this.audioSystem.updateListener(this.camera.position, this.listenerForward, this.camera.up);
 
-    // Trigger audio for impacts
-    this.audioSystem.processImpacts(impacts);
+    // Note offs and voice bookkeeping
+    this.audioSystem.update();
+
+    // Step raindrops, ripples and audio at a fixed rate (or from a replay)
+    const steps = this.player.isActive
+      ? this.player.advance(delta)
+      : this.simulation.advance(delta);
+
+    // Capture the session log
+    if (this.recorder.isRecording) {
+      for (const step of steps) {
+        this.recorder.recordStep(step);
+      }
+      this.recorder.recordCamera(this.camera.position, this.controls.target);
+    }
+    if (this.recorder.isRecording || this.player.isActive) {
+      this.updateSessionControls();
+    }
 
-    // Update ripple simulation
-    this.rippleSimulation.update(this.renderer);
+    // Beat clock for the OSC bridge and MIDI Out
+    this.oscBridge.updateClock(this.simulation.clock);
+    this.midiOutput.updateClock(this.simulation.clock);
 
     // Update caustics (if available)
     if (this.causticsRenderer) {
@@ -0,0 +1,223 @@
+/**
+ * Writes note streams as Type 1 Standard MIDI Files.
+ *
+ * Track 0 is the conductor track (tempo map and time signature). Each
+ * NoteMapper octave band gets its own track on its own channel, with the
+ * impact velocity on every Note On and the impact pan sent as CC10 just
+ * before it.
+ *
+ * Notes outside 12-TET are written as MIDI Out's bend mode sends them: the
+ * tracks set a +/-2 semitone bend range (RPN 0) and every Note On is preceded
+ * by its pitch bend, which overlapping notes on a track share.
+ */
+
+import { downloadBlob } from '../core/Download.js';
+
+const DEFAULT_PPQ = 480;
+const CC_PAN = 10;
+const CC_DATA_ENTRY = 6;
+const CC_DATA_ENTRY_LSB = 38;
+const CC_RPN_LSB = 100;
+const CC_RPN_MSB = 101;
+const RPN_PITCH_BEND_RANGE = 0;
+const BEND_RANGE = 2;  // Semitones, as MidiOutput's bend mode
+const TRACK_NAMES = ['Low', 'Mid', 'High'];
+
+/**
+ * Encode a MIDI variable-length quantity.
+ * @param {number} value
+ * @returns {number[]}
+ */
+function encodeVarLen(value) {
+  let buffer = value & 0x7f;
+  const bytes = [];
+  while ((value >>= 7) > 0) {
+    buffer <<= 8;
+    buffer |= (value & 0x7f) | 0x80;
+  }
+  for (;;) {
+    bytes.push(buffer & 0xff);
+    if (buffer & 0x80) buffer >>= 8;
+    else break;
+  }
+  return bytes;
+}
+
+/**
+ * Encode text as a meta event payload.
+ * @param {number} type - Meta event type
+ * @param {string} text
+ * @returns {number[]}
+ */
+function metaText(type, text) {
+  const bytes = Array.from(text, c => c.charCodeAt(0) & 0x7f);
+  return [0xff, type, ...encodeVarLen(bytes.length), ...bytes];
+}
+
+/**
+ * Build a track chunk from absolute-tick events.
+ * @param {Array<{tick: number, data: number[], order?: number}>} events
+ * @returns {number[]} MTrk chunk bytes
+ */
+function buildTrack(events) {
+  // Stable sort: by tick, then by order (note offs before note ons)
+  events.sort((a, b) => a.tick - b.tick || (a.order || 0) - (b.order || 0));
+
+  const body = [];
+  let lastTick = 0;
+  for (const event of events) {
+    body.push(...encodeVarLen(event.tick - lastTick), ...event.data);
+    lastTick = event.tick;
+  }
+  body.push(0x00, 0xff, 0x2f, 0x00);  // End of track
+
+  return [
+    0x4d, 0x54, 0x72, 0x6b,  // "MTrk"
+    (body.length >>> 24) & 0xff, (body.length >>> 16) & 0xff, (body.length >>> 8) & 0xff, body.length & 0xff,
+    ...body
+  ];
+}
+
+/**
+ * Create a converter from milliseconds to ticks for a tempo map.
+ * @param {Array<{time: number, bpm: number}>} tempoMap - Tempo changes (time in ms, sorted)
+ * @param {number} ppq - Ticks per quarter note
+ * @returns {(ms: number) => number}
+ */
+export function createTickConverter(tempoMap, ppq = DEFAULT_PPQ) {
+  // Precompute tick position of each tempo change
+  const segments = [];
+  let tick = 0;
+  for (let i = 0; i < tempoMap.length; i++) {
+    const { time, bpm } = tempoMap[i];
+    segments.push({ time, bpm, tick });
+    if (i + 1 < tempoMap.length) {
+      tick += (tempoMap[i + 1].time - time) * ppq * bpm / 60000;
+    }
+  }
+
+  return (ms) => {
+    let segment = segments[0];
+    for (const s of segments) {
+      if (s.time <= ms) segment = s;
+      else break;
+    }
+    return Math.max(0, Math.round(segment.tick + (ms - segment.time) * ppq * segment.bpm / 60000));
+  };
+}
+
+/**
+ * Write notes as a Type 1 Standard MIDI File.
+ * @param {Array<{time: number, midiNote: number, bend?: number, gain: number, pan: number, octaveOffset: number}>} notes
+ *   Note times in ms, bend in semitones from midiNote
+ * @param {Object} [options]
+ * @param {number} [options.ppq] - Ticks per quarter note (default 480)
+ * @param {Array<{time: number, bpm: number}>} [options.tempoMap] - Tempo changes (default 120 BPM)
+ * @param {number[]} [options.timeSignature] - [numerator, denominator] (default 4/4)
+ * @param {number} [options.noteLength] - Note duration in seconds (default 0.5)
+ * @param {number} [options.numTracks] - Octave band tracks (default 3)
+ * @returns {Uint8Array} File bytes
+ */
+export function writeMidiFile(notes, options = {}) {
+  const ppq = options.ppq || DEFAULT_PPQ;
+  const tempoMap = options.tempoMap && options.tempoMap.length > 0
+    ? [...options.tempoMap].sort((a, b) => a.time - b.time)
+    : [{ time: 0, bpm: 120 }];
+  if (tempoMap[0].time > 0) tempoMap.unshift({ time: 0, bpm: tempoMap[0].bpm });
+  const [numerator, denominator] = options.timeSignature || [4, 4];
+  const noteLength = (options.noteLength || 0.5) * 1000;
+  const numTracks = options.numTracks || 3;
+  const toTicks = createTickConverter(tempoMap, ppq);
+  const bent = notes.some(note => note.bend);
+
+  // Conductor track: name, time signature, tempo map
+  const conductor = [
+    { tick: 0, data: metaText(0x03, 'Raindrop Ripples') },
+    { tick: 0, data: [0xff, 0x58, 0x04, numerator, Math.log2(denominator), 24, 8] }
+  ];
+  for (const { time, bpm } of tempoMap) {
+    const mpqn = Math.round(60000000 / bpm);
+    conductor.push({
+      tick: toTicks(time),
+      data: [0xff, 0x51, 0x03, (mpqn >> 16) & 0xff, (mpqn >> 8) & 0xff, mpqn & 0xff]
+    });
+  }
+
+  const tracks = [buildTrack(conductor)];
+
+  for (let band = 0; band < numTracks; band++) {
+    const channel = band & 0x0f;
+    const bandNotes = notes
+      .filter(note => note.octaveOffset === band)
+      .sort((a, b) => a.time - b.time);
+
+    const events = [
+      { tick: 0, data: metaText(0x03, TRACK_NAMES[band] || `Octave ${band + 1}`) }
+    ];
+    if (bent) {
+      // Set the bend range, then close the RPN (the sort keeps this order)
+      const rpn = [
+        [CC_RPN_MSB, 0], [CC_RPN_LSB, RPN_PITCH_BEND_RANGE], [CC_DATA_ENTRY, BEND_RANGE],
+        [CC_DATA_ENTRY_LSB, 0], [CC_RPN_MSB, 127], [CC_RPN_LSB, 127]
+      ];
+      for (const [controller, value] of rpn) {
+        events.push({ tick: 0, data: [0xb0 | channel, controller, value] });
+      }
+    }
+
+    for (let i = 0; i < bandNotes.length; i++) {
+      const note = bandNotes[i];
+      const pitch = Math.max(0, Math.min(127, note.midiNote));
+      const velocity = Math.max(1, Math.min(127, Math.round(note.gain * 127)));
+      const pan = Math.max(0, Math.min(127, Math.round(note.pan * 127)));
+
+      // End early if the same pitch retriggers before this note would end
+      let end = note.time + noteLength;
+      for (let j = i + 1; j < bandNotes.length && bandNotes[j].time < end; j++) {
+        if (bandNotes[j].midiNote === note.midiNote) {
+          end = bandNotes[j].time;
+          break;
+        }
+      }
+
+      const onTick = toTicks(note.time);
+      const offTick = Math.max(onTick + 1, toTicks(end));
+      events.push({ tick: onTick, order: 1, data: [0xb0 | channel, CC_PAN, pan] });
+      if (bent) {
+        const bend = Math.max(0, Math.min(16383, Math.round(8192 + (note.bend || 0) / BEND_RANGE * 8192)));
+        events.push({ tick: onTick, order: 2, data: [0xe0 | channel, bend & 0x7f, bend >> 7] });
+      }
+      events.push({ tick: onTick, order: 3, data: [0x90 | channel, pitch, velocity] });
+      events.push({ tick: offTick, order: 0, data: [0x80 | channel, pitch, 0] });
+    }
+
+    tracks.push(buildTrack(events));
+  }
+
+  const header = [
+    0x4d, 0x54, 0x68, 0x64,  // "MThd"
+    0x00, 0x00, 0x00, 0x06,
+    0x00, 0x01,              // Format 1
+    (tracks.length >> 8) & 0xff, tracks.length & 0xff,
+    (ppq >> 8) & 0xff, ppq & 0xff
+  ];
+
+  const bytes = new Uint8Array(header.length + tracks.reduce((sum, t) => sum + t.length, 0));
+  bytes.set(header, 0);
+  let offset = header.length;
+  for (const track of tracks) {
+    bytes.set(track, offset);
+    offset += track.length;
+  }
+  return bytes;
+}
+
+/**
+ * Trigger a browser download of a MIDI file.
+ * @param {Uint8Array} bytes - From writeMidiFile()
+ * @param {string} [filename]
+ */
+export function downloadMidiFile(bytes, filename = 'raindrop-ripples.mid') {
+  const blob = new Blob([bytes], { type: 'audio/midi' });
+  downloadBlob(blob, filename);
+}
@@ -0,0 +1,227 @@
+/**
+ * Web MIDI input: CC control of registered parameters and note-triggered drops.
+ *
+ * Parameters are registered as targets with a range and an apply callback.
+ * Incoming CCs are bound to targets through learn mode (arm a target, move
+ * a knob) and the bindings are persisted in localStorage. Note On messages
+ * are forwarded to the onNote handler so the app can drop rain on the lake.
+ */
+
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+
+export class MidiInput {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey] - localStorage key for CC bindings
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'raindrop-ripples.midi-mappings';
+
+    this.access = null;
+    this.isEnabled = false;
+
+    // Parameter targets: id -> {id, label, min, max, step, apply}
+    this.targets = new Map();
+
+    // CC bindings: "channel:cc" -> target id
+    this.mappings = new Map();
+
+    // Learn mode: target id waiting for the next CC
+    this.learnTarget = null;
+
+    // Callbacks
+    this.onNote = null;    // (midiNote, velocity, channel) => void
+    this.onLearn = null;   // (targetId, channel, cc) => void
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.attachInputs = this.attachInputs.bind(this);
+
+    this.loadMappings();
+  }
+
+  /**
+   * Request Web MIDI access and listen on all inputs.
+   * @returns {Promise<boolean>} Success status
+   */
+  async init() {
+    if (this.access) return true;
+
+    if (!navigator.requestMIDIAccess) {
+      console.warn('Web MIDI API is not supported in this browser');
+      return false;
+    }
+
+    try {
+      this.access = await navigator.requestMIDIAccess();
+      this.attachInputs();
+      this.access.addEventListener('statechange', this.attachInputs);
+      return true;
+    } catch (error) {
+      console.error('MIDI access failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * (Re)attach the message handler to every connected input.
+   */
+  attachInputs() {
+    for (const input of this.access.inputs.values()) {
+      input.onmidimessage = this.handleMessage;
+    }
+  }
+
+  /**
+   * Start/stop reacting to incoming messages.
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.isEnabled = enabled;
+    if (!enabled) {
+      this.learnTarget = null;
+    }
+  }
+
+  /**
+   * Register a controllable parameter.
+   * @param {{id: string, label: string, min: number, max: number, step?: number, apply: (value: number) => void}} target
+   */
+  registerTarget(target) {
+    this.targets.set(target.id, target);
+  }
+
+  /**
+   * Arm learn mode: the next CC received is bound to this target.
+   * @param {string|null} targetId - Target id, or null to cancel
+   */
+  learn(targetId) {
+    this.learnTarget = targetId && this.targets.has(targetId) ? targetId : null;
+  }
+
+  /**
+   * Bind a CC to a target (replacing other bindings of that CC).
+   * @param {number} channel - 0-15
+   * @param {number} cc - Controller number 0-127
+   * @param {string} targetId
+   */
+  bind(channel, cc, targetId) {
+    this.mappings.set(`${channel}:${cc}`, targetId);
+    this.saveMappings();
+  }
+
+  /**
+   * Remove all bindings to a target, or every binding if no id is given.
+   * @param {string} [targetId]
+   */
+  clearMappings(targetId) {
+    if (targetId === undefined) {
+      this.mappings.clear();
+    } else {
+      for (const [key, id] of this.mappings) {
+        if (id === targetId) this.mappings.delete(key);
+      }
+    }
+    this.saveMappings();
+  }
+
+  /**
+   * Bindings for a target as readable strings (e.g. "ch1 CC74").
+   * @param {string} targetId
+   * @returns {string[]}
+   */
+  getBindings(targetId) {
+    const bindings = [];
+    for (const [key, id] of this.mappings) {
+      if (id !== targetId) continue;
+      const [channel, cc] = key.split(':');
+      bindings.push(`ch${parseInt(channel) + 1} CC${cc}`);
+    }
+    return bindings;
+  }
+
+  /**
+   * Handle a raw MIDI message.
+   * @param {MIDIMessageEvent|{data: Uint8Array}} event
+   */
+  handleMessage(event) {
+    if (!this.isEnabled) return;
+
+    const [status, data1, data2] = event.data;
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+
+    if (type === CONTROL_CHANGE) {
+      if (this.learnTarget) {
+        const targetId = this.learnTarget;
+        this.learnTarget = null;
+        this.bind(channel, data1, targetId);
+        if (this.onLearn) this.onLearn(targetId, channel, data1);
+        return;
+      }
+
+      const targetId = this.mappings.get(`${channel}:${data1}`);
+      const target = targetId && this.targets.get(targetId);
+      if (target) {
+        target.apply(this.scaleValue(target, data2));
+      }
+    } else if (type === NOTE_ON && data2 > 0) {
+      if (this.onNote) this.onNote(data1, data2, channel);
+    }
+  }
+
+  /**
+   * Map a 0-127 CC value onto a target's range, snapped to its step.
+   * @param {Object} target
+   * @param {number} value - CC value 0-127
+   * @returns {number}
+   */
+  scaleValue(target, value) {
+    let scaled = target.min + (value / 127) * (target.max - target.min);
+    if (target.step) {
+      scaled = target.min + Math.round((scaled - target.min) / target.step) * target.step;
+      // Trim float error from the step arithmetic
+      scaled = parseFloat(scaled.toFixed(6));
+    }
+    return Math.max(target.min, Math.min(target.max, scaled));
+  }
+
+  /**
+   * Persist CC bindings.
+   */
+  saveMappings() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.mappings)));
+    } catch (e) {
+      console.warn('Could not save MIDI mappings:', e);
+    }
+  }
+
+  /**
+   * Restore CC bindings saved by saveMappings().
+   */
+  loadMappings() {
+    try {
+      const saved = typeof localStorage !== 'undefined' && localStorage.getItem(this.storageKey);
+      if (saved) {
+        this.mappings = new Map(JSON.parse(saved));
+      }
+    } catch (e) {
+      console.warn('Could not load MIDI mappings:', e);
+    }
+  }
+
+  /**
+   * Clean up resources.
+   */
+  dispose() {
+    if (this.access) {
+      this.access.removeEventListener('statechange', this.attachInputs);
+      for (const input of this.access.inputs.values()) {
+        input.onmidimessage = null;
+      }
+    }
+    this.access = null;
+    this.isEnabled = false;
+  }
+}
@@ -0,0 +1,350 @@
+/**
+ * Sends raindrop notes to a Web MIDI output.
+ *
+ * Each note becomes a Note On with its impact velocity, preceded by CC10
+ * (pan) on the same channel. Note Offs are queued and flushed by a
+ * lookahead timer so a retriggered note can cut its previous Note Off.
+ * Notes are sent as they play, so Note Quantize on the global TempoClock
+ * already puts them on its grid; the same clock can be sent as MIDI clock
+ * so the receiving DAW stays in sync.
+ *
+ * Tunings other than 12-TET need more than note numbers. Tuning modes:
+ *
+ *   off   - nearest note only
+ *   bend  - pitch bend (+/-2 semitones) on the channel before each note;
+ *           exact for one note at a time, overlapping notes share the bend
+ *   mpe   - MPE lower zone: manager channel 1, each note on its own member
+ *           channel (2-16, round robin) with its own bend (+/-48 semitones)
+ */
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xb0;
+const PITCH_BEND = 0xe0;
+const CC_PAN = 10;
+const CC_DATA_ENTRY = 6;
+const CC_DATA_ENTRY_LSB = 38;
+const CC_RPN_LSB = 100;
+const CC_RPN_MSB = 101;
+const RPN_PITCH_BEND_RANGE = 0;
+const RPN_MPE_CONFIGURATION = 6;
+const CC_ALL_NOTES_OFF = 123;
+const CLOCK_TICK = 0xf8;
+const CLOCK_START = 0xfa;
+const CLOCK_STOP = 0xfc;
+const CLOCK_PPQN = 24;
+
+export const TUNING_MODES = ['off', 'bend', 'mpe'];
+
+// Pitch bend ranges (semitones) set on the receiver
+const BEND_RANGE = 2;
+const MPE_BEND_RANGE = 48;
+const MPE_MEMBER_CHANNELS = 15;
+
+// Scheduler timing (ms)
+const SCHEDULER_INTERVAL = 10;
+const SCHEDULER_LOOKAHEAD = 30;
+const CLOCK_LOOKAHEAD = 50;  // Clock ticks are scheduled per frame, so a little further
+
+export class MidiOutput {
+  constructor() {
+    this.access = null;
+    this.output = null;
+    this.isEnabled = false;
+
+    // Routing
+    this.channel = 1;            // 1-16
+    this.noteLength = 0.25;      // seconds
+    this.splitOctaves = false;   // channel + octave offset per octave band
+
+    // Microtuning (see TUNING_MODES)
+    this.tuningMode = 'off';
+    this.nextMemberChannel = 0;  // MPE round robin (0 = channel 2)
+
+    // MIDI clock (follows the TempoClock passed to updateClock)
+    this.sendClock = false;
+    this.nextTick = null;        // Next clock tick (24ths of a quarter note), null = start on the next bar
+    this.lastQuarters = 0;       // Clock position at the last update
+
+    // Pending Note Offs: key (channel << 7 | note) -> {time, status, note}
+    this.pendingOffs = new Map();
+    this.timer = null;
+  }
+
+  /**
+   * Request Web MIDI access.
+   * @returns {Promise<boolean>} Success status
+   */
+  async init() {
+    if (this.access) return true;
+
+    if (!navigator.requestMIDIAccess) {
+      console.warn('Web MIDI API is not supported in this browser');
+      return false;
+    }
+
+    try {
+      this.access = await navigator.requestMIDIAccess();
+      return true;
+    } catch (error) {
+      console.error('MIDI access failed:', error);
+      return false;
+    }
+  }
+
+  /**
+   * List available outputs.
+   * @returns {Array<{id: string, name: string}>}
+   */
+  getOutputs() {
+    if (!this.access) return [];
+    return Array.from(this.access.outputs.values(), output => ({ id: output.id, name: output.name }));
+  }
+
+  /**
+   * Select an output by id (null to deselect).
+   * @param {string|null} id
+   */
+  selectOutput(id) {
+    this.allNotesOff();
+    this.output = id && this.access ? this.access.outputs.get(id) || null : null;
+    this.sendTuningSetup();
+  }
+
+  /**
+   * Start/stop sending notes.
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    if (enabled === this.isEnabled) return;
+    this.isEnabled = enabled;
+
+    if (enabled) {
+      this.nextTick = null;
+      this.timer = setInterval(() => this.schedule(), SCHEDULER_INTERVAL);
+    } else {
+      clearInterval(this.timer);
+      this.timer = null;
+      if (this.sendClock) this.send([CLOCK_STOP]);
+      this.allNotesOff();
+    }
+  }
+
+  /**
+   * Set base MIDI channel.
+   * @param {number} channel - 1-16
+   */
+  setChannel(channel) {
+    this.allNotesOff();
+    this.channel = Math.max(1, Math.min(16, Math.round(channel)));
+    this.sendTuningSetup();
+  }
+
+  /**
+   * Set note length.
+   * @param {number} seconds
+   */
+  setNoteLength(seconds) {
+    this.noteLength = Math.max(0.01, seconds);
+  }
+
+  /**
+   * Route each octave band to its own channel (channel, channel + 1, ...).
+   * @param {boolean} enabled
+   */
+  setSplitOctaves(enabled) {
+    this.allNotesOff();
+    this.splitOctaves = enabled;
+    this.sendTuningSetup();
+  }
+
+  /**
+   * Set how notes outside 12-TET are sent.
+   * @param {string} mode - One of TUNING_MODES
+   */
+  setTuningMode(mode) {
+    if (!TUNING_MODES.includes(mode) || mode === this.tuningMode) return;
+    this.allNotesOff();
+    this.tuningMode = mode;
+    this.sendTuningSetup();
+  }
+
+  /**
+   * Configure the receiver for the tuning mode: the bend range of every
+   * channel notes go out on (all the octave split may use), or the MPE zone
+   * and its member bend range.
+   */
+  sendTuningSetup() {
+    if (!this.output) return;
+    if (this.tuningMode === 'bend') {
+      const lastChannel = this.splitOctaves ? 16 : this.channel;
+      for (let channel = this.channel; channel <= lastChannel; channel++) {
+        this.sendRpn(channel - 1, RPN_PITCH_BEND_RANGE, BEND_RANGE);
+      }
+    } else if (this.tuningMode === 'mpe') {
+      this.sendRpn(0, RPN_MPE_CONFIGURATION, MPE_MEMBER_CHANNELS);
+      for (let i = 1; i <= MPE_MEMBER_CHANNELS; i++) {
+        this.sendRpn(i, RPN_PITCH_BEND_RANGE, MPE_BEND_RANGE);
+      }
+    }
+  }
+
+  /**
+   * Set a registered parameter, then close it so later data entry can't change it.
+   * @param {number} channel - 0-15
+   * @param {number} parameter - RPN number
+   * @param {number} value - Data entry MSB
+   */
+  sendRpn(channel, parameter, value) {
+    const status = CONTROL_CHANGE | channel;
+    this.send([status, CC_RPN_MSB, 0]);
+    this.send([status, CC_RPN_LSB, parameter]);
+    this.send([status, CC_DATA_ENTRY, value]);
+    this.send([status, CC_DATA_ENTRY_LSB, 0]);
+    this.send([status, CC_RPN_MSB, 127]);
+    this.send([status, CC_RPN_LSB, 127]);
+  }
+
+  /**
+   * Send MIDI clock (24 ppqn) following the tempo clock.
+   * @param {boolean} enabled
+   */
+  setSendClock(enabled) {
+    if (enabled === this.sendClock) return;
+    this.sendClock = enabled;
+    if (!this.isEnabled) return;
+
+    if (enabled) {
+      // Start on the next bar line so the receiver's grid matches ours
+      this.nextTick = null;
+    } else {
+      this.send([CLOCK_STOP]);
+    }
+  }
+
+  /**
+   * Schedule MIDI clock ticks for the tempo clock's position (call every
+   * frame). Ticks are timed ahead from the clock's tempo. Start is sent on
+   * the next bar line after clock output is switched on, or after the clock
+   * jumped back (reset or replay seek).
+   * @param {import('../core/TempoClock.js').TempoClock} clock
+   */
+  updateClock(clock) {
+    if (!this.isEnabled || !this.sendClock) return;
+
+    const now = performance.now();
+    const quarters = clock.getQuarters(clock.time);
+    const quarterMs = clock.getQuarterLength() * 1000;
+    if (this.nextTick === null || quarters < this.lastQuarters - 1e-9) {
+      const bar = Math.ceil(clock.getBars(clock.time) - 1e-9);
+      const barQuarters = clock.originQuarters + (bar - clock.originBars) * clock.getBarQuarters();
+      this.nextTick = Math.round(barQuarters * CLOCK_PPQN);
+      this.send([CLOCK_START], now + (barQuarters - quarters) * quarterMs);
+    }
+    this.lastQuarters = quarters;
+
+    // Never schedule into the past after a stall or a jump forward
+    this.nextTick = Math.max(this.nextTick, Math.ceil(quarters * CLOCK_PPQN - 1e-9));
+    const horizon = quarters + CLOCK_LOOKAHEAD / quarterMs;
+    while (this.nextTick / CLOCK_PPQN <= horizon) {
+      this.send([CLOCK_TICK], now + (this.nextTick / CLOCK_PPQN - quarters) * quarterMs);
+      this.nextTick++;
+    }
+  }
+
+  /**
+   * Send a mapped note (from NoteMapper.mapImpactNotes).
+   * @param {{midiNote: number, bend?: number, gain: number, pan: number, octaveOffset: number}} noteParams
+   */
+  sendNote(noteParams) {
+    if (!this.isEnabled || !this.output) return;
+
+    let channel;
+    if (this.tuningMode === 'mpe') {
+      channel = 1 + this.nextMemberChannel;
+      this.nextMemberChannel = (this.nextMemberChannel + 1) % MPE_MEMBER_CHANNELS;
+    } else {
+      const offset = this.splitOctaves ? noteParams.octaveOffset : 0;
+      channel = Math.min(16, this.channel + offset) - 1;
+    }
+    const note = Math.max(0, Math.min(127, noteParams.midiNote));
+    const velocity = Math.max(1, Math.min(127, Math.round(noteParams.gain * 127)));
+    const pan = Math.max(0, Math.min(127, Math.round(noteParams.pan * 127)));
+
+    const time = performance.now();
+
+    // Cut a still-sounding instance of this note so its Note Off can't end the new one
+    const key = (channel << 7) | note;
+    const pending = this.pendingOffs.get(key);
+    if (pending) {
+      this.send([pending.status, note, 0], time);
+      this.pendingOffs.delete(key);
+    }
+
+    this.send([CONTROL_CHANGE | channel, CC_PAN, pan], time);
+    if (this.tuningMode !== 'off') {
+      const range = this.tuningMode === 'mpe' ? MPE_BEND_RANGE : BEND_RANGE;
+      const bend = Math.max(0, Math.min(16383, Math.round(8192 + (noteParams.bend || 0) / range * 8192)));
+      this.send([PITCH_BEND | channel, bend & 0x7f, bend >> 7], time);
+    }
+    this.send([NOTE_ON | channel, note, velocity], time);
+
+    this.pendingOffs.set(key, {
+      time: time + this.noteLength * 1000,
+      status: NOTE_OFF | channel,
+      note
+    });
+  }
+
+  /**
+   * Lookahead scheduler: flush due Note Offs.
+   */
+  schedule() {
+    const horizon = performance.now() + SCHEDULER_LOOKAHEAD;
+
+    for (const [key, pending] of this.pendingOffs) {
+      if (pending.time <= horizon) {
+        this.send([pending.status, pending.note, 0], pending.time);
+        this.pendingOffs.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Release everything: flush pending Note Offs and send All Notes Off.
+   */
+  allNotesOff() {
+    for (const pending of this.pendingOffs.values()) {
+      this.send([pending.status, pending.note, 0]);
+    }
+    this.pendingOffs.clear();
+
+    if (!this.output) return;
+    for (let channel = 0; channel < 16; channel++) {
+      this.send([CONTROL_CHANGE | channel, CC_ALL_NOTES_OFF, 0]);
+    }
+  }
+
+  /**
+   * Send raw MIDI bytes.
+   * @param {number[]} data
+   * @param {number} [timestamp] - performance.now() time (immediate if omitted)
+   */
+  send(data, timestamp) {
+    if (!this.output) return;
+    try {
+      this.output.send(data, timestamp);
+    } catch (e) {
+      console.warn('MIDI send error:', e);
+    }
+  }
+
+  /**
+   * Clean up resources.
+   */
+  dispose() {
+    this.setEnabled(false);
+    this.output = null;
+    this.access = null;
+  }
+}
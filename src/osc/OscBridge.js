@@ -0,0 +1,215 @@
+/**
+ * OSC over WebSocket to a local bridge (scripts/osc-bridge.js), which
+ * relays the packets to and from UDP so TouchDesigner, Max, SuperCollider
+ * and the like can follow and play the pond.
+ *
+ * Outgoing:
+ *   /rain/impact  x z strength diameter       raindrop hit the water
+ *   /rain/splash  x z strength diameter       splash droplet landed
+ *   /rain/note    note pitch velocity pan frequency x z
+ *   /rain/harmony name root mode              progression moved on
+ *   /rain/clock   bpm quarters bar beatsPerBar beatUnit   on every beat
+ *
+ * Incoming:
+ *   /rain/param   id value                    set a control (slider id or preset field)
+ *   /rain/param/<id> value                    same, id in the address
+ *   /rain/drop    x z [velocity]              drop rain at lake coordinates (velocity 0-1)
+ *   /rain/tempo   bpm                         set the clock tempo
+ *   /rain/phase   quarters [quantum]          align the clock's beat phase
+ *
+ * The bridge is reconnected every few seconds while enabled, so it can be
+ * started before or after the page.
+ */
+
+import { encodeMessage, decodePacket } from './OscCodec.js';
+import { NOMINAL_DIAMETER } from '../particles/DropPhysics.js';
+
+export const DEFAULT_BRIDGE_URL = 'ws://127.0.0.1:8765';
+
+const RECONNECT_DELAY = 3000;  // ms
+
+export class OscBridge {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.url] - Bridge WebSocket URL
+   */
+  constructor(options = {}) {
+    this.url = options.url || DEFAULT_BRIDGE_URL;
+    this.socket = null;
+    this.isEnabled = false;
+    this.isConnected = false;
+    this.reconnectTimer = null;
+    this.lastBeat = null;        // Last beat /rain/clock was sent for
+
+    // Callbacks
+    this.onParameter = null;     // (id, value) => void
+    this.onDrop = null;          // (x, z, velocity) => void
+    this.onTempo = null;         // (bpm) => void
+    this.onPhase = null;         // (quarters, quantum) => void
+    this.onStatus = null;        // (connected) => void
+  }
+
+  /**
+   * Connect to (or disconnect from) the bridge.
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this.isEnabled = enabled;
+    if (enabled) {
+      this.connect();
+    } else {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+      if (this.socket) this.socket.close();
+    }
+  }
+
+  /**
+   * @param {string} url - Bridge WebSocket URL (reconnects if enabled)
+   */
+  setUrl(url) {
+    if (url === this.url) return;
+    this.url = url;
+    if (this.socket) this.socket.close();
+  }
+
+  /**
+   * Open the WebSocket. Closing it schedules a reconnect while enabled.
+   */
+  connect() {
+    if (this.socket) return;
+
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (error) {
+      console.warn('OSC bridge URL is invalid:', error);
+      return;
+    }
+    socket.binaryType = 'arraybuffer';
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.isConnected = true;
+      this.lastBeat = null;
+      if (this.onStatus) this.onStatus(true);
+    };
+    socket.onclose = () => {
+      this.socket = null;
+      const wasConnected = this.isConnected;
+      this.isConnected = false;
+      if (wasConnected && this.onStatus) this.onStatus(false);
+      if (this.isEnabled && !this.reconnectTimer) {
+        this.reconnectTimer = setTimeout(() => {
+          this.reconnectTimer = null;
+          if (this.isEnabled) this.connect();
+        }, RECONNECT_DELAY);
+      }
+    };
+    socket.onmessage = (event) => {
+      if (typeof event.data === 'string') return;
+      try {
+        for (const message of decodePacket(new Uint8Array(event.data))) {
+          this.handleMessage(message);
+        }
+      } catch (error) {
+        console.warn('Invalid OSC packet from bridge:', error);
+      }
+    };
+  }
+
+  /**
+   * Send one OSC message (dropped while not connected).
+   * @param {string} address
+   * @param {Array} args - See encodeMessage()
+   */
+  send(address, args) {
+    if (!this.isConnected) return;
+    this.socket.send(encodeMessage(address, args));
+  }
+
+  /**
+   * @param {{x: number, z: number, strength: number, diameter?: number, secondary?: boolean}} impact
+   */
+  sendImpact(impact) {
+    this.send(impact.secondary === true ? '/rain/splash' : '/rain/impact',
+      [impact.x, impact.z, impact.strength, impact.diameter || NOMINAL_DIAMETER]);
+  }
+
+  /**
+   * @param {Object} note - Mapped note (NoteMapper.mapImpactNotes() plus x, z)
+   */
+  sendNote(note) {
+    this.send('/rain/note', [
+      { type: 'i', value: note.midiNote },
+      note.pitch,
+      Math.min(1, note.gain),
+      note.pan,
+      note.frequency,
+      note.x,
+      note.z
+    ]);
+  }
+
+  /**
+   * @param {{name: string, root: number, mode: string}} harmony - ProgressionEngine harmony
+   */
+  sendHarmony(harmony) {
+    this.send('/rain/harmony', [harmony.name, { type: 'i', value: harmony.root }, harmony.mode]);
+  }
+
+  /**
+   * Send /rain/clock when the clock has reached a new beat (call every frame).
+   * @param {import('../core/TempoClock.js').TempoClock} clock
+   */
+  updateClock(clock) {
+    if (!this.isConnected) return;
+    const quarters = clock.getQuarters(clock.time);
+    const beat = Math.floor(quarters + 1e-9);
+    if (beat === this.lastBeat) return;
+    this.lastBeat = beat;
+    this.send('/rain/clock', [
+      clock.bpm,
+      quarters,
+      { type: 'i', value: Math.floor(clock.getBars(clock.time) + 1e-9) },
+      { type: 'i', value: clock.beatsPerBar },
+      { type: 'i', value: clock.beatUnit }
+    ]);
+  }
+
+  /**
+   * Dispatch an incoming message to the callbacks.
+   * @param {{address: string, args: Array}} message
+   */
+  handleMessage({ address, args }) {
+    if (address.startsWith('/rain/param/')) {
+      this.handleParameter(address.slice('/rain/param/'.length), args[0]);
+    } else if (address === '/rain/param') {
+      this.handleParameter(args[0], args[1]);
+    } else if (address === '/rain/drop') {
+      if (!Number.isFinite(args[0]) || !Number.isFinite(args[1])) return;
+      const velocity = Number.isFinite(args[2]) ? Math.max(0, Math.min(1, args[2])) : 0.5;
+      if (this.onDrop) this.onDrop(args[0], args[1], velocity);
+    } else if (address === '/rain/tempo') {
+      if (Number.isFinite(args[0]) && this.onTempo) this.onTempo(args[0]);
+    } else if (address === '/rain/phase') {
+      if (!Number.isFinite(args[0]) || !this.onPhase) return;
+      this.onPhase(args[0], Number.isFinite(args[1]) && args[1] > 0 ? args[1] : undefined);
+    } else {
+      console.warn('Unknown OSC address:', address);
+    }
+  }
+
+  /**
+   * @param {*} id - Control id or preset field name
+   * @param {*} value - Number (true/false count as 1/0)
+   */
+  handleParameter(id, value) {
+    if (typeof value === 'boolean') value = value ? 1 : 0;
+    if (typeof id !== 'string' || !Number.isFinite(value)) {
+      console.warn('OSC /rain/param needs an id and a number');
+      return;
+    }
+    if (this.onParameter) this.onParameter(id, value);
+  }
+}
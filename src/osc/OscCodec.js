@@ -0,0 +1,162 @@
+/**
+ * Minimal OSC 1.0 packet encoding and decoding.
+ *
+ * Messages carry int32 (i), float32 (f), string (s), blob (b) and the
+ * argument-free true/false (T/F) types; decoding also reads bundles
+ * (their elements are returned in order, time tags are ignored). Numbers
+ * are sent as floats unless wrapped as { type: 'i', value }.
+ *
+ * Spec: https://opensoundcontrol.stanford.edu/spec-1_0.html
+ */
+
+const BUNDLE_TAG = '#bundle';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Bytes of an OSC string: UTF-8, null terminated, padded to 4 bytes.
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function encodeString(text) {
+  const bytes = textEncoder.encode(text);
+  const padded = new Uint8Array((bytes.length + 4) & ~3);
+  padded.set(bytes);
+  return padded;
+}
+
+/**
+ * @param {number} length
+ * @returns {number} Length rounded up to a multiple of 4
+ */
+function pad4(length) {
+  return (length + 3) & ~3;
+}
+
+/**
+ * Encode one OSC message.
+ * @param {string} address - OSC address ("/rain/impact")
+ * @param {Array<number|string|boolean|Uint8Array|{type: string, value: *}>} [args]
+ * @returns {Uint8Array}
+ */
+export function encodeMessage(address, args = []) {
+  let tags = ',';
+  const parts = [encodeString(address)];
+  for (const arg of args) {
+    const typed = arg !== null && typeof arg === 'object' && !(arg instanceof Uint8Array);
+    const type = typed ? arg.type
+      : typeof arg === 'number' ? 'f'
+        : typeof arg === 'string' ? 's'
+          : typeof arg === 'boolean' ? (arg ? 'T' : 'F')
+            : 'b';
+    const value = typed ? arg.value : arg;
+    tags += type;
+
+    if (type === 'i' || type === 'f') {
+      const bytes = new Uint8Array(4);
+      const view = new DataView(bytes.buffer);
+      if (type === 'i') view.setInt32(0, value);
+      else view.setFloat32(0, value);
+      parts.push(bytes);
+    } else if (type === 's') {
+      parts.push(encodeString(String(value)));
+    } else if (type === 'b') {
+      const bytes = new Uint8Array(4 + pad4(value.length));
+      new DataView(bytes.buffer).setInt32(0, value.length);
+      bytes.set(value, 4);
+      parts.push(bytes);
+    } else if (type !== 'T' && type !== 'F') {
+      throw new Error(`Unsupported OSC type "${type}"`);
+    }
+  }
+  parts.splice(1, 0, encodeString(tags));
+
+  const packet = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    packet.set(part, offset);
+    offset += part.length;
+  }
+  return packet;
+}
+
+/**
+ * Read an OSC string.
+ * @param {Uint8Array} bytes
+ * @param {number} offset
+ * @returns {{value: string, next: number}}
+ */
+function readString(bytes, offset) {
+  let end = offset;
+  while (end < bytes.length && bytes[end] !== 0) end++;
+  if (end >= bytes.length) throw new Error('Unterminated OSC string');
+  return { value: textDecoder.decode(bytes.subarray(offset, end)), next: pad4(end + 1) };
+}
+
+/**
+ * Decode one OSC message.
+ * @param {Uint8Array} bytes
+ * @returns {{address: string, args: Array<number|string|boolean|Uint8Array>}}
+ */
+function decodeMessage(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const address = readString(bytes, 0);
+  const args = [];
+  // Type tags are optional in old senders; without them there are no arguments
+  if (address.next >= bytes.length) return { address: address.value, args };
+
+  const tags = readString(bytes, address.next);
+  if (!tags.value.startsWith(',')) throw new Error('Missing OSC type tags');
+
+  let offset = tags.next;
+  for (const type of tags.value.slice(1)) {
+    if (type === 'i') {
+      args.push(view.getInt32(offset));
+      offset += 4;
+    } else if (type === 'f') {
+      args.push(view.getFloat32(offset));
+      offset += 4;
+    } else if (type === 'd') {
+      args.push(view.getFloat64(offset));
+      offset += 8;
+    } else if (type === 's' || type === 'S') {
+      const text = readString(bytes, offset);
+      args.push(text.value);
+      offset = text.next;
+    } else if (type === 'b') {
+      const length = view.getInt32(offset);
+      args.push(bytes.slice(offset + 4, offset + 4 + length));
+      offset += 4 + pad4(length);
+    } else if (type === 'T' || type === 'F') {
+      args.push(type === 'T');
+    } else if (type === 'N' || type === 'I') {
+      args.push(null);
+    } else {
+      throw new Error(`Unsupported OSC type "${type}"`);
+    }
+  }
+  return { address: address.value, args };
+}
+
+/**
+ * Decode an OSC packet (a message or a bundle, nested bundles included).
+ * @param {Uint8Array} bytes
+ * @returns {Array<{address: string, args: Array<number|string|boolean|Uint8Array>}>} Messages in order
+ */
+export function decodePacket(bytes) {
+  if (bytes[0] !== 0x23) return [decodeMessage(bytes)];  // Not '#'
+
+  const tag = readString(bytes, 0);
+  if (tag.value !== BUNDLE_TAG) throw new Error(`Invalid OSC packet "${tag.value}"`);
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const messages = [];
+  let offset = tag.next + 8;  // Skip the time tag
+  while (offset + 4 <= bytes.length) {
+    const size = view.getInt32(offset);
+    messages.push(...decodePacket(bytes.subarray(offset + 4, offset + 4 + size)));
+    offset += 4 + size;
+  }
+  return messages;
+}
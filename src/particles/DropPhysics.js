@@ -0,0 +1,95 @@
+/**
+ * Raindrop physics: size distribution, terminal velocity and impact energy.
+ *
+ * Diameters are in millimetres. Sizes follow the Marshall–Palmer
+ * distribution N(D) = N0 * exp(-lambda * D), whose slope flattens as the
+ * rain rate rises, so heavy rain has more large drops. Fall speeds follow
+ * the Atlas et al. (1973) fit to measured terminal velocities, scaled by
+ * the scene's gravity (quadratic drag: terminal speed grows with sqrt(g)).
+ */
+
+export const EARTH_GRAVITY = 9.81;
+export const WATER_DENSITY = 1000;      // kg/m^3
+
+// Drop diameters drawn by the scene (mm). Smaller drops leave no visible
+// ripple; larger ones break up while falling.
+export const MIN_DIAMETER = 1;
+export const MAX_DIAMETER = 6;
+
+// Diameter of a "typical" drop (mm): unit mesh scale, default for hand-placed drops
+export const NOMINAL_DIAMETER = 1.5;
+
+// The scene spawns a sparse sample of real rain: each spawned drop per
+// second stands for this much rain rate (mm/h)
+export const RAIN_RATE_PER_DROP = 2.5;
+
+// A nominal drop at terminal speed in Earth gravity hits with this strength
+const REFERENCE_STRENGTH = 0.45;
+const MAX_STRENGTH = 0.8;
+
+/**
+ * Marshall–Palmer slope parameter.
+ * @param {number} rainRate - mm/h
+ * @returns {number} lambda (1/mm)
+ */
+export function marshallPalmerSlope(rainRate) {
+  return 4.1 * Math.pow(Math.max(0.1, rainRate), -0.21);
+}
+
+/**
+ * Draw a drop diameter from the Marshall–Palmer distribution, truncated to
+ * [MIN_DIAMETER, MAX_DIAMETER]. Uses one random number.
+ * @param {import('../core/SeededRandom.js').SeededRandom} random
+ * @param {number} rainRate - mm/h
+ * @returns {number} Diameter (mm)
+ */
+export function sampleDiameter(random, rainRate) {
+  // Exponential tail above the minimum (memoryless, so this is exact truncation below)
+  const lambda = marshallPalmerSlope(rainRate);
+  const u = Math.max(1e-9, random.next());
+  return Math.min(MAX_DIAMETER, MIN_DIAMETER - Math.log(u) / lambda);
+}
+
+/**
+ * Terminal fall speed of a drop.
+ * @param {number} diameter - mm
+ * @param {number} [gravity] - Scene gravity magnitude (m/s^2)
+ * @returns {number} m/s
+ */
+export function terminalVelocity(diameter, gravity = EARTH_GRAVITY) {
+  const earth = Math.max(0.5, 9.65 - 10.3 * Math.exp(-0.6 * diameter));
+  return earth * Math.sqrt(Math.abs(gravity) / EARTH_GRAVITY);
+}
+
+/**
+ * @param {number} diameter - mm
+ * @returns {number} kg
+ */
+export function dropMass(diameter) {
+  const d = diameter / 1000;
+  return WATER_DENSITY * Math.PI * d * d * d / 6;
+}
+
+/**
+ * Kinetic energy at impact.
+ * @param {number} diameter - mm
+ * @param {number} speed - m/s
+ * @returns {number} Joules
+ */
+export function impactEnergy(diameter, speed) {
+  return 0.5 * dropMass(diameter) * speed * speed;
+}
+
+const REFERENCE_ENERGY = impactEnergy(NOMINAL_DIAMETER, terminalVelocity(NOMINAL_DIAMETER));
+
+/**
+ * Impact strength (ripple amplitude, note loudness) from impact energy.
+ * Amplitude grows with the square root of the energy and saturates softly
+ * at the strongest splash the ripple and note mapping expect.
+ * @param {number} energy - Joules
+ * @returns {number} 0 to 0.8
+ */
+export function impactStrength(energy) {
+  const amplitude = REFERENCE_STRENGTH * Math.sqrt(energy / REFERENCE_ENERGY);
+  return MAX_STRENGTH * Math.tanh(amplitude / MAX_STRENGTH);
+}
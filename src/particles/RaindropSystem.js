@@ -1,4 +1,8 @@
-import * as THREE from 'three/webgpu';
+import { SeededRandom } from '../core/SeededRandom.js';
+import {
+  sampleDiameter, terminalVelocity, impactEnergy, impactStrength,
+  NOMINAL_DIAMETER, RAIN_RATE_PER_DROP
+} from './DropPhysics.js';
 
 export class RaindropSystem {
   constructor(renderer, options = {}) {
@@ -9,6 +13,29 @@ export class RaindropSystem {
     this.spawnHeight = options.spawnHeight || 12;
     this.gravity = options.gravity || -15;
 
+    // Horizontal wind (m/s) the drops are dragged towards
+    this.wind = { x: 0, z: 0 };
+
+    // Rain rate (mm/h) for the drop size distribution; null = follow spawnRate
+    this.rainRate = options.rainRate || null;
+
+    // Water surface the drops land on (anything with sampleSurface(x, z, out),
+    // e.g. RippleSimulation); null = the flat plane y = 0
+    this.surface = options.surface || null;
+    this.surfaceSample = { height: 0, slopeX: 0, slopeZ: 0 };
+
+    // Shared random source (seed it for reproducible runs)
+    this.random = options.random || new SeededRandom();
+
+    // Headless mode skips mesh creation (simulation only, no renderer)
+    this.headless = options.headless || false;
+
+    // Phase lock: drops due between grid steps of the tempo clock are held
+    // and released together on the next step (steps per whole note, 0 = off)
+    this.clock = options.clock || null;
+    this.beatLock = 0;
+    this.lockStep = null;
+
     this.spawnTimer = 0;
     this.impacts = [];
   }
@@ -17,8 +44,10 @@ export class RaindropSystem {
     // Create particle data buffers
     this.createBuffers();
 
-    // Create particle mesh
-    this.createMesh();
+    // Create particle mesh (three is only loaded when there is something to draw)
+    if (!this.headless) {
+      this.createMesh(await import('three/webgpu'));
+    }
   }
 
   createBuffers() {
@@ -27,7 +56,16 @@ export class RaindropSystem {
     this.positions = new Float32Array(this.maxParticles * 3);
     this.velocities = new Float32Array(this.maxParticles * 3);
     this.lifetimes = new Float32Array(this.maxParticles);
+    this.diameters = new Float32Array(this.maxParticles);  // mm
+
+    this.reset();
+  }
 
+  /**
+   * Deactivate all particles and restart the spawn timer.
+   * Buffers are cleared in place so mesh attributes stay valid.
+   */
+  reset() {
     // Initialize particles as inactive (lifetime <= 0)
     for (let i = 0; i < this.maxParticles; i++) {
       this.positions[i * 3] = 0;
@@ -37,12 +75,19 @@ export class RaindropSystem {
       this.velocities[i * 3 + 1] = 0;
       this.velocities[i * 3 + 2] = 0;
       this.lifetimes[i] = -1;
+      this.diameters[i] = NOMINAL_DIAMETER;
     }
 
     this.nextParticleIndex = 0;
+    this.spawnTimer = 0;
+    this.lockStep = null;
+    this.impacts = [];
   }
 
-  createMesh() {
+  /**
+   * @param {Object} THREE - The three/webgpu module
+   */
+  createMesh(THREE) {
     // Create instanced geometry for raindrops
     // Teardrop shape: pointed at top (radiusTop=0), wider at bottom
     const dropGeometry = new THREE.CylinderGeometry(0, 0.03, 0.4, 6);
@@ -94,24 +139,39 @@ export class RaindropSystem {
     }
     this.mesh.instanceMatrix.needsUpdate = true;
     this.mesh.frustumCulled = false;
+
+    // Reused every update (no per-frame allocations)
+    this.matrix = matrix;
+    this.position = new THREE.Vector3();
+    this.scale = new THREE.Vector3(1, 1, 1);
+    this.quaternion = new THREE.Quaternion();
+    this.velocity = new THREE.Vector3();
+    this.up = new THREE.Vector3(0, 1, 0);
   }
 
   spawnParticle() {
     const i = this.nextParticleIndex;
 
-    // Random position in spawn area
-    const x = (Math.random() - 0.5) * this.spawnArea.x;
-    const z = (Math.random() - 0.5) * this.spawnArea.z;
-    const y = this.spawnHeight + Math.random() * 2;
+    const diameter = sampleDiameter(this.random, this.getRainRate());
+
+    // Random position in spawn area, shifted upwind so drops still land on the lake
+    // (fall time under quadratic drag: accelerate, then cruise at terminal speed)
+    const vt = terminalVelocity(diameter, this.gravity);
+    const fallTime = this.spawnHeight / vt + vt * Math.LN2 / Math.abs(this.gravity);
+    const x = (this.random.next() - 0.5) * this.spawnArea.x - this.wind.x * fallTime;
+    const z = (this.random.next() - 0.5) * this.spawnArea.z - this.wind.z * fallTime;
+    const y = this.spawnHeight + this.random.next() * 2;
 
     this.positions[i * 3] = x;
     this.positions[i * 3 + 1] = y;
     this.positions[i * 3 + 2] = z;
 
-    // Initial velocity (slight random drift)
-    this.velocities[i * 3] = (Math.random() - 0.5) * 0.5;
+    // Initial velocity (slight random drift, already moving with the wind)
+    this.velocities[i * 3] = (this.random.next() - 0.5) * 0.5 + this.wind.x;
     this.velocities[i * 3 + 1] = -2; // Initial downward velocity
-    this.velocities[i * 3 + 2] = (Math.random() - 0.5) * 0.5;
+    this.velocities[i * 3 + 2] = (this.random.next() - 0.5) * 0.5 + this.wind.z;
+
+    this.diameters[i] = diameter;
 
     // Reset lifetime
     this.lifetimes[i] = 1.0;
@@ -120,42 +180,142 @@ export class RaindropSystem {
     this.nextParticleIndex = (this.nextParticleIndex + 1) % this.maxParticles;
   }
 
+  /**
+   * Water surface height and slope under a point (flat without a surface).
+   * Reuses one result object.
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {{height: number, slopeX: number, slopeZ: number}}
+   */
+  sampleSurface(x, z) {
+    if (this.surface) {
+      return this.surface.sampleSurface(x, z, this.surfaceSample);
+    }
+    this.surfaceSample.height = 0;
+    this.surfaceSample.slopeX = 0;
+    this.surfaceSample.slopeZ = 0;
+    return this.surfaceSample;
+  }
+
+  /**
+   * Rain rate behind the drop size distribution.
+   * @returns {number} mm/h
+   */
+  getRainRate() {
+    return this.rainRate !== null ? this.rainRate : this.spawnRate * RAIN_RATE_PER_DROP;
+  }
+
+  /**
+   * Spawn a single drop above a given point (e.g. from MIDI input).
+   * Does not consume the shared random source.
+   * @param {number} x - World X position
+   * @param {number} z - World Z position
+   * @param {number} [height] - Starting height above the water
+   * @param {number} [speed] - Initial downward speed
+   * @param {number} [diameter] - Drop diameter (mm)
+   */
+  spawnDropAt(x, z, height = this.spawnHeight, speed = 2, diameter = NOMINAL_DIAMETER) {
+    const i = this.nextParticleIndex;
+
+    this.positions[i * 3] = x;
+    this.positions[i * 3 + 1] = height;
+    this.positions[i * 3 + 2] = z;
+
+    this.velocities[i * 3] = 0;
+    this.velocities[i * 3 + 1] = -speed;
+    this.velocities[i * 3 + 2] = 0;
+
+    this.lifetimes[i] = 1.0;
+    this.diameters[i] = diameter;
+
+    this.nextParticleIndex = (this.nextParticleIndex + 1) % this.maxParticles;
+  }
+
+  /**
+   * Phase-lock spawning to a grid of the tempo clock.
+   * @param {number} division - Steps per whole note (0 = off, 4, 8, 16)
+   */
+  setBeatLock(division) {
+    this.beatLock = division;
+    this.lockStep = null;
+  }
+
+  /**
+   * Whether a grid step of the phase lock was reached since the last call.
+   * @param {number} time - Simulation time (seconds)
+   * @returns {boolean}
+   */
+  isOnLockStep(time) {
+    const step = this.clock.getStepIndex(time, this.beatLock);
+    const reached = this.lockStep !== null && step !== this.lockStep;
+    this.lockStep = step;
+    return reached;
+  }
+
   update(delta, time) {
-    this.impacts = [];
+    this.impacts.length = 0;
 
     // Spawn new particles based on spawn rate
     this.spawnTimer += delta;
     const spawnInterval = 1.0 / this.spawnRate;
 
-    while (this.spawnTimer >= spawnInterval) {
-      this.spawnParticle();
-      this.spawnTimer -= spawnInterval;
+    if (!this.beatLock || !this.clock || this.isOnLockStep(time)) {
+      while (this.spawnTimer >= spawnInterval) {
+        this.spawnParticle();
+        this.spawnTimer -= spawnInterval;
+      }
     }
 
     // Update all particles
-    const matrix = new THREE.Matrix4();
-    const position = new THREE.Vector3();
-    const scale = new THREE.Vector3(1, 1, 1);
-    const quaternion = new THREE.Quaternion();
+    const { matrix, position, scale, quaternion } = this;
+
+    const g = Math.abs(this.gravity);
 
     for (let i = 0; i < this.maxParticles; i++) {
       if (this.lifetimes[i] <= 0) continue;
 
-      // Apply gravity
-      this.velocities[i * 3 + 1] += this.gravity * delta;
+      // Gravity against quadratic air drag: the drop settles at its
+      // terminal speed (drag = g at terminal speed)
+      const vt = terminalVelocity(this.diameters[i], g);
+      const vy = this.velocities[i * 3 + 1];
+      this.velocities[i * 3 + 1] += (-g - g * vy * Math.abs(vy) / (vt * vt)) * delta;
+
+      // Drag towards the wind (tilts the drops during gusts). Small drops
+      // follow the air faster (response time vt / g); still air leaves the
+      // initial drift alone.
+      if (this.wind.x !== 0 || this.wind.z !== 0) {
+        const windBlend = Math.min(1, (g / vt) * delta);
+        this.velocities[i * 3] += (this.wind.x - this.velocities[i * 3]) * windBlend;
+        this.velocities[i * 3 + 2] += (this.wind.z - this.velocities[i * 3 + 2]) * windBlend;
+      }
 
       // Update position
       this.positions[i * 3] += this.velocities[i * 3] * delta;
       this.positions[i * 3 + 1] += this.velocities[i * 3 + 1] * delta;
       this.positions[i * 3 + 2] += this.velocities[i * 3 + 2] * delta;
 
-      // Check for water collision (y = 0)
-      if (this.positions[i * 3 + 1] <= 0) {
-        // Record impact
+      // Check for water collision against the displaced surface
+      const surface = this.sampleSurface(this.positions[i * 3], this.positions[i * 3 + 2]);
+      if (this.positions[i * 3 + 1] <= surface.height) {
+        // Record impact (energy from the drop's mass and speed)
+        const speed = Math.hypot(
+          this.velocities[i * 3],
+          this.velocities[i * 3 + 1],
+          this.velocities[i * 3 + 2]
+        );
+        const energy = impactEnergy(this.diameters[i], speed);
         this.impacts.push({
           x: this.positions[i * 3],
+          y: surface.height,
           z: this.positions[i * 3 + 2],
-          strength: Math.min(Math.abs(this.velocities[i * 3 + 1]) * 0.03, 0.8)
+          strength: impactStrength(energy),
+          diameter: this.diameters[i],
+          speed,
+          energy,
+          slopeX: surface.slopeX,
+          slopeZ: surface.slopeZ,
+          slope: Math.hypot(surface.slopeX, surface.slopeZ),
+          time
         });
 
         // Deactivate particle
@@ -166,6 +326,8 @@ export class RaindropSystem {
       // Decay lifetime slightly (for fade effect if needed)
       this.lifetimes[i] -= delta * 0.1;
 
+      if (!this.mesh) continue;
+
       // Update instance matrix
       position.set(
         this.positions[i * 3],
@@ -174,7 +336,7 @@ export class RaindropSystem {
       );
 
       // Orient along velocity
-      const vel = new THREE.Vector3(
+      const vel = this.velocity.set(
         this.velocities[i * 3],
         this.velocities[i * 3 + 1],
         this.velocities[i * 3 + 2]
@@ -182,19 +344,21 @@ export class RaindropSystem {
 
       if (vel.lengthSq() > 0.01) {
         // Align cylinder's Y-axis (default axis) to velocity direction
-        const defaultDir = new THREE.Vector3(0, 1, 0);
-        quaternion.setFromUnitVectors(defaultDir, vel.normalize());
+        quaternion.setFromUnitVectors(this.up, vel.normalize());
       }
 
-      // Scale based on velocity (stretch effect)
+      // Scale based on drop size and velocity (stretch effect)
       const speed = vel.length();
-      scale.set(1, Math.max(1, speed * 0.1), 1);
+      const size = this.diameters[i] / NOMINAL_DIAMETER;
+      scale.set(size, size * Math.max(1, speed * 0.1), size);
 
       matrix.compose(position, quaternion, scale);
       this.mesh.setMatrixAt(i, matrix);
     }
 
-    this.mesh.instanceMatrix.needsUpdate = true;
+    if (this.mesh) {
+      this.mesh.instanceMatrix.needsUpdate = true;
+    }
 
     return this.impacts;
   }
@@ -0,0 +1,290 @@
+import { SeededRandom } from '../core/SeededRandom.js';
+import { impactEnergy, impactStrength, NOMINAL_DIAMETER } from './DropPhysics.js';
+
+/**
+ * Splash droplets thrown up where raindrops hit the water.
+ *
+ * Each impact emits a crown of droplets around the crater, a central jet
+ * for hard hits and a little fine spray, all scaled by the impact strength
+ * (which comes from the impact energy). Droplets fly ballistically; the ones
+ * that fall back onto the lake become small secondary impacts, which make
+ * secondary ripples and, optionally, quiet grace notes.
+ *
+ * Droplets live in a fixed instanced pool like the raindrops; when it is
+ * full the oldest droplet is reused.
+ */
+export class SplashSystem {
+  /**
+   * @param {THREE.WebGPURenderer|null} renderer
+   * @param {Object} [options]
+   * @param {number} [options.maxParticles] - Pool size
+   * @param {SeededRandom} [options.random] - Shared random source
+   * @param {boolean} [options.headless] - Skip mesh creation
+   * @param {Object} [options.surface] - Water surface with sampleSurface(x, z, out)
+   */
+  constructor(renderer, options = {}) {
+    this.renderer = renderer;
+    this.maxParticles = options.maxParticles || 600;
+
+    // Droplet count multiplier (0 = no splashes)
+    this.amount = options.amount !== undefined ? options.amount : 1;
+
+    // Whether secondary impacts should also play (quiet) notes, and how
+    // hard a droplet must land to play one
+    this.graceNotes = options.graceNotes || false;
+    this.graceMinStrength = 0.05;
+
+    // Impacts weaker than this throw up nothing
+    this.minStrength = 0.08;
+
+    // Water surface the droplets fall back onto (see RaindropSystem.surface)
+    this.surface = options.surface || null;
+    this.surfaceSample = { height: 0, slopeX: 0, slopeZ: 0 };
+
+    // Shared random source (seed it for reproducible runs)
+    this.random = options.random || new SeededRandom();
+
+    this.headless = options.headless || false;
+
+    this.impacts = [];
+  }
+
+  async init() {
+    this.positions = new Float32Array(this.maxParticles * 3);
+    this.velocities = new Float32Array(this.maxParticles * 3);
+    this.diameters = new Float32Array(this.maxParticles);  // mm
+    this.lifetimes = new Float32Array(this.maxParticles);  // seconds left
+
+    this.reset();
+
+    // three is only loaded when there is something to draw
+    if (!this.headless) {
+      this.createMesh(await import('three/webgpu'));
+    }
+  }
+
+  /**
+   * Remove all droplets.
+   */
+  reset() {
+    this.lifetimes.fill(-1);
+    this.positions.fill(0);
+    this.velocities.fill(0);
+    this.diameters.fill(0);
+    this.nextParticleIndex = 0;
+    this.impacts = [];
+    this.hideAll = true;
+  }
+
+  /**
+   * @param {Object} THREE - The three/webgpu module
+   */
+  createMesh(THREE) {
+    const dropletGeometry = new THREE.IcosahedronGeometry(0.02, 0);
+
+    // Same glow as the raindrops
+    const material = new THREE.MeshBasicMaterial({
+      color: 0x88ccff,
+      transparent: true,
+      opacity: 0.6,
+      blending: THREE.AdditiveBlending,
+      depthWrite: false
+    });
+
+    this.mesh = new THREE.InstancedMesh(dropletGeometry, material, this.maxParticles);
+    this.mesh.frustumCulled = false;
+
+    // Reused every update (no per-frame allocations)
+    this.matrix = new THREE.Matrix4();
+    this.position = new THREE.Vector3();
+    this.scale = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+  }
+
+  /**
+   * Throw up droplets for a batch of raindrop impacts.
+   * @param {Array<{x: number, y?: number, z: number, strength: number, diameter?: number}>} impacts
+   */
+  emit(impacts) {
+    for (const impact of impacts) {
+      this.emitImpact(impact);
+    }
+  }
+
+  /**
+   * Throw up droplets for one raindrop impact.
+   * Draws no random numbers when splashes are off or the impact is weak.
+   * @param {{x: number, y?: number, z: number, strength: number, diameter?: number}} impact
+   */
+  emitImpact(impact) {
+    const strength = impact.strength;
+    if (this.amount <= 0 || strength < this.minStrength) return;
+
+    const diameter = impact.diameter || NOMINAL_DIAMETER;
+    const y = (impact.y || 0) + 0.01;
+    const craterRadius = 0.04 + diameter * 0.015;
+
+    // Crown: a ring of droplets leaving the crater rim
+    const crownCount = Math.round(this.amount * (2 + strength * 12));
+    const angleOffset = this.random.next() * Math.PI * 2;
+    for (let n = 0; n < crownCount; n++) {
+      const angle = angleOffset + (n / crownCount) * Math.PI * 2 + this.random.range(-0.2, 0.2);
+      const outward = this.random.range(0.4, 1.2) * (0.5 + strength);
+      const upward = this.random.range(1, 2.2) * (0.5 + strength);
+      this.spawnDroplet(
+        impact.x + Math.cos(angle) * craterRadius,
+        y,
+        impact.z + Math.sin(angle) * craterRadius,
+        Math.cos(angle) * outward,
+        upward,
+        Math.sin(angle) * outward,
+        diameter * this.random.range(0.15, 0.3)
+      );
+    }
+
+    // Jet: the column that shoots up from the crater after a hard hit
+    if (strength > 0.45) {
+      this.spawnDroplet(
+        impact.x, y, impact.z,
+        this.random.range(-0.1, 0.1),
+        2 + strength * 3,
+        this.random.range(-0.1, 0.1),
+        diameter * 0.45
+      );
+    }
+
+    // Spray: fine, fast, low droplets
+    const sprayCount = Math.round(this.amount * strength * 6);
+    for (let n = 0; n < sprayCount; n++) {
+      const angle = this.random.next() * Math.PI * 2;
+      const outward = this.random.range(1, 2.5) * (0.5 + strength);
+      this.spawnDroplet(
+        impact.x, y, impact.z,
+        Math.cos(angle) * outward,
+        this.random.range(0.5, 1.2),
+        Math.sin(angle) * outward,
+        this.random.range(0.1, 0.25)
+      );
+    }
+  }
+
+  /**
+   * Place one droplet in the pool (overwrites the oldest when full).
+   * @param {number} x - World position
+   * @param {number} y
+   * @param {number} z
+   * @param {number} vx - Velocity (m/s)
+   * @param {number} vy
+   * @param {number} vz
+   * @param {number} diameter - mm
+   */
+  spawnDroplet(x, y, z, vx, vy, vz, diameter) {
+    const i = this.nextParticleIndex;
+
+    this.positions[i * 3] = x;
+    this.positions[i * 3 + 1] = y;
+    this.positions[i * 3 + 2] = z;
+    this.velocities[i * 3] = vx;
+    this.velocities[i * 3 + 1] = vy;
+    this.velocities[i * 3 + 2] = vz;
+    this.diameters[i] = diameter;
+    this.lifetimes[i] = 2;
+
+    this.nextParticleIndex = (this.nextParticleIndex + 1) % this.maxParticles;
+  }
+
+  /**
+   * Move the droplets and collect the ones landing back on the water.
+   * @param {number} delta - Seconds
+   * @param {number} time - Simulation time (seconds)
+   * @param {number} gravity - Scene gravity (negative, m/s^2)
+   * @returns {Array<Object>} Secondary impacts {x, z, strength, diameter, speed, energy, time, secondary}
+   *   (reused array, copy to keep)
+   */
+  update(delta, time, gravity) {
+    this.impacts.length = 0;
+    const mesh = this.mesh;
+
+    for (let i = 0; i < this.maxParticles; i++) {
+      if (this.lifetimes[i] <= 0) continue;
+
+      this.velocities[i * 3 + 1] += gravity * delta;
+      this.positions[i * 3] += this.velocities[i * 3] * delta;
+      this.positions[i * 3 + 1] += this.velocities[i * 3 + 1] * delta;
+      this.positions[i * 3 + 2] += this.velocities[i * 3 + 2] * delta;
+      this.lifetimes[i] -= delta;
+
+      // Only falling droplets can land (they start just above the surface)
+      let surfaceHeight = 0;
+      if (this.surface && this.velocities[i * 3 + 1] < 0) {
+        surfaceHeight = this.surface.sampleSurface(
+          this.positions[i * 3], this.positions[i * 3 + 2], this.surfaceSample
+        ).height;
+      }
+      if (this.velocities[i * 3 + 1] < 0 && this.positions[i * 3 + 1] <= surfaceHeight) {
+        const speed = Math.hypot(
+          this.velocities[i * 3],
+          this.velocities[i * 3 + 1],
+          this.velocities[i * 3 + 2]
+        );
+        const energy = impactEnergy(this.diameters[i], speed);
+        this.impacts.push({
+          x: this.positions[i * 3],
+          y: surfaceHeight,
+          z: this.positions[i * 3 + 2],
+          strength: impactStrength(energy),
+          diameter: this.diameters[i],
+          speed,
+          energy,
+          time,
+          secondary: true
+        });
+        this.lifetimes[i] = -1;
+      }
+
+      if (mesh && this.lifetimes[i] <= 0) {
+        this.hideDroplet(i);
+      }
+    }
+
+    if (mesh) {
+      this.updateMesh();
+    }
+
+    return this.impacts;
+  }
+
+  /**
+   * Whether a secondary impact should play a grace note.
+   * @param {{strength: number}} impact
+   * @returns {boolean}
+   */
+  isGraceImpact(impact) {
+    return this.graceNotes && impact.strength >= this.graceMinStrength;
+  }
+
+  /**
+   * Move a retired droplet out of sight.
+   * @param {number} i
+   */
+  hideDroplet(i) {
+    this.matrix.makeScale(0, 0, 0);
+    this.mesh.setMatrixAt(i, this.matrix);
+  }
+
+  updateMesh() {
+    for (let i = 0; i < this.maxParticles; i++) {
+      if (this.lifetimes[i] <= 0) {
+        if (this.hideAll) this.hideDroplet(i);
+        continue;
+      }
+      this.position.set(this.positions[i * 3], this.positions[i * 3 + 1], this.positions[i * 3 + 2]);
+      const size = Math.max(0.3, this.diameters[i] / 0.5);
+      this.scale.set(size, size, size);
+      this.matrix.compose(this.position, this.quaternion, this.scale);
+      this.mesh.setMatrixAt(i, this.matrix);
+    }
+    this.hideAll = false;
+    this.mesh.instanceMatrix.needsUpdate = true;
+  }
+}
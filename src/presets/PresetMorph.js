@@ -0,0 +1,150 @@
+/**
+ * Crossfades between two scene states, either over a set time or from a
+ * single position knob ("mood").
+ *
+ * Numeric controls interpolate linearly, colors per RGB channel, and
+ * discrete controls (scale, floor style, instrument...) switch from the
+ * start to the end value once the morph passes the switch point.
+ * Interpolated states are emitted at a limited rate so each control
+ * update (and any session recording of it) stays cheap.
+ */
+
+import { COLOR_CONTROLS, DISCRETE_CONTROLS } from './ScenePreset.js';
+
+/**
+ * Interpolate between two 0xRRGGBB colors.
+ * @param {number} from
+ * @param {number} to
+ * @param {number} t - 0-1
+ * @returns {number}
+ */
+export function lerpColor(from, to, t) {
+  let result = 0;
+  for (const shift of [16, 8, 0]) {
+    const a = (from >> shift) & 0xff;
+    const b = (to >> shift) & 0xff;
+    result |= Math.round(a + (b - a) * t) << shift;
+  }
+  return result;
+}
+
+/**
+ * Interpolate two flat control states (control id -> value).
+ * Controls present in only one state switch at the switch point.
+ * @param {Object<string, number>} from
+ * @param {Object<string, number>} to
+ * @param {number} t - Morph position 0-1
+ * @param {number} [switchPoint] - Where discrete controls switch (default 0.5)
+ * @returns {Object<string, number>}
+ */
+export function interpolateSettings(from, to, t, switchPoint = 0.5) {
+  const result = {};
+  const switched = t >= switchPoint;
+
+  for (const id of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    const a = from[id];
+    const b = to[id];
+    if (a === undefined || b === undefined || DISCRETE_CONTROLS.includes(id)) {
+      result[id] = (switched && b !== undefined) || a === undefined ? b : a;
+    } else if (COLOR_CONTROLS.includes(id)) {
+      result[id] = lerpColor(a, b, t);
+    } else {
+      result[id] = a + (b - a) * t;
+    }
+  }
+  return result;
+}
+
+export class PresetMorph {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.switchPoint] - Where discrete controls switch (0-1, default 0.5)
+   * @param {number} [options.updateRate] - Max emitted states per second (default 15)
+   * @param {(settings: Object<string, number>) => void} [options.onUpdate] - Receives interpolated states
+   * @param {() => void} [options.onEnd] - Called when a timed crossfade finishes
+   */
+  constructor(options = {}) {
+    this.switchPoint = options.switchPoint !== undefined ? options.switchPoint : 0.5;
+    this.updateInterval = 1 / (options.updateRate || 15);
+    this.onUpdate = options.onUpdate || null;
+    this.onEnd = options.onEnd || null;
+
+    this.from = {};
+    this.to = {};
+    this.position = 0;
+
+    // Timed crossfade state
+    this.isRunning = false;
+    this.duration = 0;
+    this.elapsed = 0;
+    this.sinceUpdate = 0;
+  }
+
+  /**
+   * Set the two end states.
+   * @param {Object<string, number>} from
+   * @param {Object<string, number>} to
+   */
+  setEndpoints(from, to) {
+    this.from = from;
+    this.to = to;
+  }
+
+  /**
+   * Crossfade from the start state to the end state over time.
+   * @param {number} duration - Seconds
+   */
+  start(duration) {
+    this.duration = Math.max(0.001, duration);
+    this.elapsed = 0;
+    this.sinceUpdate = 0;
+    this.isRunning = true;
+    this.setPosition(0);
+  }
+
+  /**
+   * Stop a timed crossfade where it is.
+   */
+  stop() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Jump to a morph position and emit its state (the "mood" knob).
+   * @param {number} position - 0 (start state) to 1 (end state)
+   */
+  setPosition(position) {
+    this.position = Math.max(0, Math.min(1, position));
+    if (this.onUpdate) {
+      this.onUpdate(this.getSettings());
+    }
+  }
+
+  /**
+   * Interpolated state at the current position.
+   * @returns {Object<string, number>}
+   */
+  getSettings() {
+    return interpolateSettings(this.from, this.to, this.position, this.switchPoint);
+  }
+
+  /**
+   * Advance a timed crossfade.
+   * @param {number} delta - Frame delta in seconds
+   */
+  update(delta) {
+    if (!this.isRunning) return;
+
+    this.elapsed += delta;
+    this.sinceUpdate += delta;
+    const done = this.elapsed >= this.duration;
+    if (!done && this.sinceUpdate < this.updateInterval) return;
+
+    this.sinceUpdate = 0;
+    this.setPosition(this.elapsed / this.duration);
+    if (done) {
+      this.isRunning = false;
+      if (this.onEnd) this.onEnd();
+    }
+  }
+}
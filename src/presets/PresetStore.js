@@ -0,0 +1,100 @@
+/**
+ * Named scene presets: the built-in ones plus user presets saved in
+ * localStorage. User presets shadow built-ins of the same name.
+ */
+
+import { BUILTIN_PRESETS, validatePreset } from './ScenePreset.js';
+
+export class PresetStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.storageKey] - localStorage key for user presets
+   */
+  constructor(options = {}) {
+    this.storageKey = options.storageKey || 'raindrop-ripples.presets';
+
+    // User presets: name -> preset
+    this.presets = new Map();
+
+    this.load();
+  }
+
+  /**
+   * All preset names, built-ins first.
+   * @returns {string[]}
+   */
+  getNames() {
+    const names = BUILTIN_PRESETS.map(p => p.name);
+    for (const name of this.presets.keys()) {
+      if (!names.includes(name)) names.push(name);
+    }
+    return names;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Object|null} Preset
+   */
+  get(name) {
+    return this.presets.get(name) || BUILTIN_PRESETS.find(p => p.name === name) || null;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean} Whether the preset is a saved user preset
+   */
+  isUserPreset(name) {
+    return this.presets.has(name);
+  }
+
+  /**
+   * Save (or overwrite) a user preset.
+   * @param {Object} preset
+   */
+  save(preset) {
+    validatePreset(preset);
+    this.presets.set(preset.name, preset);
+    this.persist();
+  }
+
+  /**
+   * Delete a user preset. Built-ins can't be deleted.
+   * @param {string} name
+   */
+  remove(name) {
+    if (this.presets.delete(name)) {
+      this.persist();
+    }
+  }
+
+  /**
+   * Write user presets to localStorage.
+   */
+  persist() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(Array.from(this.presets.values())));
+    } catch (e) {
+      console.warn('Could not save presets:', e);
+    }
+  }
+
+  /**
+   * Restore user presets saved by persist(), skipping invalid entries.
+   */
+  load() {
+    try {
+      const saved = typeof localStorage !== 'undefined' && localStorage.getItem(this.storageKey);
+      if (!saved) return;
+      for (const data of JSON.parse(saved)) {
+        try {
+          const preset = validatePreset(data);
+          this.presets.set(preset.name, preset);
+        } catch (e) {
+          console.warn('Skipping invalid preset:', e.message);
+        }
+      }
+    } catch (e) {
+      console.warn('Could not load presets:', e);
+    }
+  }
+}
@@ -0,0 +1,279 @@
+/**
+ * Scene preset format: one serializable snapshot of the simulation, visual
+ * and audio state.
+ *
+ *   {
+ *     version: 1,
+ *     name: 'Night Drizzle',
+ *     simulation: { spawnRate, dropSpeed, weather, weatherIntensity, windSpeed, windDirection, splash },
+ *     visuals: { caustics, floorStyle, floorDepth, fogColor, fogDensity, skyColor,
+ *                sunColor, sunElevation, sunAzimuth },
+ *     audio: { instrument, volume, scale, mapping, ..., instrumentValues: { [address]: value },
+ *              tuningParams: { preset, referencePitch, custom, keyboardMapping } },
+ *     tempo: { bpm, swing, timeSignature, quantize, quantizeMode, repeatChance, repeats, rainLock },
+ *     camera: { position: [x,y,z], target: [x,y,z] }   // optional
+ *   }
+ *
+ * Every field maps to a control id (see SCENE_SCHEMA) that the app applies
+ * like a user moving the slider, so loading a preset also updates the UI.
+ * The tuning dropdown only selects a scale; tuningParams (Tuning.getParams())
+ * carries the custom scale and keyboard mapping behind it. Fields missing
+ * from a preset are left as they are.
+ */
+
+import { downloadBlob } from '../core/Download.js';
+
+export const PRESET_VERSION = 1;
+
+// Section -> field -> control id (slider id, extra audio param id or scene color id)
+export const SCENE_SCHEMA = {
+  simulation: {
+    spawnRate: 'frequency',
+    dropSpeed: 'speed',
+    weather: 'weather',
+    weatherIntensity: 'weather-intensity',
+    windSpeed: 'wind-speed',
+    windDirection: 'wind-direction',
+    splash: 'splash'
+  },
+  visuals: {
+    caustics: 'caustics',
+    floorStyle: 'floor-style',
+    floorDepth: 'floor-depth',
+    fogColor: 'fog-color',
+    fogDensity: 'fog-density',
+    skyColor: 'sky-color',
+    sunColor: 'sun-color',
+    sunElevation: 'sun-elevation',
+    sunAzimuth: 'sun-azimuth'
+  },
+  audio: {
+    instrument: 'instrument',
+    volume: 'volume',
+    scale: 'scale',
+    mapping: 'mapping',
+    tuning: 'tuning',
+    rootNote: 'root-note',
+    referencePitch: 'reference-pitch',
+    chord: 'chord',
+    chordStyle: 'chord-style',
+    chordSpread: 'chord-spread',
+    voiceLeading: 'voice-leading',
+    progression: 'progression',
+    barsPerChange: 'progression-bars',
+    chordToneWeight: 'chord-tone-weight',
+    filterCutoff: 'filter-cutoff',
+    morph: 'morph',
+    brightness: 'audio-brightness',
+    decay: 'decay',
+    hold: 'hold',
+    stealPolicy: 'steal-policy',
+    distanceFade: 'distance-fade',
+    spatial: 'spatial',
+    airAbsorption: 'air-absorption',
+    graceNotes: 'grace-notes',
+    noteBudget: 'note-budget',
+    mergeWindow: 'merge-window',
+    mergeChordSize: 'merge-chord-size',
+    densitySoftening: 'density-softening',
+    reverb: 'reverb',
+    reverbRoom: 'reverb-room',
+    delay: 'delay',
+    delayTime: 'delay-time',
+    delayFeedback: 'delay-feedback',
+    attack: 'attack'
+  },
+  tempo: {
+    bpm: 'tempo',
+    swing: 'swing',
+    timeSignature: 'time-signature',
+    quantize: 'note-quantize',
+    quantizeMode: 'quantize-mode',
+    repeatChance: 'sequencer-probability',
+    repeats: 'sequencer-passes',
+    rainLock: 'rain-lock'
+  }
+};
+
+// Controls holding 0xRRGGBB colors (interpolated per channel when morphing)
+export const COLOR_CONTROLS = ['fog-color', 'sky-color', 'sun-color'];
+
+// Controls with no in-between values (switched, not interpolated, when morphing)
+export const DISCRETE_CONTROLS = ['weather', 'instrument', 'scale', 'mapping', 'tuning', 'root-note', 'chord', 'chord-style', 'voice-leading', 'progression', 'time-signature', 'note-quantize', 'quantize-mode', 'rain-lock', 'steal-policy', 'spatial', 'grace-notes', 'merge-chord-size', 'floor-style'];
+
+const URL_FRAGMENT_KEY = 'preset';
+
+// Shipped presets (partial: anything not listed keeps its current value)
+export const BUILTIN_PRESETS = [
+  {
+    version: PRESET_VERSION,
+    name: 'Night Drizzle',
+    simulation: { spawnRate: 1, dropSpeed: 10, windSpeed: 0 },
+    visuals: {
+      caustics: 0.3, floorStyle: 2, floorDepth: 3,
+      fogColor: 0x1c2238, fogDensity: 0.05, skyColor: 0x2a3350,
+      sunColor: 0x8899cc, sunElevation: 40, sunAzimuth: -120
+    },
+    audio: { scale: 3, filterCutoff: 1200, morph: 0.1, brightness: 0.3, decay: 5, reverb: 0.7, reverbRoom: 0.9, delay: 0.35, attack: 0.08 }
+  },
+  {
+    version: PRESET_VERSION,
+    name: 'Summer Shower',
+    simulation: { spawnRate: 8, dropSpeed: 20, windSpeed: 1.2, windDirection: 45 },
+    visuals: {
+      caustics: 0.8, floorStyle: 0, floorDepth: 1.5,
+      fogColor: 0x8fa8b8, fogDensity: 0.02, skyColor: 0xa8c4d8,
+      sunColor: 0xfff2dd, sunElevation: 60, sunAzimuth: 30
+    },
+    audio: { scale: 0, filterCutoff: 3000, morph: 0.3, brightness: 0.6, decay: 2, reverb: 0.35, delay: 0.15, attack: 0.02 }
+  },
+  {
+    version: PRESET_VERSION,
+    name: 'Glass Storm',
+    simulation: { spawnRate: 18, dropSpeed: 35, windSpeed: 4.5, windDirection: 120 },
+    visuals: {
+      caustics: 1, floorStyle: 1, floorDepth: 2,
+      fogColor: 0x3a4048, fogDensity: 0.06, skyColor: 0x4a5058,
+      sunColor: 0xc8d0e0, sunElevation: 15, sunAzimuth: 90
+    },
+    audio: { scale: 4, filterCutoff: 6000, morph: 0.7, brightness: 0.9, decay: 1.2, hold: 0.08, stealPolicy: 1, reverb: 0.5, delay: 0.4, attack: 0.005 }
+  }
+];
+
+/**
+ * Build a preset from flat control values.
+ * @param {string} name
+ * @param {Object<string, number>} settings - Control id -> value
+ * @param {Object} [extras]
+ * @param {Object<string, number>} [extras.instrumentValues] - Instrument-specific FAUST controls
+ * @param {Object} [extras.tuning] - Tuning.getParams() (custom scale and keyboard mapping)
+ * @param {{position: number[], target: number[]}} [extras.camera]
+ * @returns {Object} Preset
+ */
+export function createPreset(name, settings, extras = {}) {
+  const preset = { version: PRESET_VERSION, name };
+
+  for (const section in SCENE_SCHEMA) {
+    preset[section] = {};
+    for (const [field, id] of Object.entries(SCENE_SCHEMA[section])) {
+      if (settings[id] !== undefined) {
+        preset[section][field] = settings[id];
+      }
+    }
+  }
+
+  if (extras.instrumentValues && Object.keys(extras.instrumentValues).length > 0) {
+    preset.audio.instrumentValues = { ...extras.instrumentValues };
+  }
+  if (extras.tuning) {
+    preset.audio.tuningParams = JSON.parse(JSON.stringify(extras.tuning));  // A copy, the preset must not follow later edits
+  }
+  if (extras.camera) {
+    preset.camera = {
+      position: [...extras.camera.position],
+      target: [...extras.camera.target]
+    };
+  }
+  return preset;
+}
+
+/**
+ * Flatten a preset back to control values.
+ * @param {Object} preset
+ * @returns {Object<string, number>} Control id -> value
+ */
+export function getPresetSettings(preset) {
+  const settings = {};
+  for (const section in SCENE_SCHEMA) {
+    const values = preset[section] || {};
+    for (const [field, id] of Object.entries(SCENE_SCHEMA[section])) {
+      if (typeof values[field] === 'number') {
+        settings[id] = values[field];
+      }
+    }
+  }
+  return settings;
+}
+
+/**
+ * Validate preset data (from storage, a file or a link).
+ * @param {Object} data
+ * @returns {Object} The preset
+ */
+export function validatePreset(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Preset is not an object');
+  }
+  if (data.version !== PRESET_VERSION) {
+    throw new Error(`Unsupported preset version: ${data.version}`);
+  }
+  if (typeof data.name !== 'string' || data.name.length === 0) {
+    throw new Error('Preset is missing a name');
+  }
+  for (const section in SCENE_SCHEMA) {
+    if (data[section] !== undefined && typeof data[section] !== 'object') {
+      throw new Error(`Preset section "${section}" is not an object`);
+    }
+  }
+  if (data.camera && !(Array.isArray(data.camera.position) && Array.isArray(data.camera.target))) {
+    throw new Error('Preset camera needs position and target arrays');
+  }
+  return data;
+}
+
+/**
+ * Serialize a preset for download or storage.
+ * @param {Object} preset
+ * @returns {string} JSON text
+ */
+export function serializePreset(preset) {
+  return JSON.stringify(preset, null, 2);
+}
+
+/**
+ * Parse and validate a preset exported with serializePreset().
+ * @param {string} text - JSON text
+ * @returns {Object} Preset
+ */
+export function parsePreset(text) {
+  return validatePreset(JSON.parse(text));
+}
+
+/**
+ * Encode a preset as a URL fragment ("preset=<base64url JSON>").
+ * @param {Object} preset
+ * @returns {string} Fragment without the leading '#'
+ */
+export function encodePresetFragment(preset) {
+  const bytes = new TextEncoder().encode(JSON.stringify(preset));
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `${URL_FRAGMENT_KEY}=${base64}`;
+}
+
+/**
+ * Decode a preset from a URL fragment written by encodePresetFragment().
+ * @param {string} hash - location.hash (with or without '#')
+ * @returns {Object|null} Preset, or null if the fragment holds none
+ */
+export function decodePresetFragment(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const encoded = params.get(URL_FRAGMENT_KEY);
+  if (!encoded) return null;
+
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+  return parsePreset(new TextDecoder().decode(bytes));
+}
+
+/**
+ * Trigger a browser download of a preset as a .json file.
+ * @param {Object} preset
+ * @param {string} [filename]
+ */
+export function downloadPreset(preset, filename = `${preset.name.replace(/[^\w-]+/g, '-')}.preset.json`) {
+  const blob = new Blob([serializePreset(preset)], { type: 'application/json' });
+  downloadBlob(blob, filename);
+}
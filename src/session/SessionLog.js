@@ -0,0 +1,168 @@
+/**
+ * Session log format shared by SessionRecorder and SessionPlayer.
+ *
+ * A session is the seed plus everything that happened on top of it,
+ * keyed by fixed simulation step:
+ *
+ *   {
+ *     version: 1,
+ *     seed, timeStep, steps,
+ *     settings: { [sliderId]: value },        // slider values at step 0
+ *     audio: { ... },                          // AudioSystem.getParams() at step 0
+ *     camera: { position: [x,y,z], target: [x,y,z] },
+ *     events: [
+ *       { step, type: 'impact', x, y, z, strength, diameter, secondary? },
+ *       { step, type: 'note', time, midiNote, gain, pan, octaveOffset, bend? },
+ *       { step, type: 'param', id, value, audio? },  // audio: AudioSystem params it changed
+ *       { step, type: 'drop', x, z, height, speed },
+ *       { step, type: 'phase', quarters, quantum },  // TempoClock.syncPhase()
+ *       { step, type: 'camera', position, target }
+ *     ]
+ *   }
+ *
+ * Impact diameters are in mm; `secondary` marks a splash droplet that
+ * played a grace note. Note times are in ms of simulation time (chord
+ * notes and quantized notes sound after their step); `bend` is the
+ * microtonal offset from midiNote in semitones. The audio parameters let a log be rendered offline
+ * with the synth settings it was recorded with.
+ *
+ * Impacts and notes are not needed to reproduce the run (they follow from
+ * the seed) but are kept so a log can be inspected, rendered or exported.
+ */
+
+import { downloadBlob } from '../core/Download.js';
+
+export const SESSION_VERSION = 1;
+
+/**
+ * Round a number for compact JSON.
+ * @param {number} value
+ * @returns {number}
+ */
+export function roundValue(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Serialize a session for download or sharing.
+ * @param {Object} session
+ * @returns {string} JSON text
+ */
+export function serializeSession(session) {
+  return JSON.stringify(session);
+}
+
+/**
+ * Parse and validate a session exported with serializeSession().
+ * @param {string} text - JSON text
+ * @returns {Object} Session
+ */
+export function parseSession(text) {
+  const session = JSON.parse(text);
+
+  if (!session || session.version !== SESSION_VERSION) {
+    throw new Error(`Unsupported session version: ${session && session.version}`);
+  }
+  if (typeof session.seed !== 'number' || typeof session.timeStep !== 'number') {
+    throw new Error('Session is missing seed or timeStep');
+  }
+  if (!Array.isArray(session.events)) {
+    throw new Error('Session is missing events');
+  }
+
+  session.settings = session.settings || {};
+  session.steps = session.steps || 0;
+  return session;
+}
+
+/**
+ * Extract the recorded impacts with their times in seconds.
+ * @param {Object} session
+ * @returns {Array<{x: number, y: number, z: number, strength: number, diameter: number, secondary: boolean, time: number}>}
+ */
+export function getSessionImpacts(session) {
+  const impacts = [];
+  for (const event of session.events) {
+    if (event.type !== 'impact') continue;
+    impacts.push({
+      x: event.x,
+      y: event.y || 0,
+      z: event.z,
+      strength: event.strength,
+      diameter: event.diameter,
+      secondary: event.secondary === true,
+      time: event.step * session.timeStep
+    });
+  }
+  return impacts;
+}
+
+/**
+ * Extract the recorded synth parameter changes and beat phase alignments
+ * with their times in seconds. A change takes effect after the impacts of
+ * its step.
+ * @param {Object} session
+ * @returns {Array<{time: number, params?: Object, phase?: {quarters: number, quantum: number}}>}
+ *   AudioSystem.setParams() input or TempoClock.syncPhase() arguments
+ */
+export function getSessionAudioChanges(session) {
+  const changes = [];
+  for (const event of session.events) {
+    const time = event.step * session.timeStep;
+    if (event.type === 'param' && event.audio) {
+      changes.push({ params: event.audio, time });
+    } else if (event.type === 'phase') {
+      changes.push({ phase: { quarters: event.quarters, quantum: event.quantum }, time });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Extract the recorded notes with their times in ms (the time of their step
+ * in logs that don't record note times).
+ * @param {Object} session
+ * @returns {Array<{midiNote: number, gain: number, pan: number, octaveOffset: number, bend: number, time: number}>}
+ */
+export function getSessionNotes(session) {
+  const notes = [];
+  for (const event of session.events) {
+    if (event.type !== 'note') continue;
+    notes.push({
+      midiNote: event.midiNote,
+      gain: event.gain,
+      pan: event.pan,
+      octaveOffset: event.octaveOffset,
+      bend: event.bend || 0,
+      time: event.time !== undefined ? event.time : event.step * session.timeStep * 1000
+    });
+  }
+  return notes;
+}
+
+/**
+ * Extract the tempo at step 0 and the recorded tempo changes.
+ * @param {Object} session
+ * @returns {Array<{time: number, bpm: number}>} Times in ms (empty if the log has no tempo)
+ */
+export function getSessionTempoMap(session) {
+  const tempoMap = [];
+  if (session.settings.tempo !== undefined) {
+    tempoMap.push({ time: 0, bpm: session.settings.tempo });
+  }
+  for (const event of session.events) {
+    if (event.type !== 'param' || event.id !== 'tempo') continue;
+    tempoMap.push({ time: event.step * session.timeStep * 1000, bpm: event.value });
+  }
+  return tempoMap;
+}
+
+/**
+ * Trigger a browser download of a session as a .json file.
+ * @param {Object} session
+ * @param {string} [filename]
+ */
+export function downloadSession(session, filename = `raindrop-session-${session.seed}.json`) {
+  const blob = new Blob([serializeSession(session)], { type: 'application/json' });
+  downloadBlob(blob, filename);
+}
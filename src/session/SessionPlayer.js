@@ -0,0 +1,201 @@
+/**
+ * Replays a recorded session through the SimulationDriver.
+ *
+ * Playback re-runs the simulation from the session seed and re-applies the
+ * recorded parameter changes, camera moves, manual drops and beat phase
+ * alignments at the steps they happened, so the
+ * raindrops, ripples and notes come out identical to the original run.
+ * Seeking rewinds and fast-forwards with audio output suspended.
+ */
+export class SessionPlayer {
+  /**
+   * @param {import('../core/SimulationDriver.js').SimulationDriver} driver
+   * @param {Object} handlers
+   * @param {(id: string, value: number) => void} handlers.applySetting - Apply a recorded slider value
+   * @param {(camera: {position: number[], target: number[]}) => void} [handlers.applyCamera]
+   * @param {(drop: {x: number, z: number, height: number, speed: number}) => void} [handlers.applyDrop]
+   * @param {(tuning: Object) => void} [handlers.applyTuning] - Apply recorded Tuning.getParams()
+   *   (the custom scale and keyboard mapping the tuning slider doesn't hold)
+   * @param {() => void} [handlers.onEnd] - Called when playback reaches the end
+   */
+  constructor(driver, handlers) {
+    this.driver = driver;
+    this.applySetting = handlers.applySetting;
+    this.applyCamera = handlers.applyCamera || null;
+    this.applyDrop = handlers.applyDrop || null;
+    this.applyTuning = handlers.applyTuning || null;
+    this.onEnd = handlers.onEnd || null;
+
+    this.session = null;
+    this.isActive = false;   // Owns the simulation (live stepping is off)
+    this.isPlaying = false;  // Active and not paused
+    this.speed = 1;
+
+    this.eventIndex = 0;
+    this.accumulator = 0;
+    this.results = [];       // Reused by advance()
+  }
+
+  /**
+   * Load a session and rewind to its start (paused).
+   * @param {Object} session - Parsed session log
+   */
+  load(session) {
+    this.session = session;
+    this.isActive = true;
+    this.isPlaying = false;
+    this.rewind();
+  }
+
+  play() {
+    if (!this.session) return;
+    if (this.driver.stepCount >= this.session.steps) {
+      this.rewind();
+    }
+    this.isActive = true;
+    this.isPlaying = true;
+  }
+
+  pause() {
+    this.isPlaying = false;
+  }
+
+  /**
+   * Stop playback and hand the simulation back to live mode.
+   */
+  stop() {
+    this.isPlaying = false;
+    this.isActive = false;
+  }
+
+  /**
+   * Set playback speed multiplier.
+   * @param {number} speed - e.g. 0.25 to 4
+   */
+  setSpeed(speed) {
+    this.speed = Math.max(0.05, speed);
+  }
+
+  /**
+   * Session length in seconds.
+   * @returns {number}
+   */
+  get duration() {
+    return this.session ? this.session.steps * this.session.timeStep : 0;
+  }
+
+  /**
+   * Playback position in seconds.
+   * @returns {number}
+   */
+  get currentTime() {
+    return this.driver.stepCount * this.driver.timeStep;
+  }
+
+  /**
+   * Restart the simulation from the session seed and initial state.
+   */
+  rewind() {
+    const session = this.session;
+
+    this.driver.timeStep = session.timeStep;
+    this.driver.reset(session.seed);
+    this.eventIndex = 0;
+    this.accumulator = 0;
+
+    if (session.audio?.tuning && this.applyTuning) {
+      this.applyTuning(session.audio.tuning);
+    }
+    for (const id in session.settings) {
+      this.applySetting(id, session.settings[id]);
+    }
+    if (session.camera && this.applyCamera) {
+      this.applyCamera(session.camera);
+    }
+  }
+
+  /**
+   * Jump to a time by rewinding and fast-forwarding silently.
+   * @param {number} seconds - Target time
+   */
+  seek(seconds) {
+    if (!this.session) return;
+
+    const target = Math.max(0, Math.min(this.session.steps, Math.round(seconds / this.session.timeStep)));
+    if (target < this.driver.stepCount) {
+      this.rewind();
+    }
+
+    const audioSystem = this.driver.audioSystem;
+    const wasSuspended = audioSystem ? audioSystem.outputSuspended : false;
+    if (audioSystem) audioSystem.outputSuspended = true;
+
+    while (this.driver.stepCount < target) {
+      this.stepOnce();
+    }
+
+    if (audioSystem) audioSystem.outputSuspended = wasSuspended;
+    this.accumulator = 0;
+  }
+
+  /**
+   * Consume a frame delta while playing.
+   * @param {number} delta - Frame delta in seconds
+   * @returns {Array<Object>} Per-step results from SimulationDriver.step() (reused, valid
+   *   until the next call)
+   */
+  advance(delta) {
+    const results = this.results;
+    results.length = 0;
+    if (!this.isPlaying) return results;
+
+    const timeStep = this.driver.timeStep;
+    const maxSteps = this.driver.maxSubSteps * Math.ceil(this.speed);
+    this.accumulator += delta * this.speed;
+
+    while (this.accumulator >= timeStep && results.length < maxSteps) {
+      if (this.driver.stepCount >= this.session.steps) {
+        this.isPlaying = false;
+        this.accumulator = 0;
+        if (this.onEnd) this.onEnd();
+        break;
+      }
+      this.accumulator -= timeStep;
+      results.push(this.stepOnce(results.length));
+    }
+
+    if (this.accumulator >= timeStep) {
+      this.accumulator = 0;
+    }
+
+    return results;
+  }
+
+  /**
+   * Apply events due before the next step, then run it.
+   * @param {number} [slot] - Driver result slot (see SimulationDriver.step())
+   * @returns {Object} Step result
+   */
+  stepOnce(slot = 0) {
+    const events = this.session.events;
+    const step = this.driver.stepCount;
+
+    while (this.eventIndex < events.length && events[this.eventIndex].step <= step) {
+      const event = events[this.eventIndex++];
+      if (event.type === 'param') {
+        if (event.audio?.tuning && this.applyTuning) {
+          this.applyTuning(event.audio.tuning);
+        }
+        this.applySetting(event.id, event.value);
+      } else if (event.type === 'camera' && this.applyCamera) {
+        this.applyCamera(event);
+      } else if (event.type === 'drop' && this.applyDrop) {
+        this.applyDrop(event);
+      } else if (event.type === 'phase') {
+        this.driver.clock.syncPhase(event.quarters, event.quantum);
+      }
+    }
+
+    return this.driver.step(slot);
+  }
+}
@@ -0,0 +1,220 @@
+import { SESSION_VERSION, roundValue } from './SessionLog.js';
+
+/**
+ * Records a session as a step-indexed event log.
+ *
+ * Starting a recording rewinds the SimulationDriver to step 0, so the log
+ * together with its seed is enough to reproduce the run exactly. Notes are
+ * mapped while recording even with the synth, MIDI and OSC outputs off.
+ */
+export class SessionRecorder {
+  /**
+   * @param {import('../core/SimulationDriver.js').SimulationDriver} driver
+   * @param {Object} [options]
+   * @param {number} [options.cameraInterval] - Minimum steps between camera samples
+   */
+  constructor(driver, options = {}) {
+    this.driver = driver;
+    this.cameraInterval = options.cameraInterval || 3;
+
+    this.isRecording = false;
+    this.session = null;
+    this.lastCameraStep = -Infinity;
+    this.lastCameraKey = '';
+    this.audioKeys = {};         // AudioSystem param -> JSON of its last recorded value
+  }
+
+  /**
+   * Rewind the simulation and start a new log.
+   * @param {Object} settings - Current slider values by id
+   * @param {{position: THREE.Vector3, target: THREE.Vector3}} [camera]
+   */
+  start(settings, camera = null) {
+    this.driver.reset();
+    this.audioKeys = {};
+
+    this.session = {
+      version: SESSION_VERSION,
+      seed: this.driver.random ? this.driver.random.seed : 0,
+      timeStep: this.driver.timeStep,
+      steps: 0,
+      settings: { ...settings },
+      audio: this.takeAudioChanges(),
+      camera: camera ? this.snapshotCamera(camera.position, camera.target) : null,
+      events: []
+    };
+    this.lastCameraStep = -Infinity;
+    this.lastCameraKey = '';
+    this.isRecording = true;
+    if (this.driver.audioSystem) this.driver.audioSystem.capturingNotes = true;
+  }
+
+  /**
+   * Stop recording.
+   * @returns {Object|null} The finished session
+   */
+  stop() {
+    this.isRecording = false;
+    if (this.driver.audioSystem) this.driver.audioSystem.capturingNotes = false;
+    return this.session;
+  }
+
+  /**
+   * Record the impacts and notes of a completed simulation step.
+   * @param {{step: number, impacts: Array<Object>, notes: Array<Object>}} result - From SimulationDriver.step()
+   */
+  recordStep(result) {
+    if (!this.isRecording) return;
+
+    for (const impact of result.impacts) {
+      this.session.events.push({
+        step: result.step,
+        type: 'impact',
+        x: roundValue(impact.x),
+        y: roundValue(impact.y),
+        z: roundValue(impact.z),
+        strength: roundValue(impact.strength),
+        diameter: roundValue(impact.diameter)
+      });
+    }
+    // Splash landings are only logged when they played grace notes
+    if (result.graceImpacts) {
+      for (const impact of result.graceImpacts) {
+        this.session.events.push({
+          step: result.step,
+          type: 'impact',
+          x: roundValue(impact.x),
+          y: roundValue(impact.y),
+          z: roundValue(impact.z),
+          strength: roundValue(impact.strength),
+          diameter: roundValue(impact.diameter),
+          secondary: true
+        });
+      }
+    }
+    for (const note of result.notes) {
+      const event = {
+        step: result.step,
+        type: 'note',
+        time: roundValue(note.time),
+        midiNote: note.midiNote,
+        gain: roundValue(note.gain),
+        pan: roundValue(note.pan),
+        octaveOffset: note.octaveOffset
+      };
+      if (note.bend) event.bend = roundValue(note.bend);
+      this.session.events.push(event);
+    }
+    this.session.steps = result.step;
+  }
+
+  /**
+   * Record a parameter (slider) change. It takes effect before the next step.
+   * Call after the change was applied, so the synth parameters it moved
+   * are logged with it.
+   * @param {string} id - Slider element id
+   * @param {number} value
+   */
+  recordParam(id, value) {
+    if (!this.isRecording) return;
+
+    const event = {
+      step: this.driver.stepCount,
+      type: 'param',
+      id,
+      value
+    };
+    const audio = this.takeAudioChanges();
+    if (audio) event.audio = audio;
+    this.session.events.push(event);
+  }
+
+  /**
+   * AudioSystem parameters that changed since the last call (all of them
+   * on the first call of a recording).
+   * @returns {Object|null} Changed getParams() keys, null if none
+   */
+  takeAudioChanges() {
+    const audioSystem = this.driver.audioSystem;
+    if (!audioSystem) return null;
+
+    let changes = null;
+    for (const [key, value] of Object.entries(audioSystem.getParams())) {
+      const json = JSON.stringify(value);
+      if (json === this.audioKeys[key]) continue;
+      this.audioKeys[key] = json;
+      if (!changes) changes = {};
+      changes[key] = JSON.parse(json);  // A copy, the log must not follow later edits
+    }
+    return changes;
+  }
+
+  /**
+   * Record a manually spawned drop (e.g. from MIDI input).
+   * @param {number} x - World X position
+   * @param {number} z - World Z position
+   * @param {number} height - Starting height
+   * @param {number} speed - Initial downward speed
+   */
+  recordDrop(x, z, height, speed) {
+    if (!this.isRecording) return;
+
+    this.session.events.push({
+      step: this.driver.stepCount,
+      type: 'drop',
+      x: roundValue(x),
+      z: roundValue(z),
+      height: roundValue(height),
+      speed: roundValue(speed)
+    });
+  }
+
+  /**
+   * Record a beat phase alignment (e.g. OSC /rain/phase), applied to the
+   * clock before the next step like a param change.
+   * @param {number} quarters - Quarter notes into the cycle
+   * @param {number} quantum - Cycle length in quarter notes
+   */
+  recordPhase(quarters, quantum) {
+    if (!this.isRecording) return;
+
+    // Not rounded: the clock shift has to come out exactly as it did live
+    this.session.events.push({
+      step: this.driver.stepCount,
+      type: 'phase',
+      quarters,
+      quantum
+    });
+  }
+
+  /**
+   * Sample the camera state if it moved since the last sample.
+   * @param {THREE.Vector3} position - Camera position
+   * @param {THREE.Vector3} target - OrbitControls target
+   */
+  recordCamera(position, target) {
+    if (!this.isRecording) return;
+
+    const step = this.driver.stepCount;
+    if (step - this.lastCameraStep < this.cameraInterval) return;
+
+    const snapshot = this.snapshotCamera(position, target);
+    const key = snapshot.position.join() + '|' + snapshot.target.join();
+    if (key === this.lastCameraKey) return;
+
+    this.session.events.push({ step, type: 'camera', ...snapshot });
+    this.lastCameraStep = step;
+    this.lastCameraKey = key;
+  }
+
+  /**
+   * Convert camera vectors to a compact array form.
+   * @returns {{position: number[], target: number[]}}
+   */
+  snapshotCamera(position, target) {
+    return {
+      position: [roundValue(position.x), roundValue(position.y), roundValue(position.z)],
+      target: [roundValue(target.x), roundValue(target.y), roundValue(target.z)]
+    };
+  }
+}
@@ -16,6 +16,12 @@ export class GPURippleSimulation {
     // Pending impacts to inject
     this.pendingImpacts = [];
 
+    // CPU copy of the heights (R channel), refreshed by async readback so
+    // raindrops can collide with the surface. At most one copy in flight.
+    this.readbackHeights = null;
+    this.readbackPending = false;
+    this.readbackEnabled = true;
+
     // Track which texture is current (for ping-pong)
     this.pingPong = 0;
 
@@ -104,8 +110,8 @@ export class GPURippleSimulation {
     };
 
     // Impact injection compute function
-    this.impactFn = (tex, impactX, impactY, impactStrength) => {
-      return Fn(({ target, cx, cy, strength }) => {
+    this.impactFn = (tex, impactX, impactY, impactStrength, impactRadius) => {
+      return Fn(({ target, cx, cy, strength, radius }) => {
         const idx = instanceIndex;
         const x = int(idx.mod(uint(res)));
         const y = int(idx.div(uint(res)));
@@ -115,9 +121,6 @@ export class GPURippleSimulation {
         const dy = float(y).sub(cy);
         const dist = dx.mul(dx).add(dy.mul(dy)).sqrt();
 
-        // Radius of impact
-        const radius = float(3.0);
-
         // Only affect pixels within radius
         If(dist.lessThan(radius), () => {
           const current = storageTexture(target, uvec2(uint(x), uint(y))).toReadOnly();
@@ -132,7 +135,7 @@ export class GPURippleSimulation {
           textureStore(target, uvec2(uint(x), uint(y)), vec4(newHeight, current.g, current.b, current.a));
         });
 
-      })({ target: tex, cx: float(impactX), cy: float(impactY), strength: float(impactStrength) }).compute(res * res);
+      })({ target: tex, cx: float(impactX), cy: float(impactY), strength: float(impactStrength), radius: float(impactRadius) }).compute(res * res);
     };
 
     // Build the simulation compute nodes for both directions
@@ -145,8 +148,9 @@ export class GPURippleSimulation {
    * @param {number} x - World X coordinate
    * @param {number} z - World Z coordinate
    * @param {number} strength - Impact strength (0-1)
+   * @param {number} [radius] - Impulse radius in cells
    */
-  addRipple(x, z, strength = 0.5) {
+  addRipple(x, z, strength = 0.5, radius = 3) {
     const lakeSize = 20;
     const u = (x / lakeSize) + 0.5;
     const v = (z / lakeSize) + 0.5;
@@ -155,7 +159,8 @@ export class GPURippleSimulation {
       this.pendingImpacts.push({
         x: u * this.resolution,
         y: v * this.resolution,
-        strength: strength
+        strength: strength,
+        radius
       });
     }
   }
@@ -169,7 +174,7 @@ export class GPURippleSimulation {
     const currentTexture = this.pingPong === 0 ? this.textureA : this.textureB;
 
     for (const impact of this.pendingImpacts) {
-      const impactNode = this.impactFn(currentTexture, impact.x, impact.y, impact.strength);
+      const impactNode = this.impactFn(currentTexture, impact.x, impact.y, impact.strength, impact.radius);
       renderer.compute(impactNode);
     }
     this.pendingImpacts = [];
@@ -187,6 +192,37 @@ export class GPURippleSimulation {
       this._lastComputedTexture = this.textureA;
       this.pingPong = 0;
     }
+
+    this.requestReadback(renderer);
+  }
+
+  /**
+   * Start copying the latest heights back to the CPU (if no copy is pending).
+   * @param {THREE.WebGPURenderer} renderer
+   */
+  requestReadback(renderer) {
+    const backend = renderer && renderer.backend;
+    if (!this.readbackEnabled || this.readbackPending || !backend || !backend.copyTextureToBuffer) return;
+
+    const res = this.resolution;
+    this.readbackPending = true;
+    backend.copyTextureToBuffer(this._lastComputedTexture, 0, 0, res, res)
+      .then((data) => {
+        if (!this.readbackHeights) {
+          this.readbackHeights = new Float32Array(res * res);
+        }
+        // Keep the R (height) channel
+        for (let i = 0; i < res * res; i++) {
+          this.readbackHeights[i] = data[i * 4];
+        }
+      })
+      .catch((e) => {
+        console.warn('Ripple height readback failed, collisions use the flat plane:', e);
+        this.readbackEnabled = false;
+      })
+      .finally(() => {
+        this.readbackPending = false;
+      });
   }
 
   /**
@@ -209,12 +245,12 @@ export class GPURippleSimulation {
   }
 
   /**
-   * Get current height data for CPU access (e.g., for vertex deformation)
-   * Note: This requires GPU readback which is slow - use sparingly
-   * @returns {Float32Array}
+   * Get the most recent height readback for CPU access (collisions).
+   * Lags the GPU by the readback latency; the mesh itself is displaced
+   * in the shader.
+   * @returns {Float32Array|null} Heights, or null before the first readback
    */
   getHeightData() {
-    // For now, return empty - we'll update the mesh via shader instead
-    return new Float32Array(this.resolution * this.resolution);
+    return this.readbackHeights;
   }
 }
@@ -50,6 +50,7 @@ export class LakeSurface {
       this.material = new TSLWaterMaterial();
       // Connect height texture from simulation
       if (this.rippleSimulation) {
+        this.material.setHeightScale(this.rippleSimulation.displayScale);
         const heightTex = this.rippleSimulation.getHeightTexture();
         if (heightTex) {
           this.material.setHeightTexture(heightTex);
@@ -110,8 +111,9 @@ export class LakeSurface {
     }
 
     // CPU mode: manually update vertex positions
-    const heightData = this.rippleSimulation.heightCurrent;
+    const heightData = this.rippleSimulation.getHeightData();
     const res = this.rippleSimulation.resolution;
+    const displayScale = this.rippleSimulation.displayScale;
     const positions = this.geometry.attributes.position.array;
     const normals = this.geometry.attributes.normal.array;
 
@@ -131,7 +133,7 @@ export class LakeSurface {
         const height = heightData[heightIndex] || 0;
 
         // Update Z position (which is Y in world space after rotation)
-        positions[vertexIndex * 3 + 2] = height * 0.5;
+        positions[vertexIndex * 3 + 2] = height * displayScale;
 
         // Calculate normal from neighboring heights
         const hL = heightData[hy * res + Math.max(0, hx - 1)] || 0;
@@ -1,8 +1,15 @@
-import * as THREE from 'three/webgpu';
-import { GPURippleSimulation } from './GPURippleSimulation.js';
+import { WindWaves } from './WindWaves.js';
+import { NOMINAL_DIAMETER } from '../particles/DropPhysics.js';
 
 export class RippleSimulation {
-  constructor(renderer, resolution = 256, preferGPU = true) {
+  /**
+   * @param {THREE.WebGPURenderer|null} renderer
+   * @param {number} [resolution] - Height field resolution
+   * @param {boolean} [preferGPU] - Use the compute shader simulation when supported
+   * @param {Object} [options]
+   * @param {boolean} [options.headless] - Skip the height texture (simulation only, no renderer)
+   */
+  constructor(renderer, resolution = 256, preferGPU = true, options = {}) {
     this.renderer = renderer;
     this.resolution = resolution;
     this.waveSpeed = 0.3;
@@ -11,6 +18,8 @@ export class RippleSimulation {
     this.preferGPU = preferGPU;
     this.useGPU = false;
     this.gpuSimulation = null;
+    this.heightTexture = null;
+    this.headless = options.headless || false;
 
     // Edge fade configuration - ripples fade out instead of bouncing
     this.edgeFadeWidth = 25;      // Pixels from edge where fade begins
@@ -20,14 +29,24 @@ export class RippleSimulation {
     this.heightCurrent = new Float32Array(resolution * resolution);
     this.heightPrevious = new Float32Array(resolution * resolution);
     this.heightNext = new Float32Array(resolution * resolution);
+
+    // Wind waves layered over the ripples (CPU mode). The wave equation only
+    // sees the ripples; the displayed surface is ripples + waves.
+    this.windWaves = new WindWaves({ lakeSize: 20 });
+    this.surfaceHeight = new Float32Array(resolution * resolution);
+    this.surface = this.heightCurrent;
+
+    // World-space height per height field unit, as drawn by LakeSurface
+    this.lakeSize = 20;
+    this.displayScale = 0.5;
   }
 
   /**
    * Check if WebGPU compute shaders are supported
    */
   async checkGPUSupport() {
-    if (!navigator.gpu) return false;
-    if (!this.renderer.isWebGPURenderer) return false;
+    if (typeof navigator === 'undefined' || !navigator.gpu) return false;
+    if (!this.renderer || !this.renderer.isWebGPURenderer) return false;
 
     try {
       const adapter = await navigator.gpu.requestAdapter();
@@ -44,6 +63,7 @@ export class RippleSimulation {
       const gpuSupported = await this.checkGPUSupport();
       if (gpuSupported) {
         try {
+          const { GPURippleSimulation } = await import('./GPURippleSimulation.js');
           this.gpuSimulation = new GPURippleSimulation(this.renderer, this.resolution);
           this.useGPU = true;
           console.log('Using GPU-accelerated ripple simulation');
@@ -67,9 +87,11 @@ export class RippleSimulation {
     if (!this.useGPU) {
       console.log('Using CPU-based ripple simulation');
     }
-    const res = this.resolution;
+    if (this.headless) return;
 
-    // Create data texture for height field
+    // Create data texture for height field (three is only loaded when there is something to draw)
+    const THREE = await import('three/webgpu');
+    const res = this.resolution;
     this.heightTexture = new THREE.DataTexture(
       new Float32Array(res * res * 4),
       res,
@@ -84,6 +106,22 @@ export class RippleSimulation {
     this.heightTexture.needsUpdate = true;
   }
 
+  /**
+   * Flatten the water and discard pending ripples.
+   * Only the CPU height field can be cleared; GPU mode just drops pending impacts.
+   */
+  reset() {
+    this.ripples = [];
+    this.heightCurrent.fill(0);
+    this.heightPrevious.fill(0);
+    this.heightNext.fill(0);
+    this.windWaves.reset();
+    this.surface = this.heightCurrent;
+    if (this.gpuSimulation) {
+      this.gpuSimulation.pendingImpacts = [];
+    }
+  }
+
   /**
    * Calculate distance from nearest edge, normalized 0-1.
    * 0 = at edge, 1 = inside safe zone (no extra damping)
@@ -96,10 +134,29 @@ export class RippleSimulation {
     return t * t * (3 - 2 * t);
   }
 
-  addRipple(x, z, strength = 0.5) {
+  /**
+   * Radius of the initial impulse for a drop: bigger drops open a wider
+   * crater (about 3 cells for a nominal drop).
+   * @param {number} diameter - Drop diameter (mm)
+   * @returns {number} Radius in height field cells
+   */
+  getImpactRadius(diameter) {
+    return Math.max(2, Math.min(7, 3 * Math.sqrt(diameter / NOMINAL_DIAMETER)));
+  }
+
+  /**
+   * Queue an impact at a world position.
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {number} [strength] - Impulse amplitude (impact strength)
+   * @param {number} [diameter] - Drop diameter in mm (sets the radius)
+   */
+  addRipple(x, z, strength = 0.5, diameter = NOMINAL_DIAMETER) {
+    const radius = this.getImpactRadius(diameter);
+
     // Delegate to GPU simulation if available
     if (this.useGPU && this.gpuSimulation) {
-      this.gpuSimulation.addRipple(x, z, strength);
+      this.gpuSimulation.addRipple(x, z, strength, radius);
       return;
     }
 
@@ -109,11 +166,23 @@ export class RippleSimulation {
     const v = (z / lakeSize) + 0.5;
 
     if (u >= 0 && u <= 1 && v >= 0 && v <= 1) {
-      this.ripples.push({ u, v, strength });
+      this.ripples.push({ u, v, strength, radius });
     }
   }
 
-  update(renderer) {
+  /**
+   * Set the wind that drives the background waves.
+   * @param {{x: number, z: number}} wind - m/s
+   */
+  setWind(wind) {
+    this.windWaves.setWind(wind.x, wind.z);
+  }
+
+  /**
+   * @param {THREE.WebGPURenderer} renderer
+   * @param {number} [delta] - Step length in seconds (advances the wind waves)
+   */
+  update(renderer, delta = 1 / 60) {
     // Delegate to GPU simulation if available
     if (this.useGPU && this.gpuSimulation) {
       this.gpuSimulation.update(renderer);
@@ -127,10 +196,11 @@ export class RippleSimulation {
     for (const ripple of this.ripples) {
       const cx = Math.floor(ripple.u * res);
       const cy = Math.floor(ripple.v * res);
-      const radius = 3;
+      const radius = ripple.radius;
+      const reach = Math.ceil(radius);
 
-      for (let dy = -radius; dy <= radius; dy++) {
-        for (let dx = -radius; dx <= radius; dx++) {
+      for (let dy = -reach; dy <= reach; dy++) {
+        for (let dx = -reach; dx <= reach; dx++) {
           const px = cx + dx;
           const py = cy + dy;
 
@@ -188,6 +258,17 @@ export class RippleSimulation {
     this.heightCurrent = this.heightNext;
     this.heightNext = temp;
 
+    // Add the wind waves (skipped on a calm lake)
+    this.windWaves.update(delta);
+    if (this.windWaves.isActive()) {
+      this.windWaves.addToHeightField(this.heightCurrent, this.surfaceHeight, res);
+      this.surface = this.surfaceHeight;
+    } else {
+      this.surface = this.heightCurrent;
+    }
+    const surface = this.surface;
+    if (!this.heightTexture) return;
+
     // Update texture with height and normals
     // Format: R=height, G=velocity(unused), B=normal.x, A=normal.y
     const data = this.heightTexture.image.data;
@@ -196,13 +277,13 @@ export class RippleSimulation {
         const i = y * res + x;
 
         // Height
-        data[i * 4] = this.heightCurrent[i];
+        data[i * 4] = surface[i];
 
         // Calculate normals from height differences
-        const hL = x > 0 ? this.heightCurrent[i - 1] : this.heightCurrent[i];
-        const hR = x < res - 1 ? this.heightCurrent[i + 1] : this.heightCurrent[i];
-        const hU = y > 0 ? this.heightCurrent[i - res] : this.heightCurrent[i];
-        const hD = y < res - 1 ? this.heightCurrent[i + res] : this.heightCurrent[i];
+        const hL = x > 0 ? surface[i - 1] : surface[i];
+        const hR = x < res - 1 ? surface[i + 1] : surface[i];
+        const hU = y > 0 ? surface[i - res] : surface[i];
+        const hD = y < res - 1 ? surface[i + res] : surface[i];
 
         const nx = (hL - hR) * 2;
         const ny = (hU - hD) * 2;
@@ -222,6 +303,50 @@ export class RippleSimulation {
     return this.heightTexture;
   }
 
+  /**
+   * Sample the displayed water surface (ripples + wind waves) at a world
+   * position, bilinearly. In GPU mode this reads the latest height readback,
+   * which lags the simulation by a frame or two (flat until the first one).
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @param {{height: number, slopeX: number, slopeZ: number}} out - Receives the
+   *   world-space height and its gradient (rise per unit of X / Z)
+   * @returns {{height: number, slopeX: number, slopeZ: number}} out
+   */
+  sampleSurface(x, z, out) {
+    const heights = this.useGPU && this.gpuSimulation
+      ? this.gpuSimulation.getHeightData()
+      : this.surface;
+    out.height = 0;
+    out.slopeX = 0;
+    out.slopeZ = 0;
+    if (!heights) return out;
+
+    const res = this.resolution;
+    const last = res - 1;
+    const fx = Math.max(0, Math.min(last, (x / this.lakeSize + 0.5) * last));
+    const fz = Math.max(0, Math.min(last, (z / this.lakeSize + 0.5) * last));
+    const x0 = Math.min(Math.floor(fx), last - 1);
+    const z0 = Math.min(Math.floor(fz), last - 1);
+    const tx = fx - x0;
+    const tz = fz - z0;
+
+    const h00 = heights[z0 * res + x0];
+    const h10 = heights[z0 * res + x0 + 1];
+    const h01 = heights[(z0 + 1) * res + x0];
+    const h11 = heights[(z0 + 1) * res + x0 + 1];
+
+    const top = h00 + (h10 - h00) * tx;
+    const bottom = h01 + (h11 - h01) * tx;
+    const scale = this.displayScale;
+    const cellSize = this.lakeSize / last;
+
+    out.height = (top + (bottom - top) * tz) * scale;
+    out.slopeX = ((h10 - h00) * (1 - tz) + (h11 - h01) * tz) * scale / cellSize;
+    out.slopeZ = (bottom - top) * scale / cellSize;
+    return out;
+  }
+
   /**
    * Check if GPU simulation is active
    */
@@ -230,8 +355,9 @@ export class RippleSimulation {
   }
 
   /**
-   * Get current height data for CPU access (for LakeSurface vertex deformation)
-   * Returns the CPU height array or empty array if in GPU mode
+   * Get current surface heights (ripples + wind waves) for CPU access
+   * (for LakeSurface vertex deformation).
+   * Returns null in GPU mode.
    */
   getHeightData() {
     if (this.useGPU) {
@@ -239,6 +365,6 @@ export class RippleSimulation {
       // The mesh deformation will be done via shader instead
       return null;
     }
-    return this.heightCurrent;
+    return this.surface;
   }
 }
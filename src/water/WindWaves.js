@@ -0,0 +1,184 @@
+/**
+ * Procedural wind-driven waves added on top of the ripple height field.
+ *
+ * A handful of long gravity waves plus short capillary waves, all travelling
+ * roughly downwind. Each component uses a second-order (Stokes) profile,
+ * which matches a Gerstner wave's sharp crests and flat troughs in a height
+ * field without moving vertices sideways. Amplitudes follow the wind speed
+ * with some lag, so gusts roughen the lake and it calms down afterwards.
+ *
+ * Plane waves are separable, cos(kx*x + kz*z - wt) = cos(a)cos(b) - sin(a)sin(b),
+ * so filling a height field costs a few multiply-adds per cell and component.
+ * No random numbers are used: phases are fixed, so seeded runs are unaffected.
+ */
+
+const GRAVITY = 9.81;
+const SURFACE_TENSION = 7.4e-5;  // sigma / rho for water (m^3/s^2)
+
+// Wave components: wavelength (m), angle from the wind (rad), amplitude
+// weight, phase and wind speed (m/s) at which the component is fully grown
+const COMPONENTS = [
+  // Gravity waves
+  { wavelength: 4.2, angle: 0, weight: 1, phase: 0, fullWind: 7 },
+  { wavelength: 2.7, angle: 0.35, weight: 0.7, phase: 1.7, fullWind: 6 },
+  { wavelength: 1.9, angle: -0.45, weight: 0.55, phase: 4.1, fullWind: 5 },
+  // Capillary / short ripples (spread wider around the wind)
+  { wavelength: 0.7, angle: 0.8, weight: 0.3, phase: 2.3, fullWind: 3 },
+  { wavelength: 0.5, angle: -0.7, weight: 0.25, phase: 5.2, fullWind: 2.5 },
+  { wavelength: 0.36, angle: 0.15, weight: 0.2, phase: 0.9, fullWind: 2 }
+];
+
+export class WindWaves {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.lakeSize] - World size of the height field (m)
+   * @param {number} [options.amplitude] - Height of the largest wave at full wind (height field units)
+   * @param {number} [options.steepness] - Crest sharpening (0 = sine, ~0.5 = Gerstner-like)
+   * @param {number} [options.response] - How fast the sea follows the wind (1/s)
+   */
+  constructor(options = {}) {
+    this.lakeSize = options.lakeSize || 20;
+    this.amplitude = options.amplitude !== undefined ? options.amplitude : 0.15;
+    this.steepness = options.steepness !== undefined ? options.steepness : 0.5;
+    this.response = options.response || 0.4;
+
+    this.windX = 0;
+    this.windZ = 0;
+
+    // Per-component state (direction and angular frequency from the dispersion relation)
+    this.waves = COMPONENTS.map(c => {
+      const k = 2 * Math.PI / c.wavelength;
+      return {
+        ...c,
+        k,
+        omega: Math.sqrt(GRAVITY * k + SURFACE_TENSION * k * k * k),
+        kx: 0,
+        kz: 0,
+        amplitude: 0
+      };
+    });
+
+    // Scratch rows for the separable evaluation (sized on first fill)
+    this.cosX = null;
+    this.sinX = null;
+    this.cosZ = null;
+    this.sinZ = null;
+
+    this.reset();
+  }
+
+  /**
+   * Calm the lake and restart the wave clock.
+   */
+  reset() {
+    this.time = 0;
+    for (const wave of this.waves) {
+      wave.amplitude = 0;
+    }
+  }
+
+  /**
+   * @param {number} x - Wind X (m/s)
+   * @param {number} z - Wind Z (m/s)
+   */
+  setWind(x, z) {
+    this.windX = x;
+    this.windZ = z;
+  }
+
+  /**
+   * Whether any wave is tall enough to be worth adding.
+   * @returns {boolean}
+   */
+  isActive() {
+    return this.waves.some(wave => wave.amplitude > 1e-5);
+  }
+
+  /**
+   * Advance wave phases and let amplitudes follow the wind.
+   * @param {number} delta - Seconds
+   */
+  update(delta) {
+    this.time += delta;
+
+    const speed = Math.hypot(this.windX, this.windZ);
+    const heading = Math.atan2(this.windZ, this.windX);
+    const blend = Math.min(1, this.response * delta);
+
+    for (const wave of this.waves) {
+      // Amplitude grows with the square of the wind until fully developed
+      const growth = Math.min(1, speed / wave.fullWind);
+      const target = this.amplitude * wave.weight * growth * growth;
+      wave.amplitude += (target - wave.amplitude) * blend;
+
+      // Keep the last direction once the wind drops, so waves die out in place
+      if (speed > 0.01) {
+        wave.kx = Math.cos(heading + wave.angle) * wave.k;
+        wave.kz = Math.sin(heading + wave.angle) * wave.k;
+      }
+    }
+  }
+
+  /**
+   * Wave height at a world position.
+   * @param {number} x - World X
+   * @param {number} z - World Z
+   * @returns {number} Height field units
+   */
+  sampleHeight(x, z) {
+    let height = 0;
+    for (const wave of this.waves) {
+      if (wave.amplitude <= 0) continue;
+      const c = Math.cos(wave.kx * x + wave.kz * z - wave.omega * this.time + wave.phase);
+      height += wave.amplitude * (c + this.steepness * (c * c - 0.5));
+    }
+    return height;
+  }
+
+  /**
+   * Write base + wave heights into a height field.
+   * @param {Float32Array} base - Ripple heights (res * res)
+   * @param {Float32Array} out - Destination (res * res)
+   * @param {number} res - Grid resolution
+   */
+  addToHeightField(base, out, res) {
+    if (!this.cosX || this.cosX.length !== res) {
+      this.cosX = new Float32Array(res);
+      this.sinX = new Float32Array(res);
+      this.cosZ = new Float32Array(res);
+      this.sinZ = new Float32Array(res);
+    }
+
+    out.set(base);
+    const cellSize = this.lakeSize / res;
+    const half = this.lakeSize / 2;
+
+    for (const wave of this.waves) {
+      if (wave.amplitude <= 1e-5) continue;
+
+      // Time and phase go on the X factor
+      const offset = wave.phase - wave.omega * this.time;
+      for (let i = 0; i < res; i++) {
+        const p = i * cellSize - half;
+        const a = wave.kx * p + offset;
+        const b = wave.kz * p;
+        this.cosX[i] = Math.cos(a);
+        this.sinX[i] = Math.sin(a);
+        this.cosZ[i] = Math.cos(b);
+        this.sinZ[i] = Math.sin(b);
+      }
+
+      const amplitude = wave.amplitude;
+      const sharp = this.steepness;
+      for (let y = 0; y < res; y++) {
+        const cz = this.cosZ[y];
+        const sz = this.sinZ[y];
+        const row = y * res;
+        for (let x = 0; x < res; x++) {
+          const c = this.cosX[x] * cz - this.sinX[x] * sz;
+          out[row + x] += amplitude * (c + sharp * (c * c - 0.5));
+        }
+      }
+    }
+  }
+}
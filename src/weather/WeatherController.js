@@ -0,0 +1,216 @@
+/**
+ * Weather controller: drives RaindropSystem spawn rate, wind and gravity
+ * over time.
+ *
+ * A weather preset has an intensity curve (constant, procedural noise or
+ * scripted keyframes) that scales rain rate and wind. Drop sizes follow
+ * from the rain rate (see DropPhysics). Gusts are
+ * random events layered on the base wind that tilt the falling drops.
+ * Everything is stepped by the SimulationDriver and draws from the shared
+ * random source, so a seed reproduces the same weather.
+ */
+
+import { SeededRandom } from '../core/SeededRandom.js';
+
+export const WEATHER_PRESETS = {
+  drizzle: {
+    label: 'Drizzle',
+    spawnRate: [0.5, 3],        // drops/s at intensity 0 and 1
+    gravity: [-8, -11],
+    wind: { speed: 0.4, direction: 30 },  // m/s, degrees (0 = +X)
+    gustRate: 0,                // gusts per second at intensity 1
+    gustStrength: 0,
+    curve: { type: 'procedural', base: 0.4, depth: 0.3, period: 40 }
+  },
+  shower: {
+    label: 'Shower',
+    spawnRate: [3, 10],
+    gravity: [-13, -17],
+    wind: { speed: 1, direction: 60 },
+    gustRate: 0.03,
+    gustStrength: 2,
+    curve: { type: 'procedural', base: 0.6, depth: 0.4, period: 25 }
+  },
+  downpour: {
+    label: 'Downpour',
+    spawnRate: [10, 20],
+    gravity: [-18, -25],
+    wind: { speed: 2, direction: 100 },
+    gustRate: 0.08,
+    gustStrength: 4,
+    curve: { type: 'procedural', base: 0.8, depth: 0.2, period: 15 }
+  },
+  passingStorm: {
+    label: 'Passing Storm',
+    spawnRate: [0.5, 20],
+    gravity: [-10, -26],
+    wind: { speed: 2.5, direction: 150 },
+    gustRate: 0.15,
+    gustStrength: 6,
+    // Scripted: build up, peak, die away, then dry spell (loops)
+    curve: {
+      type: 'keyframes',
+      loop: true,
+      keys: [[0, 0.05], [20, 0.3], [45, 0.9], [60, 1], [75, 0.8], [100, 0.25], [120, 0.05], [150, 0]]
+    }
+  }
+};
+
+export const WEATHER_PRESET_NAMES = Object.keys(WEATHER_PRESETS);
+
+export class WeatherController {
+  /**
+   * @param {import('../particles/RaindropSystem.js').RaindropSystem} raindrops
+   * @param {Object} [options]
+   * @param {SeededRandom} [options.random] - Shared random source
+   */
+  constructor(raindrops, options = {}) {
+    this.raindrops = raindrops;
+    this.random = options.random || new SeededRandom();
+
+    this.preset = null;          // Active preset name (null = manual control)
+    this.intensityScale = 1;     // User multiplier on the curve
+
+    this.reset();
+  }
+
+  /**
+   * Restart the weather clock (keeps the preset).
+   */
+  reset() {
+    this.time = 0;
+    this.intensity = 0;
+    this.gusts = [];
+    this.noisePhase = 0;
+    this.wind = { x: 0, z: 0 };
+  }
+
+  /**
+   * Select a weather preset, or null to hand control back to the sliders.
+   * @param {string|null} name - Key of WEATHER_PRESETS
+   */
+  setPreset(name) {
+    this.preset = name && WEATHER_PRESETS[name] ? name : null;
+    this.reset();
+    if (!this.preset) {
+      this.raindrops.wind.x = 0;
+      this.raindrops.wind.z = 0;
+    }
+  }
+
+  /**
+   * Scale the preset's intensity curve.
+   * @param {number} scale - 0-2 (1 = as designed)
+   */
+  setIntensityScale(scale) {
+    this.intensityScale = Math.max(0, scale);
+  }
+
+  /**
+   * Base intensity from the preset curve at a time.
+   * @param {Object} curve
+   * @param {number} time - Seconds since the preset started
+   * @returns {number} 0-1
+   */
+  evaluateCurve(curve, time) {
+    if (curve.type === 'keyframes') {
+      const keys = curve.keys;
+      const end = keys[keys.length - 1][0];
+      const t = curve.loop && end > 0 ? time % end : Math.min(time, end);
+      for (let i = 1; i < keys.length; i++) {
+        if (t <= keys[i][0]) {
+          const [t0, v0] = keys[i - 1];
+          const [t1, v1] = keys[i];
+          return v0 + (v1 - v0) * (t - t0) / (t1 - t0);
+        }
+      }
+      return keys[keys.length - 1][1];
+    }
+
+    if (curve.type === 'procedural') {
+      // Two detuned sines with a random phase: slow, non-repeating swells
+      const phase = this.noisePhase + (time / curve.period) * Math.PI * 2;
+      const swell = 0.6 * Math.sin(phase) + 0.4 * Math.sin(phase * 2.37 + 1.3);
+      return Math.max(0, Math.min(1, curve.base + curve.depth * swell));
+    }
+
+    return curve.value !== undefined ? curve.value : 1;
+  }
+
+  /**
+   * Current wind including gusts, in m/s.
+   * @returns {{x: number, z: number}}
+   */
+  getWind() {
+    return this.wind;
+  }
+
+  /**
+   * Advance the weather and apply it to the raindrops.
+   * @param {number} delta - Seconds
+   */
+  update(delta) {
+    if (!this.preset) return;
+    const preset = WEATHER_PRESETS[this.preset];
+
+    if (this.time === 0) {
+      this.noisePhase = this.random.next() * Math.PI * 2;
+    }
+    this.time += delta;
+
+    const intensity = Math.min(1, this.evaluateCurve(preset.curve, this.time) * this.intensityScale);
+    this.intensity = intensity;
+
+    const lerp = ([a, b]) => a + (b - a) * intensity;
+    const drops = this.raindrops;
+    drops.spawnRate = Math.max(0.05, lerp(preset.spawnRate));
+    drops.gravity = lerp(preset.gravity);
+
+    // Base wind strengthens with intensity
+    const direction = preset.wind.direction * Math.PI / 180;
+    const baseSpeed = preset.wind.speed * (0.5 + 0.5 * intensity);
+    let windX = Math.cos(direction) * baseSpeed;
+    let windZ = Math.sin(direction) * baseSpeed;
+
+    // Start new gusts (Poisson process, more likely when the rain is heavy)
+    if (preset.gustRate > 0 && this.random.next() < preset.gustRate * intensity * delta) {
+      this.gusts.push({
+        start: this.time,
+        duration: this.random.range(1.5, 4),
+        strength: preset.gustStrength * this.random.range(0.5, 1),
+        direction: direction + this.random.range(-0.6, 0.6)
+      });
+    }
+
+    // Gusts swell and fade (sin^2 envelope)
+    let write = 0;
+    for (const gust of this.gusts) {
+      const t = (this.time - gust.start) / gust.duration;
+      if (t >= 1) continue;
+      const envelope = Math.sin(t * Math.PI) ** 2;
+      windX += Math.cos(gust.direction) * gust.strength * envelope;
+      windZ += Math.sin(gust.direction) * gust.strength * envelope;
+      this.gusts[write++] = gust;
+    }
+    this.gusts.length = write;
+
+    this.wind.x = windX;
+    this.wind.z = windZ;
+    drops.wind.x = windX;
+    drops.wind.z = windZ;
+  }
+
+  /**
+   * Current weather values for display.
+   * @returns {{preset: string|null, intensity: number, spawnRate: number, wind: number, gusting: boolean}}
+   */
+  getState() {
+    return {
+      preset: this.preset,
+      intensity: this.intensity,
+      spawnRate: this.raindrops.spawnRate,
+      wind: Math.hypot(this.wind.x, this.wind.z),
+      gusting: this.gusts.length > 0
+    };
+  }
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ChordVoicer, CHORD_TYPES, CHORD_STYLES } from '../src/audio/ChordVoicer.js';
+
+const MAJOR = CHORD_TYPES.findIndex((c) => c.name === 'Major');
+
+/**
+ * @param {Object} [params] - ChordVoicer.setParams() input
+ * @returns {ChordVoicer} Voicing major chords
+ */
+function createVoicer(params = {}) {
+  const voicer = new ChordVoicer();
+  voicer.setParams({ type: MAJOR, voiceLeading: false, ...params });
+  return voicer;
+}
+
+const keys = (notes) => notes.map((note) => note.key);
+
+test('block chords sound together at about the loudness of one note', () => {
+  const notes = createVoicer().voice(60, 0);
+  assert.deepEqual(keys(notes), [60, 64, 67, 72]);
+  assert.deepEqual(notes.map((note) => note.delay), [0, 0, 0, 0]);
+  assert.deepEqual(notes.map((note) => note.chordTone), [0, 1, 2, 3]);
+  assert.equal(notes[0].gain, Math.pow(4, -0.25));
+});
+
+test('the impact position picks the inversion without leaving the register', () => {
+  const voicer = createVoicer();
+  // First inversion: the root moves up; its octave doubling goes up another octave
+  assert.deepEqual(keys(voicer.voice(60, 0.3)), [64, 67, 72, 84]);
+  assert.deepEqual(keys(voicer.voice(60, 0.6)), [67, 72, 76, 84]);
+  assert.deepEqual(keys(voicer.voice(60, 0.99)), [60, 64, 67, 72]);
+});
+
+test('strums and arpeggios spread the notes by the spread time', () => {
+  const down = createVoicer({ style: CHORD_STYLES.indexOf('strumDown'), spread: 30 }).voice(60, 0);
+  assert.deepEqual(keys(down), [72, 67, 64, 60]);
+  assert.deepEqual(down.map((note) => note.delay), [0, 30, 60, 90]);
+
+  const arpeggio = createVoicer({ style: CHORD_STYLES.indexOf('arpeggio'), spread: 50 });
+  assert.deepEqual(keys(arpeggio.voice(60, 0)), [60, 64, 67, 72, 67, 64]);
+  assert.deepEqual(arpeggio.getDelays(), [50, 100, 150, 200, 250]);
+});
+
+test('voice leading picks the inversion that moves the voices least', () => {
+  const voicer = createVoicer({ voiceLeading: true });
+  voicer.voice(60, 0);  // C major, root position
+
+  // F major: second inversion an octave down keeps C and moves the rest by steps
+  assert.deepEqual(keys(voicer.voice(65, 0)), [60, 65, 69, 77]);
+  assert.equal(voicer.previous.join(), '60,65,69,77');
+
+  voicer.reset();
+  assert.deepEqual(keys(voicer.voice(65, 0)), [65, 69, 72, 77]);
+});
+
+test('chord intervals snap to the nearest keys of the tuning', () => {
+  // 19-TET: major third 4 -> 6 keys, fifth 7 -> 11, octave 12 -> 19
+  assert.deepEqual(keys(createVoicer().voice(50, 0, 19)), [50, 56, 61, 69]);
+});
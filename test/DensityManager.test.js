@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DensityManager } from '../src/audio/DensityManager.js';
+
+/**
+ * Offer one impact as its own window and decide on it at once.
+ * @param {DensityManager} density
+ * @param {number} salience
+ * @param {number} time - ms
+ * @returns {boolean} Whether it sounded
+ */
+function playAlone(density, salience, time) {
+  density.offer({ salience }, { key: Math.round(time), salience }, time);
+  return density.takeDecisions(time).length > 0;
+}
+
+test('the salience a window needs rises as the budget drains', () => {
+  const density = new DensityManager({ notesPerSecond: 12 });  // 3 onsets of burst
+  density.setParams({ mergeWindow: 0 });
+  assert.equal(density.getSalienceThreshold(), 0);
+
+  assert.equal(playAlone(density, 0.3, 0), true);    // Full budget: anything plays
+  assert.equal(playAlone(density, 0.3, 1), false);   // 2 onsets left: needs about 0.4
+  assert.equal(playAlone(density, 0.9, 2), true);
+  assert.equal(playAlone(density, 0.7, 3), false);   // Last onset: needs about 0.8
+  assert.equal(playAlone(density, 0.9, 4), true);
+  assert.equal(playAlone(density, 1, 5), false);     // Empty
+  assert.ok(density.tokens < 1);
+
+  // A second later the budget is full again
+  assert.equal(playAlone(density, 0.3, 1005), true);
+  assert.equal(density.getStats(1005).played, 4);
+  assert.equal(density.getStats(1005).dropped, 3);
+});
+
+test('a steady stream is held to the onset budget', () => {
+  const density = new DensityManager({ notesPerSecond: 12 });
+  density.setParams({ mergeWindow: 0 });
+
+  // 50 strong windows per second for 10 s
+  let played = 0;
+  for (let time = 0; time < 10000; time += 20) {
+    if (playAlone(density, 1, time)) played++;
+  }
+  assert.ok(played >= 118 && played <= 123, `played ${played}`);
+});
+
+test('a window plays its most salient impacts as one chord', () => {
+  const density = new DensityManager();
+  density.setParams({ mergeWindow: 30, maxChordSize: 2 });
+
+  density.offer('quiet', { key: 3, salience: 0.2 }, 0);
+  density.offer('loud', { key: 1, salience: 0.9 }, 5);
+  density.offer('same key', { key: 1, salience: 0.5 }, 10);
+  density.offer('second', { key: 2, salience: 0.6 }, 20);
+  assert.equal(density.takeDecisions(29).length, 0);  // Still gathering
+
+  const [decision] = density.takeDecisions(30);
+  assert.deepEqual(decision.impacts, ['loud', 'second']);
+  assert.equal(decision.time, 30);
+  assert.ok(Math.abs(decision.gain - Math.pow(2, -0.25)) < 1e-9);
+  assert.deepEqual(density.getStats(), { impacts: 4, played: 1, merged: 2, dropped: 1, density: density.getDensity(20) });
+});
+
+test('velocities are softened as the impact rate passes the reference density', () => {
+  const density = new DensityManager();
+  density.setParams({ softening: 1 });
+  for (let time = 0; time < 3000; time += 25) {
+    density.offer(null, { key: 0, salience: 1 }, time);
+  }
+  const rate = density.getDensity(3000);
+  assert.ok(rate > 30 && rate < 40, `rate ${rate}`);
+  assert.ok(Math.abs(density.getDensityGain(3000) - Math.max(0.25, 8 / rate)) < 1e-9);
+  assert.equal(density.getDensityGain(60000), 1);  // Long silence
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeMidiFile, createTickConverter } from '../src/midi/MidiFileWriter.js';
+
+/**
+ * Split a Standard MIDI File into its header fields and track events.
+ * @param {Uint8Array} bytes
+ * @returns {{format: number, trackCount: number, ppq: number, tracks: Array<Array<{tick: number, delta: number[], data: number[]}>>}}
+ */
+function readMidiFile(bytes) {
+  const text = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  assert.equal(text(0), 'MThd');
+  assert.equal(view.getUint32(4), 6);
+
+  const tracks = [];
+  let offset = 14;
+  while (offset < bytes.length) {
+    assert.equal(text(offset), 'MTrk');
+    const end = offset + 8 + view.getUint32(offset + 4);
+    const events = [];
+    let tick = 0;
+    let i = offset + 8;
+    while (i < end) {
+      // Variable-length delta: 7 bits per byte, high bit set on all but the last
+      const delta = [];
+      let value = 0;
+      do {
+        delta.push(bytes[i]);
+        value = (value << 7) | (bytes[i] & 0x7f);
+      } while (bytes[i++] & 0x80);
+      tick += value;
+
+      const start = i;
+      if (bytes[i] === 0xff) {
+        i += 3 + bytes[i + 2];  // Meta lengths here are all under 128
+      } else {
+        i += 3;                 // Note, CC and bend messages (no running status)
+      }
+      events.push({ tick, delta, data: Array.from(bytes.subarray(start, i)) });
+    }
+    assert.equal(i, end);
+    tracks.push(events);
+    offset = end;
+  }
+  return { format: view.getUint16(8), trackCount: view.getUint16(10), ppq: view.getUint16(12), tracks };
+}
+
+const channelEvents = (track) => track.filter((event) => event.data[0] !== 0xff);
+
+test('writes a Type 1 header with a conductor track and one track per octave band', () => {
+  const file = readMidiFile(writeMidiFile([], { ppq: 96, numTracks: 2 }));
+  assert.equal(file.format, 1);
+  assert.equal(file.trackCount, 3);
+  assert.equal(file.tracks.length, 3);
+  assert.equal(file.ppq, 96);
+
+  // 4/4 and 120 BPM (500000 us per quarter) at tick 0
+  const conductor = file.tracks[0].map((event) => event.data);
+  assert.deepEqual(conductor[1], [0xff, 0x58, 0x04, 4, 2, 24, 8]);
+  assert.deepEqual(conductor[2], [0xff, 0x51, 0x03, 0x07, 0xa1, 0x20]);
+  assert.deepEqual(conductor.at(-1), [0xff, 0x2f, 0x00]);
+});
+
+test('encodes delta times as variable-length quantities', () => {
+  // 120 BPM, 480 ppq: 1 ms = 0.96 ticks
+  const deltas = (time) => {
+    const notes = [{ time, midiNote: 60, gain: 0.5, pan: 0.5, octaveOffset: 0 }];
+    return channelEvents(readMidiFile(writeMidiFile(notes, { numTracks: 1 })).tracks[1])
+      .map((event) => event.delta);
+  };
+
+  assert.deepEqual(deltas(0)[0], [0x00]);
+  assert.deepEqual(deltas(100)[0], [0x60]);                               // 96
+  assert.deepEqual(deltas(1000)[0], [0x87, 0x40]);                        // 960
+  assert.deepEqual(deltas(0x4000 / 0.96)[0], [0x81, 0x80, 0x00]);          // 16384
+  assert.deepEqual(deltas(0x200000 / 0.96)[0], [0x81, 0x80, 0x80, 0x00]);  // 2097152
+  assert.deepEqual(deltas(1000)[1], [0x00]);  // Note on at the pan's tick
+});
+
+test('bent notes set the bend range, then send each bend before its note on', () => {
+  const notes = [
+    { time: 0, midiNote: 60, bend: 0.5, gain: 1, pan: 0, octaveOffset: 0 },
+    { time: 250, midiNote: 64, bend: -0.25, gain: 0.5, pan: 1, octaveOffset: 0 }
+  ];
+  const track = channelEvents(readMidiFile(writeMidiFile(notes, { numTracks: 1, noteLength: 1 })).tracks[1]);
+
+  assert.deepEqual(track.map((event) => event.data), [
+    // RPN 0 = 2 semitones, then RPN closed
+    [0xb0, 101, 0], [0xb0, 100, 0], [0xb0, 6, 2], [0xb0, 38, 0], [0xb0, 101, 127], [0xb0, 100, 127],
+    // Pan, bend (+0.5 = 8192 + 2048), note on
+    [0xb0, 10, 0], [0xe0, 0x00, 0x50], [0x90, 60, 127],
+    // 250 ms later: bend -0.25 = 8192 - 1024
+    [0xb0, 10, 127], [0xe0, 0x00, 0x38], [0x90, 64, 64],
+    [0x80, 60, 0], [0x80, 64, 0]
+  ]);
+  assert.equal(track[9].tick, 240);
+});
+
+test('unbent notes send no RPN or pitch bend', () => {
+  const notes = [{ time: 0, midiNote: 60, gain: 1, pan: 0.5, octaveOffset: 0 }];
+  const track = channelEvents(readMidiFile(writeMidiFile(notes, { numTracks: 1 })).tracks[1]);
+  assert.deepEqual(track.map((event) => event.data[0]), [0xb0, 0x90, 0x80]);
+});
+
+test('ticks follow the tempo map', () => {
+  const toTicks = createTickConverter([{ time: 0, bpm: 120 }, { time: 1000, bpm: 60 }], 480);
+  assert.equal(toTicks(500), 480);
+  assert.equal(toTicks(1000), 960);
+  assert.equal(toTicks(2000), 1440);
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeMessage, decodePacket } from '../src/osc/OscCodec.js';
+
+/**
+ * Wrap packets in a bundle (time tag "immediately").
+ * @param {Array<Uint8Array>} elements
+ * @returns {Uint8Array}
+ */
+function bundle(elements) {
+  const parts = [new TextEncoder().encode('#bundle\0'), new Uint8Array([0, 0, 0, 0, 0, 0, 0, 1])];
+  for (const element of elements) {
+    const size = new Uint8Array(4);
+    new DataView(size.buffer).setInt32(0, element.length);
+    parts.push(size, element);
+  }
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    bytes.set(part, offset);
+    offset += part.length;
+  }
+  return bytes;
+}
+
+test('messages round-trip through encode and decode', () => {
+  const blob = new Uint8Array([1, 2, 3, 4, 5]);
+  const packet = encodeMessage('/rain/note', [
+    { type: 'i', value: -61 }, 0.25, 'Dorian ☔', true, false, blob
+  ]);
+
+  assert.equal(packet.length % 4, 0);
+  assert.deepEqual(decodePacket(packet), [{
+    address: '/rain/note',
+    args: [-61, 0.25, 'Dorian ☔', true, false, blob]
+  }]);
+});
+
+test('numbers are sent as float32 unless typed as int', () => {
+  const [message] = decodePacket(encodeMessage('/rain/tempo', [128.3, { type: 'i', value: 128 }]));
+  assert.equal(message.args[0], Math.fround(128.3));
+  assert.equal(message.args[1], 128);
+});
+
+test('strings and blobs are padded to 4 bytes', () => {
+  // "/ab\0" ",s\0\0" "abcd\0\0\0\0"
+  assert.equal(encodeMessage('/ab', ['abcd']).length, 16);
+  // "/a\0\0" ",b\0\0" size(4) + 1 byte padded to 4
+  assert.equal(encodeMessage('/a', [new Uint8Array([9])]).length, 16);
+  assert.deepEqual(decodePacket(encodeMessage('/empty')), [{ address: '/empty', args: [] }]);
+});
+
+test('bundles decode to their messages in order, nested ones included', () => {
+  const packet = bundle([
+    encodeMessage('/rain/drop', [1, -2]),
+    bundle([encodeMessage('/rain/phase', [3]), encodeMessage('/rain/tempo', [90])])
+  ]);
+  assert.deepEqual(decodePacket(packet).map((message) => message.address), [
+    '/rain/drop', '/rain/phase', '/rain/tempo'
+  ]);
+});
+
+test('decoding rejects malformed packets', () => {
+  assert.throws(() => decodePacket(new TextEncoder().encode('/rain')), /Unterminated OSC string/);
+  assert.throws(() => decodePacket(new TextEncoder().encode('#bogus\0\0')), /Invalid OSC packet/);
+  assert.throws(() => decodePacket(new TextEncoder().encode('/a\0\0i\0\0\0')), /Missing OSC type tags/);
+  assert.throws(() => decodePacket(new TextEncoder().encode('/a\0\0,x\0\0')), /Unsupported OSC type "x"/);
+  assert.throws(() => encodeMessage('/a', [{ type: 'x', value: 1 }]), /Unsupported OSC type "x"/);
+});
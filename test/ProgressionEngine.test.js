@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ProgressionEngine, PROGRESSIONS } from '../src/audio/ProgressionEngine.js';
+import { TempoClock } from '../src/core/TempoClock.js';
+
+const TWO_FIVE_ONE = PROGRESSIONS.findIndex((p) => p.id === 'two-five-one');
+
+test('after reset() the progression counts from bar 0, however late it is first updated', () => {
+  const clock = new TempoClock();
+  const progression = new ProgressionEngine({ clock });
+  progression.setParams({ type: TWO_FIVE_ONE, barsPerChange: 1 });
+  progression.reset();
+
+  // ii (bar 0), V (bar 1), I (bars 2-3): bar 5 is in the second round's V
+  assert.equal(progression.update(5 * clock.getBarLength()), true);
+  assert.equal(progression.harmony.name, 'V');
+  assert.equal(progression.startBar, 5);
+});
+
+test('a progression switched on mid-run starts on the current bar', () => {
+  const clock = new TempoClock();
+  clock.update(3.5 * clock.getBarLength());
+  const progression = new ProgressionEngine({ clock });
+  progression.setParams({ type: TWO_FIVE_ONE, barsPerChange: 1 });
+
+  assert.equal(progression.update(clock.time), true);
+  assert.equal(progression.harmony.name, 'ii');
+  assert.equal(progression.startBar, 3);
+  assert.equal(progression.update(4 * clock.getBarLength()), true);
+  assert.equal(progression.harmony.name, 'V');
+});
+
+test('changing the bars per change shortens the current harmony', () => {
+  const clock = new TempoClock();
+  const progression = new ProgressionEngine({ clock });
+  progression.setParams({ type: TWO_FIVE_ONE, barsPerChange: 4 });
+  progression.reset();
+  assert.equal(progression.update(0), true);
+  assert.equal(progression.harmony.name, 'ii');
+
+  progression.setParams({ barsPerChange: 1 });
+  assert.equal(progression.update(clock.getBarLength()), true);
+  assert.equal(progression.harmony.name, 'V');
+  assert.equal(progression.startBar, 1);
+
+  // I from bar 2 lasts until bar 10 at 4 bars per change; shortened at bar 6,
+  // it already ended on bar 4, so the next update catches up (ii 4, V 5, I 6)
+  progression.update(2 * clock.getBarLength());
+  progression.setBarsPerChange(4);
+  assert.equal(progression.update(6.5 * clock.getBarLength()), false);
+  progression.setBarsPerChange(1);
+  assert.equal(progression.update(6.5 * clock.getBarLength()), true);
+  assert.equal(progression.harmony.name, 'I');
+  assert.equal(progression.startBar, 6);
+});
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPreset, serializePreset, parsePreset, getPresetSettings } from '../src/presets/ScenePreset.js';
+import { Tuning, TUNING_PRESETS, parseScala, parseKeyboardMapping } from '../src/audio/Tuning.js';
+
+const CUSTOM = TUNING_PRESETS.findIndex((p) => p.id === 'custom');
+
+const SCALE = `! pelog.scl
+Pelog (approx.)
+ 7
+ 120.
+ 270.
+ 540.
+ 670.
+ 785.
+ 950.
+ 2/1
+`;
+
+const MAPPING = `! pelog.kbm
+7
+0
+127
+60
+60
+261.63
+7
+0
+1
+2
+3
+4
+5
+6
+`;
+
+test('a preset keeps the custom scale and keyboard mapping behind the tuning dropdown', () => {
+  const original = new Tuning();
+  const scala = parseScala(SCALE);
+  original.setCustom(scala.cents, scala.name);
+  original.setKeyboardMapping(parseKeyboardMapping(MAPPING));
+
+  const preset = parsePreset(serializePreset(createPreset('Pelog', { tuning: CUSTOM }, {
+    tuning: original.getParams()
+  })));
+  assert.equal(getPresetSettings(preset).tuning, CUSTOM);
+
+  // Loaded into a Tuning that has never seen the scale, then selected as the dropdown does
+  const loaded = new Tuning();
+  loaded.setParams(preset.audio.tuningParams);
+  loaded.setPreset(TUNING_PRESETS[CUSTOM].id);
+
+  assert.deepEqual(loaded.getParams(), original.getParams());
+  assert.equal(loaded.name, 'Pelog (approx.)');
+  for (let key = 55; key < 75; key++) {
+    assert.equal(loaded.getFrequency(key, 60), original.getFrequency(key, 60));
+  }
+});
+
+test('the preset does not follow later edits to the tuning', () => {
+  const tuning = new Tuning();
+  tuning.setCustom([300, 700, 1200], 'Triad');
+  const preset = createPreset('Triad', {}, { tuning: tuning.getParams() });
+
+  tuning.setCustom([500, 1200], 'Fourths');
+  assert.deepEqual(preset.audio.tuningParams.custom, { name: 'Triad', cents: [300, 700, 1200] });
+});
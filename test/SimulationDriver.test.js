@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SimulationDriver } from '../src/core/SimulationDriver.js';
+import { EVENTS } from '../src/core/EventBus.js';
+import { PROGRESSIONS } from '../src/audio/ProgressionEngine.js';
+
+const STEPS = 600;  // 10 s at 60 steps per second
+
+/**
+ * Run a headless driver and collect everything it produced.
+ * @param {SimulationDriver} sim
+ * @returns {{impacts: Array<Object>, notes: Array<Object>, height: Array<number>}}
+ */
+function capture(sim) {
+  const results = sim.run(STEPS);
+  return {
+    impacts: results.flatMap((result) => result.impacts),
+    notes: results.flatMap((result) => result.notes),
+    height: Array.from(sim.rippleSimulation.heightCurrent)
+  };
+}
+
+test('same seed and steps give the same impacts, notes and height field', async () => {
+  const first = capture(await SimulationDriver.createHeadless({ seed: 42, weather: 'shower' }));
+  const second = capture(await SimulationDriver.createHeadless({ seed: 42, weather: 'shower' }));
+
+  assert.ok(first.impacts.length > 0);
+  assert.ok(first.notes.length > 0);
+  assert.deepEqual(second.impacts, first.impacts);
+  assert.deepEqual(second.notes, first.notes);
+  assert.deepEqual(second.height, first.height);
+});
+
+test('reset() replays the run from step 0', async () => {
+  const sim = await SimulationDriver.createHeadless({ seed: 7, weather: 'shower' });
+  const first = capture(sim);
+  sim.reset();
+  const second = capture(sim);
+
+  assert.deepEqual(second.impacts, first.impacts);
+  assert.deepEqual(second.notes, first.notes);
+  assert.deepEqual(second.height, first.height);
+});
+
+test('a different seed gives different rain', async () => {
+  const first = capture(await SimulationDriver.createHeadless({ seed: 1, weather: 'shower' }));
+  const second = capture(await SimulationDriver.createHeadless({ seed: 2, weather: 'shower' }));
+
+  assert.notDeepEqual(second.impacts, first.impacts);
+});
+
+test('quantized notes do not move the progression ahead of the clock', async () => {
+  const sim = await SimulationDriver.createHeadless({ seed: 3, weather: 'downpour' });
+  sim.audioSystem.setBarsPerChange(1);
+  sim.audioSystem.setProgression(PROGRESSIONS.findIndex((p) => p.id === 'two-five-one'));
+  sim.audioSystem.setQuantize(1);
+  sim.reset();
+
+  const changes = [];
+  sim.events.subscribe(EVENTS.HARMONY, (harmony) => changes.push([harmony.name, Math.floor(sim.time / 2)]));
+  const notes = sim.run(1200).flatMap((result) => result.notes);
+
+  // 2 s bars at 120 bpm: ii, V, I I, ii, V, I I, ii, V, then I on the last step
+  assert.ok(notes.length > 0);
+  assert.deepEqual(changes, [
+    ['ii', 0], ['V', 1], ['I', 2], ['ii', 4], ['V', 5], ['I', 6], ['ii', 8], ['V', 9], ['I', 10]
+  ]);
+});
+
+test('advance() reuses its step results', async () => {
+  const sim = await SimulationDriver.createHeadless({ seed: 5, weather: 'downpour' });
+  const first = sim.advance(3 / 60);
+  const results = [...first];
+  const notes = first.map((result) => result.notes);
+
+  const second = sim.advance(3 / 60);
+  assert.equal(second, first);
+  assert.equal(second.length, 3);
+  second.forEach((result, i) => {
+    assert.equal(result, results[i]);
+    assert.equal(result.notes, notes[i]);
+    assert.equal(result.step, 4 + i);
+  });
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TempoClock } from '../src/core/TempoClock.js';
+import { StepSequencer } from '../src/audio/StepSequencer.js';
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('tempo and signature changes keep the position', () => {
+  const clock = new TempoClock();  // 120 BPM, 4/4
+  clock.update(3);
+  near(clock.getQuarters(3), 6);
+  near(clock.getBars(3), 1.5);
+
+  clock.setBpm(60);
+  near(clock.getQuarters(3), 6);
+  near(clock.getQuarters(5), 8);
+
+  clock.setTimeSignature(6, 8);  // 3 quarters per bar, from bar 1.5 on
+  near(clock.getBars(3), 1.5);
+  near(clock.getBars(6), 2.5);
+  near(clock.getBarLength(), 3);
+});
+
+test('swing pushes odd steps later', () => {
+  const clock = new TempoClock();
+  clock.setSwing(0.5);
+  // Eighths at 120 BPM are 0.25 s; odd ones half an eighth late
+  near(clock.getStepTime(0, 8), 0);
+  near(clock.getStepTime(1, 8), 0.375);
+  near(clock.getStepTime(2, 8), 0.5);
+  assert.equal(clock.getStepIndex(0.3, 8), 0);
+  assert.equal(clock.getStepIndex(0.4, 8), 1);
+});
+
+test('quantize snaps to the next step and leaves times on a step', () => {
+  const clock = new TempoClock();
+  near(clock.quantize(0.1, 4), 0.5);
+  near(clock.quantize(0.5, 4), 0.5);
+  near(clock.quantize(0.5000000001, 4), 0.5);  // Float slack
+  near(clock.quantize(0.51, 16), 0.625);
+});
+
+test('syncPhase moves the shorter way to the remote phase', () => {
+  const clock = new TempoClock();
+  clock.update(2);  // Quarter 4 = start of bar 1
+
+  clock.syncPhase(0.5);  // Half a quarter ahead
+  near(clock.getQuarters(2), 4.5);
+  near(clock.getBars(2), 1.125);
+
+  clock.syncPhase(3.5);  // A quarter behind, not three ahead
+  near(clock.getQuarters(2), 3.5);
+
+  clock.syncPhase(1, 2);  // Within a two-quarter cycle
+  near(clock.getQuarters(2) % 2, 1);
+  near(clock.getQuarters(2.5), clock.getQuarters(2) + 1);
+});
+
+test('the step sequencer repeats a note each bar until it has had its passes', () => {
+  const clock = new TempoClock();
+  const sequencer = new StepSequencer(clock);
+  sequencer.setParams({ probability: 1, passes: 3 });
+
+  sequencer.update(0);
+  sequencer.add({ midiNote: 60 }, 2);  // Third sixteenth of bar 0
+
+  const times = [];
+  for (let time = 0; time < 10; time += 1 / 60) {
+    for (const repeat of sequencer.update(time)) times.push(repeat.time);
+  }
+  // Bars are 2 s; the note's own play (step 2) is not repeated
+  assert.equal(times.length, 2);
+  near(times[0], 2250);
+  near(times[1], 4250);
+});
+
+test('the step sequencer never repeats with probability 0', () => {
+  const sequencer = new StepSequencer(new TempoClock());
+  sequencer.setParams({ probability: 0, passes: 8 });
+  sequencer.update(0);
+  sequencer.add({ midiNote: 60 }, 0);
+
+  let repeats = 0;
+  for (let time = 0; time < 20; time += 1 / 60) repeats += sequencer.update(time).length;
+  assert.equal(repeats, 0);
+  assert.equal(sequencer.slots.get(0).length, 0);  // Passes used up
+});
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseScala, parseKeyboardMapping, parseScaleText } from '../src/audio/Tuning.js';
+
+const KBM_HEADER = ['12', '0', '127', '60', '69', '440.0', '12'];
+
+test('parseScala reads ratios, cents and whole numbers and skips comments', () => {
+  const scala = parseScala([
+    '! meantone.scl',
+    '!',
+    'Quarter-comma meantone',
+    ' 4',
+    '!',
+    ' 193.157 first degree',
+    ' 5/4',
+    ' 3/2',
+    ' 2'
+  ].join('\r\n'));
+
+  assert.equal(scala.name, 'Quarter-comma meantone');
+  assert.equal(scala.cents.length, 4);
+  assert.equal(scala.cents[0], 193.157);
+  assert.ok(Math.abs(scala.cents[1] - 386.3137) < 1e-4);
+  assert.ok(Math.abs(scala.cents[2] - 701.955) < 1e-3);
+  assert.equal(scala.cents[3], 1200);
+});
+
+test('parseScala names an unnamed scale and stops at the pitch count', () => {
+  const scala = parseScala('\n2\n3/2\n2/1\n700.\n');
+  assert.equal(scala.name, 'Scala');
+  assert.equal(scala.cents.length, 2);
+});
+
+test('parseScala rejects files without a header or pitch count', () => {
+  assert.throws(() => parseScala('! comments only\n'), /missing its header/);
+  assert.throws(() => parseScala('Name\nmany\n3/2\n'), /has no pitches/);
+  assert.throws(() => parseScala('Name\n0\n'), /has no pitches/);
+});
+
+test('parseScala rejects missing and invalid pitches', () => {
+  assert.throws(() => parseScala('Name\n3\n3/2\n2/1\n'), /lists 2 of 3 pitches/);
+  assert.throws(() => parseScala('Name\n1\nfifth\n'), /Invalid pitch "fifth"/);
+  assert.throws(() => parseScala('Name\n1\n3/0\n'), /Invalid pitch "3\/0"/);
+  assert.throws(() => parseScala('Name\n1\n0/2\n'), /Invalid pitch "0\/2"/);
+  assert.throws(() => parseScala('Name\n1\n-3/2\n'), /Invalid pitch "-3\/2"/);
+});
+
+test('parseKeyboardMapping reads the header and unmapped keys', () => {
+  const kbm = parseKeyboardMapping([
+    '! white keys',
+    '7', '0', '127', '60', '69', '432.5', '7',
+    '0', 'x', '1', 'x', '2', '3',
+    '! last entry left out'
+  ].join('\n'));
+
+  assert.deepEqual(kbm, {
+    size: 7,
+    firstNote: 0,
+    lastNote: 127,
+    middleNote: 60,
+    referenceNote: 69,
+    referenceFrequency: 432.5,
+    octaveDegree: 7,
+    mapping: [0, null, 1, null, 2, 3, null]
+  });
+});
+
+test('parseKeyboardMapping rejects a missing or invalid header', () => {
+  assert.throws(() => parseKeyboardMapping(KBM_HEADER.slice(0, 6).join('\n')), /missing its header/);
+
+  const withField = (index, value) => {
+    const header = [...KBM_HEADER];
+    header[index] = value;
+    return header.join('\n');
+  };
+  assert.throws(() => parseKeyboardMapping(withField(0, 'twelve')), /invalid header/);
+  assert.throws(() => parseKeyboardMapping(withField(3, 'C4')), /invalid header/);
+  assert.throws(() => parseKeyboardMapping(withField(5, '0')), /invalid header/);
+  assert.throws(() => parseKeyboardMapping(withField(5, '-440')), /invalid header/);
+  assert.throws(() => parseKeyboardMapping(withField(6, 'octave')), /invalid header/);
+});
+
+test('parseScaleText reads typed scales and rejects empty or invalid ones', () => {
+  assert.deepEqual(parseScaleText('400., 700.\n1200.'), [400, 700, 1200]);
+  assert.equal(parseScaleText('2')[0], 1200);
+  assert.throws(() => parseScaleText(' \n, '), /Scale is empty/);
+  assert.throws(() => parseScaleText('9/8 x 2/1'), /Invalid pitch "x"/);
+});
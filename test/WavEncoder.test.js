@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav } from '../src/audio/WavEncoder.js';
+
+/**
+ * Stand-in for an AudioBuffer.
+ * @param {number[][]} channels - Samples per channel
+ * @param {number} [sampleRate]
+ */
+function createBuffer(channels, sampleRate = 48000) {
+  const data = channels.map((samples) => Float32Array.from(samples));
+  return {
+    numberOfChannels: data.length,
+    sampleRate,
+    length: data[0].length,
+    getChannelData: (c) => data[c]
+  };
+}
+
+/**
+ * List the RIFF chunks of a WAV file.
+ * @param {ArrayBuffer} wav
+ * @returns {Object<string, DataView>} Chunk bodies by id
+ */
+function readChunks(wav) {
+  const view = new DataView(wav);
+  const text = (offset) => String.fromCharCode(...new Uint8Array(wav, offset, 4));
+  assert.equal(text(0), 'RIFF');
+  assert.equal(view.getUint32(4, true), wav.byteLength - 8);
+  assert.equal(text(8), 'WAVE');
+
+  const chunks = {};
+  let offset = 12;
+  while (offset < wav.byteLength) {
+    const size = view.getUint32(offset + 4, true);
+    chunks[text(offset)] = new DataView(wav, offset + 8, size);
+    offset += 8 + size;
+  }
+  assert.equal(offset, wav.byteLength);
+  return chunks;
+}
+
+test('16-bit PCM: fmt fields and interleaved samples', () => {
+  const chunks = readChunks(encodeWav(createBuffer([[0, 0.5], [-0.5, 1]], 44100), 16));
+  const fmt = chunks['fmt '];
+  assert.equal(fmt.byteLength, 16);
+  assert.equal(fmt.getUint16(0, true), 1);        // PCM
+  assert.equal(fmt.getUint16(2, true), 2);        // Channels
+  assert.equal(fmt.getUint32(4, true), 44100);    // Sample rate
+  assert.equal(fmt.getUint32(8, true), 176400);   // Byte rate
+  assert.equal(fmt.getUint16(12, true), 4);       // Block align
+  assert.equal(fmt.getUint16(14, true), 16);
+  assert.equal(chunks.fact, undefined);
+
+  const data = chunks.data;
+  assert.equal(data.byteLength, 8);
+  const samples = [0, 2, 4, 6].map((offset) => data.getInt16(offset, true));
+  assert.deepEqual(samples, [0, -16384, 16384, 32767]);
+});
+
+test('integer formats clip to full scale', () => {
+  const data = readChunks(encodeWav(createBuffer([[2, -2]]), 16)).data;
+  assert.deepEqual([data.getInt16(0, true), data.getInt16(2, true)], [32767, -32768]);
+});
+
+test('24-bit PCM is written little-endian in three bytes', () => {
+  const chunks = readChunks(encodeWav(createBuffer([[0.5, -1, -0.25]]), 24));
+  assert.equal(chunks['fmt '].getUint16(12, true), 3);
+  assert.equal(chunks['fmt '].getUint16(14, true), 24);
+
+  const data = chunks.data;
+  assert.equal(data.byteLength, 9);
+  const bytes = Array.from(new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+  assert.deepEqual(bytes, [
+    0x00, 0x00, 0x40,  // 0.5 * 0x7fffff rounds to 0x400000
+    0x00, 0x00, 0x80,  // -1 = -0x800000
+    0x00, 0x00, 0xe0   // -0.25 = -0x200000
+  ]);
+});
+
+test('32-bit float uses the IEEE format code, a fact chunk and unclipped samples', () => {
+  const chunks = readChunks(encodeWav(createBuffer([[0.25, 1.5, -2]]), 32));
+  const fmt = chunks['fmt '];
+  assert.equal(fmt.byteLength, 18);
+  assert.equal(fmt.getUint16(0, true), 3);   // IEEE float
+  assert.equal(fmt.getUint16(14, true), 32);
+  assert.equal(fmt.getUint16(16, true), 0);  // cbSize
+  assert.equal(chunks.fact.getUint32(0, true), 3);
+
+  const data = chunks.data;
+  assert.deepEqual([0, 4, 8].map((offset) => data.getFloat32(offset, true)), [0.25, 1.5, -2]);
+});
+
+test('rejects unsupported bit depths', () => {
+  assert.throws(() => encodeWav(createBuffer([[0]]), 8), /Unsupported WAV bit depth: 8/);
+});